@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../src/models/User.js';
+
+// Load environment variables
+dotenv.config();
+
+// Moves the old isAdmin / isOperator flags into roles. Safe to run more than once.
+async function migrateUserRoles() {
+    console.log('🔄 Migrating isAdmin / isOperator to roles...');
+
+    try {
+        // Connect to database
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to database');
+
+        // The flags are no longer in the schema, so go through the raw collection
+        const users = User.collection;
+
+        const withoutRoles = await users.updateMany(
+            { roles: { $exists: false } },
+            { $set: { roles: ['customer'] } }
+        );
+        console.log(`- Gave ${withoutRoles.modifiedCount} users the customer role`);
+
+        for (const [flag, role] of [['isAdmin', 'admin'], ['isOperator', 'operator']]) {
+            const result = await users.updateMany(
+                { [flag]: true },
+                { $addToSet: { roles: role } }
+            );
+            console.log(`- Gave ${result.modifiedCount} users the ${role} role`);
+        }
+
+        const cleared = await users.updateMany(
+            { $or: [{ isAdmin: { $exists: true } }, { isOperator: { $exists: true } }] },
+            { $unset: { isAdmin: '', isOperator: '' } }
+        );
+        console.log(`- Removed the old flags from ${cleared.modifiedCount} users`);
+
+        console.log('✅ Roles migrated');
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        console.log('\n🔌 Disconnected from database');
+    }
+}
+
+migrateUserRoles();
@@ -4,12 +4,25 @@ import cookieParser from 'cookie-parser';
 import userRoutes from '../routes/userRoutes.js';
 import authRoutes from '../routes/authRoutes.js';
 import paymentRoutes from '../routes/paymentRoutes.js';
+import passRoutes from '../routes/passRoutes.js';
+import scanRoutes from '../routes/scanRoutes.js';
+import wellKnownRoutes from '../routes/wellKnownRoutes.js';
+import walletRoutes from '../routes/walletRoutes.js';
 import { notFoundHandler, globalErrorHandler } from '../middleware/errorHandler.js';
+import { sessionMiddleware } from '../middleware/session.js';
 import connectDB from '../config/db.js';
+import { isAllowedOrigin } from '../config/cors.js';
 
 const createApp = async () => {
     const app = express();
 
+    // Behind a reverse proxy, trust its X-Forwarded-For so req.ip (used for rate
+    // limiting) is the client's address: a hop count, or an Express trust proxy value
+    if (process.env.TRUST_PROXY) {
+        const hops = Number(process.env.TRUST_PROXY);
+        app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+    }
+
     // Connect to MongoDB
     await connectDB();
 
@@ -20,20 +33,8 @@ const createApp = async () => {
             // Allow requests with no origin (like mobile apps, curl, postman)
             if (!origin) return callback(null, true);
             
-            const allowedOrigins = [
-                'http://localhost:5173',
-                'http://127.0.0.1:5173',
-                'http://localhost:3000',
-                'http://127.0.0.1:3000',
-                process.env.FRONTEND_URL
-            ].filter(Boolean);
-            
             // Check if the origin is allowed
-            if (process.env.NODE_ENV === 'development' || allowedOrigins.some(allowedOrigin => 
-                origin === allowedOrigin || 
-                origin.startsWith(`http://${allowedOrigin}`) || 
-                origin.startsWith(`https://${allowedOrigin}`)
-            )) {
+            if (process.env.NODE_ENV === 'development' || isAllowedOrigin(origin)) {
                 // Important: For credentials, we must return the specific origin
                 // rather than true to avoid the wildcard ('*') behavior
                 callback(null, origin);
@@ -51,6 +52,8 @@ const createApp = async () => {
             'X-QR-Code-Token',
             'X-QR-Token',
             'X-Use-Cookie-Auth',
+            'X-CSRF-Token',
+            'Idempotency-Key',
             'Cache-Control',
             'Pragma',
             'Expires',
@@ -77,7 +80,8 @@ const createApp = async () => {
             'set-cookie',
             'access-control-allow-credentials',
             'access-control-allow-origin',
-            'access-control-allow-headers'
+            'access-control-allow-headers',
+            'Idempotent-Replayed'
         ],
         maxAge: 86400 // 24 hours
     };
@@ -89,12 +93,22 @@ const createApp = async () => {
     app.options('*', cors(corsOptions));
     
     // Body parsers
-    app.use(express.json({ limit: '10kb' }));
+    // Keep the raw body around so webhook signatures can be verified against
+    // the exact bytes the provider signed
+    app.use(express.json({
+        limit: '10kb',
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
     app.use(express.urlencoded({ extended: true, limit: '10kb' }));
     
     // Cookie parser
     app.use(cookieParser());
 
+    // Server-side sessions for cookie-authenticated web clients
+    app.use(sessionMiddleware());
+
     // Request logger for development
     if (process.env.NODE_ENV === 'development') {
         app.use((req, res, next) => {
@@ -109,6 +123,10 @@ const createApp = async () => {
     // API Routes
     app.use('/users', userRoutes);
     app.use('/payments', paymentRoutes);
+    app.use('/passes', passRoutes);
+    app.use('/scans', scanRoutes);
+    app.use('/.well-known', wellKnownRoutes);
+    app.use('/wallet/apple', walletRoutes);
     
     // Health check endpoint
     app.get('/health', (req, res) => {
@@ -127,10 +145,6 @@ const createApp = async () => {
     // Global error handler - Must be after all other middleware and routes
     app.use(globalErrorHandler);
 
-    app.listen(process.env.PORT || 3000, () => {
-        console.log(`Server running on port ${process.env.PORT || 3000}`);
-    });
-
     return app;
 };
 
@@ -0,0 +1,27 @@
+/**
+ * Origins of our own web clients
+ * FRONTEND_URL may be given with or without a scheme.
+ * @returns {string[]}
+ */
+const getAllowedOrigins = () => [
+    'http://localhost:5173',
+    'http://127.0.0.1:5173',
+    'http://localhost:3000',
+    'http://127.0.0.1:3000',
+    process.env.FRONTEND_URL
+].filter(Boolean);
+
+/**
+ * Whether an Origin header belongs to one of our web clients
+ * Exact matches only, so lookalike hosts (example.com.evil.test) are refused.
+ * Unlike the CORS middleware, this ignores the development free-for-all.
+ * @param {string} origin - The Origin request header
+ * @returns {boolean}
+ */
+const isAllowedOrigin = (origin) => getAllowedOrigins().some(allowedOrigin =>
+    origin === allowedOrigin ||
+    origin === `http://${allowedOrigin}` ||
+    origin === `https://${allowedOrigin}`
+);
+
+export { getAllowedOrigins, isAllowedOrigin };
@@ -0,0 +1,56 @@
+const QR_MODES = ['static', 'dynamic'];
+
+/**
+ * Read the per-gate QR modes from GATE_QR_MODES
+ * e.g. GATE_QR_MODES={"north":"dynamic","staff-door":"static"}
+ * @returns {Object} QR modes keyed by gate ID
+ */
+const getGateQrModes = () => {
+    if (!process.env.GATE_QR_MODES) {
+        return {};
+    }
+
+    let gates;
+    try {
+        gates = JSON.parse(process.env.GATE_QR_MODES);
+    } catch (error) {
+        throw new Error(`GATE_QR_MODES is not valid JSON: ${error.message}`);
+    }
+
+    for (const [gateId, mode] of Object.entries(gates)) {
+        if (!QR_MODES.includes(mode)) {
+            throw new Error(`Unknown QR mode "${mode}" for gate ${gateId} in GATE_QR_MODES`);
+        }
+    }
+
+    return gates;
+};
+
+/**
+ * Get the QR mode a gate runs in
+ * Static gates accept any valid QR code; dynamic gates only accept rotating
+ * codes from the current or an adjacent time step, so screenshots go stale.
+ * Gates not listed in GATE_QR_MODES use DEFAULT_GATE_QR_MODE (static).
+ * @param {string} gateId - The gate
+ * @returns {string} static or dynamic
+ */
+const getGateQrMode = (gateId) => {
+    const gates = getGateQrModes();
+    if (gates[gateId]) {
+        return gates[gateId];
+    }
+
+    const mode = process.env.DEFAULT_GATE_QR_MODE || 'static';
+    if (!QR_MODES.includes(mode)) {
+        throw new Error(`Unknown QR mode "${mode}" in DEFAULT_GATE_QR_MODE`);
+    }
+    return mode;
+};
+
+/**
+ * Length of a dynamic QR code's time step, in seconds
+ * @returns {number}
+ */
+const getQrTotpPeriod = () => parseInt(process.env.QR_TOTP_PERIOD, 10) || 30;
+
+export { QR_MODES, getGateQrMode, getQrTotpPeriod };
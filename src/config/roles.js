@@ -0,0 +1,62 @@
+/**
+ * Roles and what they are allowed to do
+ *
+ * Every user is a customer; staff also hold operator (gate staff) or admin.
+ * Routes ask for permissions with authorize(), never for roles, so changing
+ * who may do what only means editing PERMISSIONS.
+ */
+
+const ROLES = ['customer', 'operator', 'admin'];
+
+// Roles that must use two-factor authentication
+const PRIVILEGED_ROLES = ['operator', 'admin'];
+
+const PERMISSIONS = {
+    // List users and read anyone's record (everyone can read their own)
+    'users:read': ['admin'],
+    // Change roles and rotate other users' QR codes
+    'users:manage': ['admin'],
+    // Full profile behind a QR code, for checks at the gate
+    'users:lookup': ['operator', 'admin'],
+    // Anyone's payments and why they ended up in their status (everyone can read their own)
+    'payments:read': ['admin'],
+    'refunds:read': ['admin'],
+    'refunds:create': ['admin'],
+    // Pass product catalogue
+    'passes:manage': ['admin'],
+    'scans:create': ['operator', 'admin'],
+    'scans:read': ['operator', 'admin'],
+    // Daily attendance summaries
+    'reports:read': ['operator', 'admin']
+};
+
+/**
+ * Whether a user holds a role
+ * @param {Object} user - Anything with a roles array (documents and lean objects alike)
+ * @param {string} role - One of ROLES
+ * @returns {boolean}
+ */
+const hasRole = (user, role) => Boolean(user && Array.isArray(user.roles) && user.roles.includes(role));
+
+/**
+ * Whether a user holds operator or admin
+ * @param {Object} user - Anything with a roles array
+ * @returns {boolean}
+ */
+const hasPrivilegedRole = (user) => PRIVILEGED_ROLES.some(role => hasRole(user, role));
+
+/**
+ * Whether any of a user's roles grants a permission
+ * @param {Object} user - Anything with a roles array
+ * @param {string} permission - A key of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+    const allowed = PERMISSIONS[permission];
+    if (!allowed) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+    return allowed.some(role => hasRole(user, role));
+};
+
+export { ROLES, PRIVILEGED_ROLES, PERMISSIONS, hasRole, hasPrivilegedRole, hasPermission };
@@ -0,0 +1,64 @@
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+/**
+ * Check that a string is an IANA timezone Intl knows about
+ * @param {string} timeZone - e.g. "Africa/Lagos"
+ * @returns {boolean}
+ */
+const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Read the per-venue overrides from VENUE_TIMEZONES
+ * e.g. VENUE_TIMEZONES={"accra-hub":"Africa/Accra"}
+ * @returns {Object} Timezones keyed by venue ID
+ */
+const getVenueTimezones = () => {
+    if (!process.env.VENUE_TIMEZONES) {
+        return {};
+    }
+
+    let venues;
+    try {
+        venues = JSON.parse(process.env.VENUE_TIMEZONES);
+    } catch (error) {
+        throw new Error(`VENUE_TIMEZONES is not valid JSON: ${error.message}`);
+    }
+
+    for (const [venueId, timeZone] of Object.entries(venues)) {
+        if (!isValidTimezone(timeZone)) {
+            throw new Error(`Unknown timezone "${timeZone}" for venue ${venueId} in VENUE_TIMEZONES`);
+        }
+    }
+
+    return venues;
+};
+
+/**
+ * Get the timezone a day is counted in
+ * Venues listed in VENUE_TIMEZONES use their own timezone, everything else
+ * uses BUSINESS_TIMEZONE (Africa/Lagos by default).
+ * @param {string} [venueId] - The venue the pass is for
+ * @returns {string} IANA timezone name
+ */
+const getBusinessTimezone = (venueId) => {
+    const venues = getVenueTimezones();
+    if (venueId && venues[venueId]) {
+        return venues[venueId];
+    }
+
+    const timeZone = process.env.BUSINESS_TIMEZONE || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timeZone)) {
+        throw new Error(`Unknown timezone "${timeZone}" in BUSINESS_TIMEZONE`);
+    }
+
+    return timeZone;
+};
+
+export { getBusinessTimezone, getVenueTimezones, isValidTimezone };
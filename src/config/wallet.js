@@ -0,0 +1,78 @@
+/**
+ * Apple Wallet and Google Wallet settings
+ * PEM values can be given with literal "\n" sequences, as in QR_SIGNING_KEY.
+ */
+
+const pem = (value) => (value ? value.replace(/\\n/g, '\n') : value);
+
+const DEFAULT_COLORS = {
+    background: 'rgb(23, 37, 84)',
+    foreground: 'rgb(255, 255, 255)',
+    label: 'rgb(191, 219, 254)'
+};
+
+/**
+ * Read the Apple Wallet settings
+ * Needs a Pass Type ID certificate and key from the Apple developer account,
+ * plus the Apple WWDR intermediate certificate that issued it.
+ * @returns {Object|null} The settings, or null when Apple Wallet isn't configured
+ */
+const getAppleWalletConfig = () => {
+    const required = ['APPLE_PASS_TYPE_ID', 'APPLE_TEAM_ID', 'APPLE_PASS_CERT', 'APPLE_PASS_KEY', 'APPLE_WWDR_CERT'];
+    const missing = required.filter(name => !process.env[name]);
+    if (missing.length === required.length) {
+        return null;
+    }
+    if (missing.length) {
+        throw new Error(`Apple Wallet is partly configured, missing ${missing.join(', ')}`);
+    }
+
+    return {
+        passTypeIdentifier: process.env.APPLE_PASS_TYPE_ID,
+        teamIdentifier: process.env.APPLE_TEAM_ID,
+        organizationName: process.env.APPLE_ORGANIZATION_NAME || 'EasyPass',
+        certificate: pem(process.env.APPLE_PASS_CERT),
+        privateKey: pem(process.env.APPLE_PASS_KEY),
+        privateKeyPassphrase: process.env.APPLE_PASS_KEY_PASSPHRASE,
+        wwdrCertificate: pem(process.env.APPLE_WWDR_CERT),
+        // Public base URL of the PassKit web service, i.e. https://<host>/wallet/apple
+        // Without it passes are issued without automatic updates.
+        webServiceURL: process.env.APPLE_WALLET_WEB_SERVICE_URL,
+        apnsHost: process.env.APPLE_APNS_HOST || 'api.push.apple.com',
+        colors: DEFAULT_COLORS
+    };
+};
+
+/**
+ * Read the Google Wallet settings
+ * Needs an issuer account and a service account allowed to manage its passes.
+ * @returns {Object|null} The settings, or null when Google Wallet isn't configured
+ */
+const getGoogleWalletConfig = () => {
+    const required = ['GOOGLE_WALLET_ISSUER_ID', 'GOOGLE_WALLET_SERVICE_ACCOUNT_EMAIL', 'GOOGLE_WALLET_PRIVATE_KEY'];
+    const missing = required.filter(name => !process.env[name]);
+    if (missing.length === required.length) {
+        return null;
+    }
+    if (missing.length) {
+        throw new Error(`Google Wallet is partly configured, missing ${missing.join(', ')}`);
+    }
+
+    const issuerId = process.env.GOOGLE_WALLET_ISSUER_ID;
+    return {
+        issuerId,
+        classId: `${issuerId}.${process.env.GOOGLE_WALLET_CLASS_SUFFIX || 'easypass'}`,
+        serviceAccountEmail: process.env.GOOGLE_WALLET_SERVICE_ACCOUNT_EMAIL,
+        privateKey: pem(process.env.GOOGLE_WALLET_PRIVATE_KEY),
+        // Sites allowed to show the "Add to Google Wallet" button
+        origins: (process.env.GOOGLE_WALLET_ORIGINS || process.env.FRONTEND_URL || '')
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean),
+        apiUrl: process.env.GOOGLE_WALLET_API_URL || 'https://walletobjects.googleapis.com/walletobjects/v1',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        backgroundColor: '#172554'
+    };
+};
+
+export { getAppleWalletConfig, getGoogleWalletConfig };
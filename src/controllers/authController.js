@@ -1,6 +1,90 @@
 import asyncHandler from 'express-async-handler';
 import { validationResult } from 'express-validator';
 import * as userService from '../services/userService.js';
+import {
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeUserSessions,
+    getAccessTokenTtl,
+    getRefreshTokenTtl
+} from '../services/tokenService.js';
+import { requestPasswordReset, resetPassword as resetPasswordService } from '../services/passwordResetService.js';
+import { verifyEmail as verifyEmailService, resendVerificationEmail } from '../services/emailVerificationService.js';
+import * as twoFactorService from '../services/twoFactorService.js';
+import { listUserSessions, revokeUserSession } from '../services/sessionService.js';
+import { SESSION_COOKIE, sessionCookieOptions } from '../middleware/session.js';
+import { CSRF_HEADER, issueCsrfToken } from '../middleware/csrf.js';
+import { isAllowedOrigin } from '../config/cors.js';
+
+// The refresh token cookie has to reach both /auth/refresh and /logout
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/';
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    domain: process.env.NODE_ENV === 'production' ? process.env.COOKIE_DOMAIN : undefined
+});
+
+// Set secure HTTP-only cookies with the access token and refresh token
+const setAuthCookies = (res, { token, refreshToken }) => {
+    res.cookie('token', token, {
+        ...cookieOptions(),
+        maxAge: getAccessTokenTtl() * 1000,
+        path: '/'
+    });
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...cookieOptions(),
+        maxAge: getRefreshTokenTtl() * 1000,
+        path: REFRESH_COOKIE_PATH
+    });
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie('token', { ...cookieOptions(), path: '/' });
+    res.clearCookie(REFRESH_COOKIE, { ...cookieOptions(), path: REFRESH_COOKIE_PATH });
+};
+
+const clientContext = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+});
+
+// Web clients send X-Use-Cookie-Auth: true and get a server-side session
+// (middleware/session.js) instead of tokens
+const usesCookieSession = (req) => req.get('X-Use-Cookie-Auth') === 'true';
+
+const loginContext = (req) => ({
+    ...clientContext(req),
+    cookieSession: usesCookieSession(req)
+});
+
+// Start a fresh session for the user; regenerating the ID prevents session fixation
+const startCookieSession = (req, { _id, tokenVersion }) => new Promise((resolve, reject) => {
+    req.session.regenerate((error) => {
+        if (error) {
+            return reject(error);
+        }
+
+        const { ip, userAgent } = clientContext(req);
+        req.session.userId = _id.toString();
+        req.session.tokenVersion = tokenVersion;
+        req.session.ip = ip;
+        req.session.userAgent = userAgent ? userAgent.slice(0, 500) : undefined;
+        req.session.save(saveError => (saveError ? reject(saveError) : resolve()));
+    });
+});
+
+// Destroy the session of this request, if any, and clear its cookie
+const endCookieSession = async (req, res) => {
+    if (req.session) {
+        await new Promise((resolve, reject) => {
+            req.session.destroy(error => (error ? reject(error) : resolve()));
+        });
+    }
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+};
 
 // @desc    Register a new user
 // @route   POST /api/users/register
@@ -13,7 +97,7 @@ const registerUser = asyncHandler(async (req, res) => {
     }
 
     try {
-        const user = await userService.registerUser(req.body);
+        const user = await userService.registerUser(req.body, clientContext(req));
         res.status(201).json(user);
     } catch (error) {
         console.error('Registration error:', error);
@@ -77,8 +161,32 @@ const loginUser = asyncHandler(async (req, res) => {
         console.log('Attempting to authenticate user:', email);
         
         // Login user
-        const user = await userService.loginUser(email, password);
+        const user = await userService.loginUser(email, password, loginContext(req));
+
+        // No session yet: the client finishes with POST /auth/2fa/verify
+        if (user && user.twoFactorRequired) {
+            res.set('Cache-Control', 'no-store');
+            return res.status(200).json({
+                success: true,
+                message: user.enrolmentRequired
+                    ? 'Two-factor authentication must be set up for this account'
+                    : 'Two-factor authentication required',
+                data: user
+            });
+        }
         
+        if (user && usesCookieSession(req)) {
+            await startCookieSession(req, user);
+
+            const { password: _, tokenVersion, ...userData } = user;
+            console.log('Sending successful login response with a cookie session');
+            return res.status(200).json({
+                success: true,
+                message: 'Authentication successful',
+                data: userData
+            });
+        }
+
         if (!user || !user.token) {
             console.error('Authentication failed - no user or token returned');
             return res.status(401).json({
@@ -88,17 +196,8 @@ const loginUser = asyncHandler(async (req, res) => {
             });
         }
 
-        console.log('User authenticated successfully, setting auth cookie');
-        
-        // Set secure HTTP-only cookie with token
-        res.cookie('token', user.token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-            path: '/',
-            domain: process.env.NODE_ENV === 'production' ? process.env.COOKIE_DOMAIN : undefined
-        });
+        console.log('User authenticated successfully, setting auth cookies');
+        setAuthCookies(res, user);
 
         // Return user data with token but without sensitive information
         const { password: _, ...userData } = user;
@@ -126,6 +225,9 @@ const loginUser = asyncHandler(async (req, res) => {
             message = 'Invalid email or password';
         } else if (statusCode === 403) {
             message = 'Account is deactivated';
+        } else if (statusCode === 429) {
+            message = error.message;
+            res.set('Retry-After', String(error.retryAfter));
         } else if (statusCode === 400) {
             message = error.message || 'Invalid request';
         }
@@ -142,4 +244,496 @@ const loginUser = asyncHandler(async (req, res) => {
     }
 });
 
-export { registerUser, loginUser };
+/**
+ * @desc    Get a CSRF token for cookie-authenticated requests
+ * @route   GET /auth/csrf-token
+ * @access  Public (our own web origins only)
+ */
+const getCsrfToken = asyncHandler(async (req, res) => {
+    // With credentials, the development CORS policy lets any origin read this
+    // response, so check the origin against the real allowlist here
+    const origin = req.get('Origin');
+    res.vary('Origin');
+    if (origin && !isAllowedOrigin(origin)) {
+        console.warn('CSRF token refused for origin:', origin);
+        return res.status(403).json({
+            success: false,
+            message: 'Origin not allowed'
+        });
+    }
+
+    const csrfToken = issueCsrfToken(res);
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+        success: true,
+        message: `Send this token in the ${CSRF_HEADER} header with cookie-authenticated requests`,
+        data: { csrfToken, headerName: CSRF_HEADER }
+    });
+});
+
+/**
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @route   POST /auth/refresh
+ * @access  Public (refresh token in the body, or the refreshToken cookie)
+ */
+const refreshAuthToken = asyncHandler(async (req, res) => {
+    const presented = (req.body && req.body.refreshToken) || req.cookies[REFRESH_COOKIE];
+
+    try {
+        const tokens = await rotateRefreshToken(presented, clientContext(req));
+        setAuthCookies(res, tokens);
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed',
+            data: {
+                token: tokens.token,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.expiresIn
+            }
+        });
+    } catch (error) {
+        if (error.statusCode === 401) {
+            res.clearCookie(REFRESH_COOKIE, { ...cookieOptions(), path: REFRESH_COOKIE_PATH });
+            return res.status(401).json({
+                success: false,
+                message: error.message,
+                requiresAuth: true
+            });
+        }
+
+        console.error('Error refreshing token:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token',
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+/**
+ * @desc    Log out this device: clear the auth cookies and end its refresh token or session
+ * @route   POST /logout
+ * @access  Public (refresh token in the body, the refreshToken cookie, or the session cookie)
+ */
+const logoutUser = asyncHandler(async (req, res) => {
+    const presented = (req.body && req.body.refreshToken) || req.cookies[REFRESH_COOKIE];
+
+    try {
+        await revokeRefreshToken(presented);
+        await endCookieSession(req, res);
+        clearAuthCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out'
+        });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out',
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+/**
+ * @desc    Log out everywhere: invalidate every access and refresh token of the user
+ * @route   POST /logout-all
+ * @access  Private
+ */
+const logoutAllSessions = asyncHandler(async (req, res) => {
+    try {
+        await revokeUserSessions(req.user._id, 'Logged out everywhere');
+        await endCookieSession(req, res);
+        clearAuthCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out of all sessions'
+        });
+    } catch (error) {
+        console.error('Error logging out of all sessions:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to log out of all sessions',
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+/**
+ * @desc    List the user's cookie sessions (signed-in browsers)
+ * @route   GET /auth/sessions
+ * @access  Private
+ */
+const listSessions = asyncHandler(async (req, res) => {
+    try {
+        const sessions = await listUserSessions(req.user._id, req.sessionID);
+
+        res.status(200).json({
+            success: true,
+            message: 'Sessions retrieved',
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list sessions',
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+/**
+ * @desc    Sign out one browser
+ * @route   DELETE /auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+    try {
+        const { sessionId } = await revokeUserSession(req.user._id, req.params.id);
+        if (sessionId === req.sessionID) {
+            await endCookieSession(req, res);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error revoking session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session',
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /auth/forgot-password
+ * @access  Public (rate limited)
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+    try {
+        await requestPasswordReset(req.body.email);
+    } catch (error) {
+        // Logged, but answered like every other request so nothing leaks
+        console.error('Error requesting password reset:', error);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+    });
+});
+
+/**
+ * @desc    Set a new password with a reset token, ending every existing session
+ * @route   POST /auth/reset-password
+ * @access  Public (rate limited)
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+    try {
+        await resetPasswordService(req.body.token, req.body.password);
+        clearAuthCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset, please log in with your new password'
+        });
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error resetting password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password',
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+/**
+ * @desc    Verify an email address from the link sent at registration
+ * @route   GET /auth/verify-email?token=
+ * @access  Public
+ *
+ * Opened from an email client, so with EMAIL_VERIFIED_REDIRECT_URL set it
+ * redirects there with ?status=verified|invalid instead of answering JSON.
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+    const redirectUrl = process.env.EMAIL_VERIFIED_REDIRECT_URL;
+    const redirectWith = (status) => {
+        const url = new URL(redirectUrl);
+        url.searchParams.set('status', status);
+        return res.redirect(303, url.toString());
+    };
+
+    try {
+        const { alreadyVerified } = await verifyEmailService(req.query.token);
+
+        if (redirectUrl) {
+            return redirectWith('verified');
+        }
+        res.status(200).json({
+            success: true,
+            message: alreadyVerified ? 'Email address was already verified' : 'Email address verified',
+            data: { emailVerified: true }
+        });
+    } catch (error) {
+        if (error.statusCode === 400) {
+            if (redirectUrl) {
+                return redirectWith('invalid');
+            }
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error verifying email:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify email address',
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+/**
+ * @desc    Email a new verification link
+ * @route   POST /auth/resend-verification
+ * @access  Public (rate limited)
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+    try {
+        await resendVerificationEmail(req.body.email);
+    } catch (error) {
+        // Logged, but answered like every other request so nothing leaks
+        console.error('Error resending verification email:', error);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'If that email belongs to an unverified account, a new verification link has been sent'
+    });
+});
+
+// Shared by the two-factor endpoints: 4xx errors from the service are safe to show
+const handleTwoFactorError = (res, error, action) => {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+    if (error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Two-factor authentication failed',
+        ...(process.env.NODE_ENV === 'development' && {
+            error: error.message,
+            stack: error.stack
+        })
+    });
+};
+
+/**
+ * @desc    Finish a login with a code from the authenticator app or a recovery code
+ * @route   POST /auth/2fa/verify
+ * @access  Public (challenge token from POST /login, rate limited)
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    try {
+        const user = await userService.completeTwoFactorLogin(
+            challengeToken,
+            { code, recoveryCode },
+            loginContext(req)
+        );
+
+        if (usesCookieSession(req)) {
+            await startCookieSession(req, user);
+        } else {
+            setAuthCookies(res, user);
+        }
+
+        const { tokenVersion, ...userData } = user;
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            success: true,
+            message: 'Authentication successful',
+            data: userData
+        });
+    } catch (error) {
+        handleTwoFactorError(res, error, 'completing two-factor login');
+    }
+});
+
+/**
+ * @desc    Show the secret for a staff member who has to enrol before logging in
+ * @route   POST /auth/2fa/enrol
+ * @access  Public (enrolment challenge token from POST /login)
+ */
+const enrolTwoFactorAtLogin = asyncHandler(async (req, res) => {
+    try {
+        const user = await twoFactorService.readLoginChallenge(req.body.challengeToken);
+        const enrolment = await twoFactorService.beginEnrolment(user);
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code, then send a code to /auth/2fa/verify',
+            data: enrolment
+        });
+    } catch (error) {
+        handleTwoFactorError(res, error, 'starting two-factor enrolment');
+    }
+});
+
+/**
+ * @desc    Start turning on two-factor authentication
+ * @route   POST /auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    try {
+        const enrolment = await twoFactorService.beginEnrolment(req.user);
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code, then confirm with a code at /auth/2fa/enable',
+            data: enrolment
+        });
+    } catch (error) {
+        handleTwoFactorError(res, error, 'starting two-factor enrolment');
+    }
+});
+
+/**
+ * @desc    Turn on two-factor authentication with a code from the new secret
+ * @route   POST /auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    try {
+        const recoveryCodes = await twoFactorService.confirmEnrolment(req.user, req.body.code);
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled, store these recovery codes somewhere safe',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        handleTwoFactorError(res, error, 'enabling two-factor authentication');
+    }
+});
+
+/**
+ * @desc    Turn off two-factor authentication (not allowed for staff)
+ * @route   POST /auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    try {
+        await twoFactorService.disableTwoFactor(req.user, {
+            code: req.body.code,
+            recoveryCode: req.body.recoveryCode
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        handleTwoFactorError(res, error, 'disabling two-factor authentication');
+    }
+});
+
+/**
+ * @desc    Replace the recovery codes
+ * @route   POST /auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    try {
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code);
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes issued, the old ones no longer work',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        handleTwoFactorError(res, error, 'regenerating recovery codes');
+    }
+});
+
+export {
+    registerUser,
+    loginUser,
+    getCsrfToken,
+    refreshAuthToken,
+    logoutUser,
+    logoutAllSessions,
+    listSessions,
+    revokeSession,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    verifyTwoFactorLogin,
+    enrolTwoFactorAtLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
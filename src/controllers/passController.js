@@ -0,0 +1,144 @@
+import {
+    listPassProductsService,
+    createPassProductService,
+    updatePassProductService,
+    getActivePassService,
+    getUserPassesService,
+    toPassSummary
+} from '../services/passService.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @desc    Check whether the authenticated user is allowed in right now
+ * @route   GET /api/passes/active
+ * @access  Private
+ */
+export const getActivePass = async (req, res) => {
+    try {
+        const pass = await getActivePassService(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: pass ? 'Active pass found' : 'No active pass',
+            data: {
+                allowed: !!pass,
+                pass: pass ? toPassSummary(pass) : null
+            }
+        });
+    } catch (error) {
+        console.error('Error checking active pass:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to check active pass',
+        });
+    }
+};
+
+/**
+ * @desc    List the authenticated user's passes
+ * @route   GET /api/passes
+ * @access  Private
+ */
+export const getMyPasses = async (req, res) => {
+    try {
+        const passes = await getUserPassesService(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Passes retrieved successfully',
+            data: passes
+        });
+    } catch (error) {
+        console.error('Error fetching passes:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch passes',
+        });
+    }
+};
+
+/**
+ * @desc    List the pass products on sale
+ * @route   GET /api/passes/products
+ * @access  Public
+ */
+export const getPassProducts = async (req, res) => {
+    try {
+        const products = await listPassProductsService();
+
+        res.status(200).json({
+            success: true,
+            message: 'Pass products retrieved successfully',
+            data: products
+        });
+    } catch (error) {
+        console.error('Error fetching pass products:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch pass products',
+        });
+    }
+};
+
+/**
+ * @desc    Add a pass product to the catalogue
+ * @route   POST /api/passes/products
+ * @access  Private/Admin
+ */
+export const createPassProduct = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const product = await createPassProductService(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Pass product created successfully',
+            data: product
+        });
+    } catch (error) {
+        console.error('Error creating pass product:', error);
+        let statusCode = error.statusCode || 500;
+        if (error.code === 11000) {
+            statusCode = 409;
+        } else if (error.name === 'ValidationError') {
+            statusCode = 400;
+        }
+        res.status(statusCode).json({
+            success: false,
+            message: error.code === 11000 ? 'A product with this code already exists' : error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Update a pass product, e.g. change its prices or stop selling it
+ * @route   PATCH /api/passes/products/:id
+ * @access  Private/Admin
+ */
+export const updatePassProduct = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const product = await updatePassProductService(req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Pass product updated successfully',
+            data: product
+        });
+    } catch (error) {
+        console.error('Error updating pass product:', error);
+        const statusCode = error.name === 'ValidationError' ? 400 : error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: error.message || 'Failed to update pass product',
+        });
+    }
+};
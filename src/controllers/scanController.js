@@ -0,0 +1,116 @@
+import {
+    recordScanService,
+    getScanEventsService,
+    getDailyScanSummaryService
+} from '../services/scanService.js';
+import { getQrPublicKeys } from '../services/qrSigningService.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @desc    Check a QR code at a gate and record the entry decision
+ * @route   POST /api/scans
+ * @access  Private/Operator
+ */
+export const recordScan = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const verdict = await recordScanService(
+            { qrToken: req.body.qrToken, gateId: req.body.gateId },
+            req.user._id
+        );
+
+        // A denied entry is still a successful scan
+        res.status(201).json({
+            success: true,
+            message: verdict.message,
+            data: verdict
+        });
+    } catch (error) {
+        console.error('Error recording scan:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to record scan',
+        });
+    }
+};
+
+/**
+ * @desc    List scan events (entry audit trail)
+ * @route   GET /api/scans
+ * @access  Private/Operator
+ */
+export const getScans = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { gate, decision, userId, from, to, page, limit } = req.query;
+        const result = await getScanEventsService({ gate, decision, userId, from, to, page, limit });
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan events retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error fetching scan events:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch scan events',
+        });
+    }
+};
+
+/**
+ * @desc    Daily entry counts per gate
+ * @route   GET /api/scans/summary
+ * @access  Private/Operator
+ */
+export const getScanSummary = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { from, to, gate } = req.query;
+        const summary = await getDailyScanSummaryService({ from, to, gate });
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan summary retrieved successfully',
+            data: summary
+        });
+    } catch (error) {
+        console.error('Error fetching scan summary:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch scan summary',
+        });
+    }
+};
+
+/**
+ * @desc    Publish the public keys scanners use to verify QR codes offline
+ * @route   GET /.well-known/qr-keys
+ * @access  Public
+ */
+export const getQrKeys = async (req, res) => {
+    try {
+        // Scanners cache the keys while offline; rotations publish the new key ahead of use
+        res.set('Cache-Control', 'public, max-age=300');
+        res.status(200).json(getQrPublicKeys());
+    } catch (error) {
+        console.error('Error publishing QR keys:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load QR signing keys',
+        });
+    }
+};
@@ -1,6 +1,10 @@
 import asyncHandler from 'express-async-handler';
 import * as userService from '../services/userService.js';
 import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { hasPermission } from '../config/roles.js';
+import * as accountService from '../services/accountService.js';
+import { getLoginHistory } from '../services/loginProtectionService.js';
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -23,8 +27,14 @@ const getUsers = asyncHandler(async (req, res) => {
 
 // @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Private/Admin
+// @access  Private (own record, or users:read)
 const getUserById = asyncHandler(async (req, res) => {
+    if (req.params.id !== req.user._id.toString() && !hasPermission(req.user, 'users:read')) {
+        return res.status(403).json({
+            message: 'Not authorized to view this user'
+        });
+    }
+
     try {
         const user = await userService.getUserById(req.params.id);
         res.json(user);
@@ -55,36 +65,322 @@ const getUserById = asyncHandler(async (req, res) => {
     }
 });
 
-// @desc    Get user by QR code token
+// Shared by the public and operator QR lookups
+const handleQrLookupError = (res, error) => {
+    // Handle not found
+    if (error.statusCode === 404) {
+        return res.status(404).json({
+            message: 'User not found with this QR code'
+        });
+    }
+
+    // Handle a token that was rotated away - distinct from an unknown code
+    if (error.statusCode === 410) {
+        return res.status(410).json({
+            message: 'This QR code has been revoked',
+            revoked: true,
+            revokedAt: error.revokedAt
+        });
+    }
+    
+    // Handle other errors
+    console.error('Error looking up QR token:', error);
+    res.status(500).json({
+        message: 'Error retrieving user',
+        ...(process.env.NODE_ENV === 'development' && { 
+            error: error.message,
+            stack: error.stack
+        })
+    });
+};
+
+// @desc    Check whether a QR code token lets its holder in
 // @route   GET /api/users/qr/:token
-// @access  Public
+// @access  Public (rate limited)
+const verifyQrCode = asyncHandler(async (req, res) => {
+    try {
+        const verdict = await userService.verifyQrToken(req.params.token);
+        res.set('Cache-Control', 'no-store');
+        res.json(verdict);
+    } catch (error) {
+        handleQrLookupError(res, error);
+    }
+});
+
+// @desc    Get the full profile behind a QR code token
+// @route   GET /api/users/qr/:token/profile
+// @access  Private/Operator
 const getUserByQrToken = asyncHandler(async (req, res) => {
     try {
         const user = await userService.getUserByQrToken(req.params.token);
+        res.set('Cache-Control', 'no-store');
         res.json(user);
     } catch (error) {
-        // Handle not found
+        handleQrLookupError(res, error);
+    }
+});
+
+// @desc    Get a freshly signed QR code for the logged-in user
+// @route   GET /api/users/me/qr?mode=static|dynamic
+// @access  Private
+const getMyQrCode = asyncHandler(async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const qrCode = await userService.getUserQrCode(req.user._id, { mode: req.query.mode });
+        res.set('Cache-Control', 'no-store');
+        res.json(qrCode);
+    } catch (error) {
         if (error.statusCode === 404) {
             return res.status(404).json({
-                message: 'User not found with this QR code'
+                message: 'User not found'
             });
         }
-        
-        // Handle other errors
-        console.error('Error fetching user by QR token:', error);
+
+        console.error('Error generating QR code:', error);
         res.status(500).json({
-            message: 'Error retrieving user',
+            message: 'Error generating QR code',
+            ...(process.env.NODE_ENV === 'development' && { 
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+// @desc    Render the logged-in user's QR code as PNG, SVG or a printable PDF pass card
+// @route   GET /api/users/me/qr.:format(png|svg|pdf)?size=&margin=&ecc=
+// @access  Private
+const renderMyQrCode = asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { format } = req.params;
+        const result = await userService.renderUserQrCode(req.user._id, {
+            format,
+            size: req.query.size,
+            margin: req.query.margin,
+            errorCorrectionLevel: req.query.ecc,
+            ifNoneMatch: req.get('If-None-Match')
+        });
+
+        // Private to the user, and revalidated every time so a rotated token or a
+        // refunded pass never lingers in a cache
+        res.set({
+            'Cache-Control': 'private, no-cache',
+            ETag: result.etag,
+            Vary: 'Authorization, Cookie'
+        });
+
+        if (result.notModified) {
+            return res.status(304).end();
+        }
+
+        if (format === 'pdf') {
+            res.set('Content-Disposition', 'inline; filename="easypass-card.pdf"');
+        }
+        res.type(result.contentType).send(result.body);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return res.status(404).json({
+                message: 'User not found'
+            });
+        }
+
+        console.error('Error rendering QR code:', error);
+        res.status(500).json({
+            message: 'Error rendering QR code',
+            ...(process.env.NODE_ENV === 'development' && { 
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+// Shared by the self-service and admin rotation endpoints
+const rotateQrCode = async (req, res, userId) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await userService.rotateQrToken(userId, {
+            reason: req.body.reason,
+            actorId: req.user._id
+        });
+        res.set('Cache-Control', 'no-store');
+        res.status(201).json(result);
+    } catch (error) {
+        if (error.statusCode === 400 || error.statusCode === 404) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+
+        console.error('Error rotating QR code:', error);
+        res.status(500).json({
+            message: 'Error rotating QR code',
             ...(process.env.NODE_ENV === 'development' && { 
                 error: error.message,
                 stack: error.stack
             })
         });
     }
+};
+
+// @desc    Issue a new QR code for the logged-in user and revoke the old one
+// @route   POST /api/users/me/qr/rotate
+// @access  Private
+const rotateMyQrCode = asyncHandler(async (req, res) => {
+    await rotateQrCode(req, res, req.user._id);
+});
+
+// @desc    Issue a new QR code for a user and revoke the old one
+// @route   POST /api/users/:id/qr/rotate
+// @access  Private/Admin
+const rotateUserQrCode = asyncHandler(async (req, res) => {
+    await rotateQrCode(req, res, req.params.id);
+});
+
+// @desc    Recent login attempts on the logged-in user's account
+// @route   GET /api/users/me/login-history
+// @access  Private
+const getMyLoginHistory = asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const history = await getLoginHistory(req.user._id, { limit: req.query.limit || 50 });
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching login history:', error);
+        res.status(500).json({
+            message: 'Error retrieving login history',
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+// @desc    Replace a user's roles
+// @route   PATCH /api/users/:id/roles
+// @access  Private/Admin
+const updateUserRoles = asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await userService.updateUserRoles(req.params.id, req.body.roles, {
+            actorId: req.user._id
+        });
+        res.json(result);
+    } catch (error) {
+        if (error.statusCode === 400 || error.statusCode === 404) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+
+        console.error('Error updating user roles:', error);
+        res.status(500).json({
+            message: 'Error updating user roles',
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+});
+
+// Shared by the suspend, reinstate and delete endpoints
+const changeAccountStatus = async (req, res, change, action) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await change(req.params.id, {
+            reason: req.body.reason,
+            expiresAt: req.body.expiresAt,
+            actorId: req.user._id,
+            ip: req.ip
+        });
+        res.json(result);
+    } catch (error) {
+        if ([400, 404, 409].includes(error.statusCode)) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+
+        console.error(`Error ${action}:`, error);
+        res.status(500).json({
+            message: `Error ${action}`,
+            ...(process.env.NODE_ENV === 'development' && {
+                error: error.message,
+                stack: error.stack
+            })
+        });
+    }
+};
+
+// @desc    Suspend a user, optionally until a given time
+// @route   POST /api/users/:id/suspend
+// @access  Private/Admin
+const suspendUser = asyncHandler(async (req, res) => {
+    await changeAccountStatus(req, res, accountService.suspendUser, 'suspending user');
+});
+
+// @desc    Lift a user's suspension
+// @route   POST /api/users/:id/reinstate
+// @access  Private/Admin
+const reinstateUser = asyncHandler(async (req, res) => {
+    await changeAccountStatus(req, res, accountService.reinstateUser, 'reinstating user');
+});
+
+// @desc    Lift a login lockout
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = asyncHandler(async (req, res) => {
+    await changeAccountStatus(req, res, accountService.unlockUser, 'unlocking user');
+});
+
+// @desc    Soft-delete a user and revoke their QR code
+// @route   DELETE /api/users/:id
+// @access  Private/Admin
+const deleteUser = asyncHandler(async (req, res) => {
+    await changeAccountStatus(req, res, accountService.softDeleteUser, 'deleting user');
 });
 
 // Export all controller functions
 export {
     getUsers,
     getUserById,
-    getUserByQrToken
+    verifyQrCode,
+    getUserByQrToken,
+    getMyQrCode,
+    renderMyQrCode,
+    rotateMyQrCode,
+    rotateUserQrCode,
+    getMyLoginHistory,
+    updateUserRoles,
+    suspendUser,
+    reinstateUser,
+    unlockUser,
+    deleteUser
 };
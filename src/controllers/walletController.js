@@ -0,0 +1,174 @@
+import {
+    getApplePassService,
+    registerAppleDeviceService,
+    unregisterAppleDeviceService,
+    getUpdatedApplePassesService,
+    getLatestApplePassService,
+    getGoogleWalletSaveUrlService
+} from '../services/walletService.js';
+import { validationResult } from 'express-validator';
+
+const PKPASS_CONTENT_TYPE = 'application/vnd.apple.pkpass';
+
+/**
+ * @desc    Download the authenticated user's pass for Apple Wallet
+ * @route   GET /api/passes/wallet/apple
+ * @access  Private
+ */
+export const downloadApplePass = async (req, res) => {
+    try {
+        const { body, lastModified } = await getApplePassService(req.user._id);
+
+        res.set({
+            'Cache-Control': 'private, no-store',
+            'Content-Disposition': 'attachment; filename="easypass.pkpass"',
+            'Last-Modified': lastModified.toUTCString()
+        });
+        res.type(PKPASS_CONTENT_TYPE).send(body);
+    } catch (error) {
+        console.error('Error building Apple Wallet pass:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to build Apple Wallet pass',
+        });
+    }
+};
+
+/**
+ * @desc    Get an "Add to Google Wallet" link for the authenticated user's pass
+ * @route   GET /api/passes/wallet/google
+ * @access  Private
+ */
+export const getGoogleWalletLink = async (req, res) => {
+    try {
+        const link = await getGoogleWalletSaveUrlService(req.user._id);
+
+        res.set('Cache-Control', 'private, no-store');
+        res.status(200).json({
+            success: true,
+            message: 'Google Wallet link created',
+            data: link
+        });
+    } catch (error) {
+        console.error('Error creating Google Wallet link:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to create Google Wallet link',
+        });
+    }
+};
+
+// The PassKit web service below follows Apple's protocol: bare status codes,
+// and bodies only where Apple defines them.
+
+const webServiceError = (res, error, action) => {
+    if (error.statusCode === 401 || error.statusCode === 503) {
+        return res.sendStatus(error.statusCode);
+    }
+    console.error(`Error ${action}:`, error);
+    res.sendStatus(500);
+};
+
+const passParams = (req) => ({
+    passTypeIdentifier: req.params.passTypeIdentifier,
+    serialNumber: req.params.serialNumber,
+    authorization: req.get('Authorization')
+});
+
+/**
+ * @desc    Register a device for updates to a pass
+ * @route   POST /wallet/apple/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier/:serialNumber
+ * @access  Apple Wallet (ApplePass authentication token)
+ */
+export const registerAppleDevice = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.sendStatus(400);
+    }
+
+    try {
+        const { created } = await registerAppleDeviceService({
+            ...passParams(req),
+            deviceLibraryIdentifier: req.params.deviceLibraryIdentifier,
+            pushToken: req.body.pushToken
+        });
+        res.sendStatus(created ? 201 : 200);
+    } catch (error) {
+        webServiceError(res, error, 'registering wallet device');
+    }
+};
+
+/**
+ * @desc    Unregister a device from updates to a pass
+ * @route   DELETE /wallet/apple/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier/:serialNumber
+ * @access  Apple Wallet (ApplePass authentication token)
+ */
+export const unregisterAppleDevice = async (req, res) => {
+    try {
+        await unregisterAppleDeviceService({
+            ...passParams(req),
+            deviceLibraryIdentifier: req.params.deviceLibraryIdentifier
+        });
+        res.sendStatus(200);
+    } catch (error) {
+        webServiceError(res, error, 'unregistering wallet device');
+    }
+};
+
+/**
+ * @desc    List the passes on a device that changed since the last check
+ * @route   GET /wallet/apple/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier
+ * @access  Apple Wallet
+ */
+export const getUpdatedApplePasses = async (req, res) => {
+    try {
+        const updates = await getUpdatedApplePassesService({
+            deviceLibraryIdentifier: req.params.deviceLibraryIdentifier,
+            passTypeIdentifier: req.params.passTypeIdentifier,
+            passesUpdatedSince: req.query.passesUpdatedSince
+        });
+
+        if (!updates) {
+            return res.sendStatus(204);
+        }
+        res.status(200).json(updates);
+    } catch (error) {
+        webServiceError(res, error, 'listing updated wallet passes');
+    }
+};
+
+/**
+ * @desc    Get the latest version of a pass
+ * @route   GET /wallet/apple/v1/passes/:passTypeIdentifier/:serialNumber
+ * @access  Apple Wallet (ApplePass authentication token)
+ */
+export const getLatestApplePass = async (req, res) => {
+    try {
+        const result = await getLatestApplePassService({
+            ...passParams(req),
+            ifModifiedSince: req.get('If-Modified-Since')
+        });
+
+        res.set({
+            'Cache-Control': 'no-cache',
+            'Last-Modified': result.lastModified.toUTCString()
+        });
+        if (result.notModified) {
+            return res.status(304).end();
+        }
+        res.type(PKPASS_CONTENT_TYPE).send(result.body);
+    } catch (error) {
+        webServiceError(res, error, 'building wallet pass update');
+    }
+};
+
+/**
+ * @desc    Receive error messages from Apple Wallet
+ * @route   POST /wallet/apple/v1/log
+ * @access  Apple Wallet
+ */
+export const logAppleWalletMessages = (req, res) => {
+    const logs = Array.isArray(req.body && req.body.logs) ? req.body.logs : [];
+    logs.slice(0, 20).forEach(message => console.warn('Apple Wallet:', String(message).slice(0, 500)));
+    res.sendStatus(200);
+};
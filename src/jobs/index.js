@@ -0,0 +1,77 @@
+import { liftExpiredSuspensions } from '../services/accountService.js';
+
+/**
+ * Scheduled background jobs
+ *
+ * Started by server.js once the database is connected (not by createApp, so
+ * tests don't get timers). Each job runs on a fixed interval and is skipped if
+ * its previous run hasn't finished. Jobs must be safe to run on several
+ * instances at once. JOBS_ENABLED=false turns them all off, e.g. to run them
+ * on a single worker.
+ */
+
+const JOBS = [
+    {
+        name: 'lift-expired-suspensions',
+        // SUSPENSION_SWEEP_INTERVAL_SECONDS, default 1 minute
+        intervalMs: () => (parseInt(process.env.SUSPENSION_SWEEP_INTERVAL_SECONDS, 10) || 60) * 1000,
+        run: () => liftExpiredSuspensions()
+    }
+];
+
+const timers = new Map();
+
+/**
+ * Run a job, logging failures instead of throwing
+ * @param {Object} job - One of JOBS
+ * @param {Object} state - Tracks whether a run is in progress
+ */
+const runJob = async (job, state) => {
+    if (state.running) {
+        console.warn('Job still running, skipping this run:', { job: job.name });
+        return;
+    }
+
+    state.running = true;
+    try {
+        await job.run();
+    } catch (error) {
+        console.error('Job failed:', { job: job.name, error: error.message });
+    } finally {
+        state.running = false;
+    }
+};
+
+/**
+ * Start every job on its interval
+ */
+const startJobs = () => {
+    if (process.env.JOBS_ENABLED === 'false') {
+        console.log('Scheduled jobs are disabled (JOBS_ENABLED=false)');
+        return;
+    }
+
+    for (const job of JOBS) {
+        if (timers.has(job.name)) {
+            continue;
+        }
+        const state = { running: false };
+        const timer = setInterval(() => runJob(job, state), job.intervalMs());
+        // Don't keep the process alive just for the jobs
+        timer.unref();
+        timers.set(job.name, timer);
+        console.log('Scheduled job started:', { job: job.name, intervalMs: job.intervalMs() });
+    }
+};
+
+/**
+ * Stop every job
+ */
+const stopJobs = () => {
+    for (const timer of timers.values()) {
+        clearInterval(timer);
+    }
+    timers.clear();
+};
+
+export { startJobs, stopJobs };
@@ -1,9 +1,12 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { hasPermission } from '../config/roles.js';
+import { hasValidCsrfToken, rejectCsrf } from './csrf.js';
 
 /**
  * Middleware to protect routes that require authentication
- * Verifies JWT token from cookies or Authorization header and attaches user to the request object
+ * Verifies JWT token from the Authorization header, cookies or the session and attaches user to the request object
+ * Requests authenticated by a cookie must pass the CSRF check for unsafe methods
  */
 const protect = async (req, res, next) => {
     let token;
@@ -16,18 +19,19 @@ const protect = async (req, res, next) => {
         cookie: req.headers.cookie ? 'Cookie [REDACTED]' : undefined
     });
     
-    // 1. First try to get token from cookies
-    if (req.cookies.token) {
-        token = req.cookies.token;
-        tokenSource = 'cookie';
-        console.log('🔑 Token found in cookies');
-    } 
-    // 2. Then try to get token from Authorization header
-    else if (req.headers.authorization.startsWith('Bearer ')) {
+    // 1. First try to get token from the Authorization header, so a client that
+    //    sends one is never authenticated by a cookie it happens to carry
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
         token = req.headers.authorization.split(' ')[1];
         tokenSource = 'authorization_header';
         console.log('🔑 Token found in Authorization header');
     }
+    // 2. Then try to get token from cookies
+    else if (req.cookies.token) {
+        token = req.cookies.token;
+        tokenSource = 'cookie';
+        console.log('🔑 Token found in cookies');
+    } 
     // 3. Check for x-use-cookie-auth header
     else if (req.headers['x-use-cookie-auth'] === 'true' && req.cookies) {
         // If using cookie-based auth but no token in cookies, try to use session
@@ -47,11 +51,19 @@ const protect = async (req, res, next) => {
         });
     }
     
+    // Browsers attach cookies to cross-site requests too: unsafe methods
+    // authenticated by one must carry the CSRF token (see middleware/csrf.js)
+    const cookieAuthenticated = tokenSource === 'cookie' || (!token && req.session && req.session.userId);
+    if (cookieAuthenticated && !hasValidCsrfToken(req)) {
+        console.error('❌ CSRF check failed for cookie-authenticated request');
+        return rejectCsrf(res);
+    }
+    
     // If we have a token, verify it
     if (token) {
         // Ensure token is a string and not empty
         if (typeof token !== 'string' || !token.trim()) {
-            console.error('❌ Invalid token format:', token);
+            console.error('❌ Invalid token format');
             return res.status(401).json({
                 success: false,
                 message: 'Not authorized, invalid token format',
@@ -62,16 +74,7 @@ const protect = async (req, res, next) => {
         try {
             console.log('🔍 Verifying token...');
             
-            // Log the token for debugging
-            console.log('🔐 Token to verify:', token);
-            console.log('🔑 JWT Secret being used:', process.env.JWT_SECRET ? '*** (set)' : 'Using fallback secret');
-            
-            // First, decode without verification to see the content
-            const unverified = jwt.decode(token, { complete: true });
-            console.log('🔍 Unverified token header:', unverified.header);
-            console.log('🔍 Unverified token payload:', unverified.payload);
-            
-            // Now verify the token with all possible claims
+            // Verify the token with all possible claims
             const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret', {
                 issuer: 'easypass-api',
                 audience: 'easypass-client',
@@ -86,8 +89,7 @@ const protect = async (req, res, next) => {
                 iat: decoded.iat ? new Date(decoded.iat * 1000).toISOString() : null,
                 exp: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null,
                 issuer: decoded.iss,
-                audience: decoded.aud,
-                allClaims: JSON.stringify(decoded, null, 2)
+                audience: decoded.aud
             });
             
             // Get user from the token
@@ -112,6 +114,17 @@ const protect = async (req, res, next) => {
                 });
             }
             
+            // Tokens issued before the last logout-all, password change or suspension
+            // carry an older version (tokens from before versioning count as 0)
+            if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+                console.error(' Token version is stale for user:', user._id);
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has been revoked, please log in again',
+                    requiresAuth: true
+                });
+            }
+            
             // Attach user to request object
             req.user = user;
             console.log(` User authenticated: ${user._id} (${user.email})`);
@@ -181,6 +194,18 @@ const protect = async (req, res, next) => {
                 });
             }
             
+            // Sessions started before the last logout-all, password change or
+            // suspension carry an older version, like access tokens do
+            if ((req.session.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+                console.error(' Session version is stale for user:', user._id);
+                req.session.destroy(() => {});
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has been revoked, please log in again',
+                    requiresAuth: true
+                });
+            }
+            
             // Attach user to request object
             req.user = user;
             console.log(` User authenticated via session: ${user._id} (${user.email})`);
@@ -206,4 +231,48 @@ const protect = async (req, res, next) => {
     });
 };
 
-export { protect };
+/**
+ * Middleware to restrict a route to users whose roles grant every listed permission
+ * Must be used after protect
+ * @param {...string} permissions - Keys of PERMISSIONS in config/roles.js
+ */
+const authorize = (...permissions) => {
+    // Fail at startup rather than on the first request
+    permissions.forEach(permission => hasPermission({ roles: [] }, permission));
+
+    return (req, res, next) => {
+        if (req.user && permissions.every(permission => hasPermission(req.user, permission))) {
+            return next();
+        }
+
+        console.error(' Access denied:', {
+            userId: req.user ? req.user._id : 'anonymous',
+            roles: req.user ? req.user.roles : [],
+            required: permissions
+        });
+        return res.status(403).json({
+            success: false,
+            message: 'Not authorized to perform this action'
+        });
+    };
+};
+
+/**
+ * Middleware to hold an action back until the user has verified their email address
+ * Must be used after protect
+ * @param {Function} isRequired - Reads the policy for each request, so it follows the environment
+ */
+const requireVerifiedEmail = (isRequired) => (req, res, next) => {
+    if (!isRequired() || (req.user && req.user.emailVerified)) {
+        return next();
+    }
+
+    console.error(' Unverified email for user:', req.user ? req.user._id : 'anonymous');
+    return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address first',
+        code: 'EMAIL_NOT_VERIFIED'
+    });
+};
+
+export { protect, authorize, requireVerifiedEmail };
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+
+/**
+ * CSRF protection for cookie-authenticated requests (signed double submit)
+ *
+ * GET /auth/csrf-token sets the csrfToken cookie, which is readable by our own
+ * pages but never sent cross-site (SameSite=Strict), and returns the same token.
+ * Unsafe requests that authenticate with a cookie must echo it back in the
+ * X-CSRF-Token header. Another origin can make the browser send the cookies,
+ * but it can't read them to fill in the header.
+ *
+ * Tokens are signed with CSRF_SECRET (falls back to JWT_SECRET), so a token
+ * can't be made up, only obtained from the issuing endpoint. Requests with an
+ * Authorization header aren't affected: browsers never add one on their own.
+ */
+
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// Cookies that authenticate a request: the access and refresh tokens, and the session
+const AUTH_COOKIES = ['token', 'refreshToken', 'sid'];
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const getCsrfSecret = () => process.env.CSRF_SECRET || process.env.JWT_SECRET || 'your_jwt_secret';
+
+const sign = (nonce) => crypto.createHmac('sha256', getCsrfSecret()).update(nonce).digest('base64url');
+
+/**
+ * Cookie attributes of the CSRF cookie (not httpOnly: the web app reads it)
+ * @returns {Object}
+ */
+const csrfCookieOptions = () => ({
+    httpOnly: false,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    domain: process.env.NODE_ENV === 'production' ? process.env.COOKIE_DOMAIN : undefined,
+    path: '/'
+});
+
+/**
+ * Create a CSRF token and set it as the CSRF cookie
+ * @param {Object} res - Express response
+ * @returns {string} The token, for the response body
+ */
+const issueCsrfToken = (res) => {
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const token = `${nonce}.${sign(nonce)}`;
+    res.cookie(CSRF_COOKIE, token, csrfCookieOptions());
+    return token;
+};
+
+const isSignedToken = (token) => {
+    const [nonce, signature, extra] = token.split('.');
+    if (!nonce || !signature || extra !== undefined) {
+        return false;
+    }
+    const expected = Buffer.from(sign(nonce));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Whether a request passes the CSRF check
+ * Safe methods always pass; unsafe ones need the header to match the cookie.
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const hasValidCsrfToken = (req) => {
+    if (SAFE_METHODS.includes(req.method)) {
+        return true;
+    }
+
+    const header = req.get(CSRF_HEADER);
+    const cookie = req.cookies && req.cookies[CSRF_COOKIE];
+    if (typeof header !== 'string' || typeof cookie !== 'string' || header.length !== cookie.length) {
+        return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(header), Buffer.from(cookie)) && isSignedToken(cookie);
+};
+
+/**
+ * Send the response for a request that failed the CSRF check
+ * @param {Object} res - Express response
+ */
+const rejectCsrf = (res) => res.status(403).json({
+    success: false,
+    message: 'Invalid or missing CSRF token',
+    code: 'CSRF_TOKEN_INVALID'
+});
+
+/**
+ * Middleware for public routes that read auth cookies (refresh, logout)
+ * Unsafe requests carrying any of those cookies need a valid CSRF token.
+ * Routes behind protect don't need it: protect checks when it uses a cookie.
+ */
+const csrfProtection = (req, res, next) => {
+    const usesAuthCookies = AUTH_COOKIES.some(name => req.cookies && req.cookies[name]);
+    if (usesAuthCookies && !hasValidCsrfToken(req)) {
+        console.warn('CSRF check failed:', { method: req.method, path: req.originalUrl, origin: req.get('Origin') });
+        return rejectCsrf(res);
+    }
+    next();
+};
+
+export {
+    CSRF_COOKIE,
+    CSRF_HEADER,
+    issueCsrfToken,
+    hasValidCsrfToken,
+    rejectCsrf,
+    csrfProtection
+};
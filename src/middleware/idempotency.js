@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+/**
+ * Serialize a value with object keys sorted, so that the same body always
+ * produces the same fingerprint regardless of key order
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprintRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+
+/**
+ * Middleware to make a mutating endpoint safe to retry
+ * When the client sends an Idempotency-Key header, the first response for that
+ * key is stored and replayed for every retry with the same request body.
+ * Reusing a key with a different body is rejected. Requests without the header
+ * are processed normally. Must be used after protect.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > 255) {
+        return res.status(400).json({
+            success: false,
+            message: 'Idempotency-Key must be at most 255 characters'
+        });
+    }
+
+    const fingerprint = fingerprintRequest(req);
+    const path = `${req.baseUrl}${req.path}`;
+
+    let record;
+    try {
+        record = await IdempotencyKey.create({
+            key,
+            user: req.user._id,
+            method: req.method,
+            path,
+            fingerprint
+        });
+    } catch (error) {
+        if (error.code !== 11000) {
+            console.error('Error storing idempotency key:', error);
+            return next(error);
+        }
+
+        // The key has been used before
+        let existing;
+        try {
+            existing = await IdempotencyKey.findOne({ user: req.user._id, key }).lean();
+        } catch (lookupError) {
+            console.error('Error loading idempotency key:', lookupError);
+            return next(lookupError);
+        }
+
+        if (!existing || existing.fingerprint !== fingerprint) {
+            return res.status(422).json({
+                success: false,
+                message: 'Idempotency-Key has already been used with a different request'
+            });
+        }
+
+        if (existing.status === 'processing') {
+            return res.status(409).json({
+                success: false,
+                message: 'A request with this Idempotency-Key is still being processed'
+            });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Capture the response so it can be replayed
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        responseBody = body;
+        return originalJson(body);
+    };
+
+    res.on('close', () => {
+        // Server errors and aborted requests are transient - let the client retry with the same key
+        const update = !res.writableFinished || res.statusCode >= 500
+            ? IdempotencyKey.deleteOne({ _id: record._id })
+            : IdempotencyKey.updateOne(
+                { _id: record._id },
+                { status: 'completed', responseStatus: res.statusCode, responseBody }
+            );
+
+        update.exec().catch(error => {
+            console.error('Error saving idempotent response:', error);
+        });
+    });
+
+    return next();
+};
+
+export { idempotent };
@@ -0,0 +1,72 @@
+/**
+ * In-memory fixed-window rate limiting
+ * Counts live in this process, so each instance behind a load balancer limits
+ * on its own - set the limits with that in mind. Behind a proxy, set
+ * TRUST_PROXY so req.ip is the client's address rather than the proxy's.
+ */
+
+// Every limiter's counters, so tests can start from a clean slate
+const stores = new Set();
+
+// Expired windows are dropped once a store grows past this many keys
+const SWEEP_THRESHOLD = 10000;
+
+const resolve = (value) => (typeof value === 'function' ? value() : value);
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Shown in logs when the limit is hit
+ * @param {number|Function} options.windowMs - Window length in milliseconds (or a function returning it)
+ * @param {number|Function} options.max - Requests allowed per key and window (or a function returning it)
+ * @param {Function} options.key - Derives the key to count from the request; requests without one aren't limited
+ * @param {string} [options.message] - Error message for limited requests
+ * @returns {Function} Express middleware answering 429 once a key is over the limit
+ */
+const rateLimit = ({ name, windowMs, max, key, message = 'Too many requests, please try again later' }) => {
+    const hits = new Map();
+    stores.add(hits);
+
+    return (req, res, next) => {
+        const id = key(req);
+        if (!id) {
+            return next();
+        }
+
+        const now = Date.now();
+        if (hits.size > SWEEP_THRESHOLD) {
+            for (const [storedId, entry] of hits) {
+                if (entry.resetAt <= now) {
+                    hits.delete(storedId);
+                }
+            }
+        }
+
+        let entry = hits.get(id);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + resolve(windowMs) };
+            hits.set(id, entry);
+        }
+        entry.count += 1;
+
+        if (entry.count > resolve(max)) {
+            if (entry.count === resolve(max) + 1) {
+                // The route pattern, not the URL - URLs can carry secrets such as QR tokens
+                console.warn('Rate limit reached:', { limiter: name, ip: req.ip, route: `${req.baseUrl}${req.route ? req.route.path : ''}` });
+            }
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ message });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Forget every counter (for tests)
+ */
+const resetRateLimits = () => {
+    stores.forEach(hits => hits.clear());
+};
+
+export { rateLimit, resetRateLimits };
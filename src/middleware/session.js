@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import session from 'express-session';
+import Session from '../models/Session.js';
+
+/**
+ * Server-side sessions for web clients that send X-Use-Cookie-Auth: true
+ *
+ * The browser only holds a signed, httpOnly session cookie; the session itself
+ * lives in the sessions collection. A session is only created at login
+ * (saveUninitialized is off), and each request pushes its expiry back.
+ *
+ * SESSION_SECRET signs the cookie (required in production; a comma-separated
+ * list rotates secrets, the first one signing). SESSION_TTL_DAYS (default 7)
+ * is how long an idle session lasts.
+ */
+
+const SESSION_COOKIE = 'sid';
+
+/**
+ * Idle lifetime of a session, in milliseconds (SESSION_TTL_DAYS, default 7 days)
+ * @returns {number}
+ */
+const getSessionTtl = () => (parseInt(process.env.SESSION_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+const getSessionSecrets = () => {
+    if (process.env.SESSION_SECRET) {
+        return process.env.SESSION_SECRET.split(',').map(secret => secret.trim()).filter(Boolean);
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('SESSION_SECRET must be set in production');
+    }
+    return ['dev_session_secret'];
+};
+
+const expiryOf = (sess) => (sess.cookie && sess.cookie.expires
+    ? new Date(sess.cookie.expires)
+    : new Date(Date.now() + getSessionTtl()));
+
+/**
+ * express-session store backed by the Session model
+ * Keeps the owner, device and expiry in their own fields so sessions can be
+ * listed and revoked per user (see sessionService).
+ */
+class MongooseSessionStore extends session.Store {
+    get(sid, callback) {
+        Session.findOne({ _id: sid, expiresAt: { $gt: new Date() } })
+            .lean()
+            .then(doc => callback(null, doc ? doc.data : null))
+            .catch(callback);
+    }
+
+    set(sid, sess, callback) {
+        const data = JSON.parse(JSON.stringify(sess));
+        Session.updateOne(
+            { _id: sid },
+            {
+                $set: {
+                    data,
+                    user: sess.userId,
+                    ip: sess.ip,
+                    userAgent: sess.userAgent,
+                    lastSeenAt: new Date(),
+                    expiresAt: expiryOf(sess)
+                },
+                $setOnInsert: { deviceId: crypto.randomUUID() }
+            },
+            { upsert: true }
+        )
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    touch(sid, sess, callback) {
+        Session.updateOne(
+            { _id: sid },
+            { lastSeenAt: new Date(), expiresAt: expiryOf(sess), 'data.cookie': JSON.parse(JSON.stringify(sess.cookie)) }
+        )
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    destroy(sid, callback) {
+        Session.deleteOne({ _id: sid })
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+}
+
+/**
+ * Cookie attributes of the session cookie, also needed to clear it
+ * @returns {Object}
+ */
+const sessionCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    domain: process.env.NODE_ENV === 'production' ? process.env.COOKIE_DOMAIN : undefined,
+    path: '/'
+});
+
+/**
+ * Build the session middleware
+ * @returns {Function} Express middleware
+ */
+const sessionMiddleware = () => session({
+    name: SESSION_COOKIE,
+    secret: getSessionSecrets(),
+    store: new MongooseSessionStore(),
+    resave: false,
+    saveUninitialized: false,
+    // Each request pushes the expiry back, so only idle sessions run out
+    rolling: true,
+    cookie: {
+        ...sessionCookieOptions(),
+        maxAge: getSessionTtl()
+    }
+});
+
+export { SESSION_COOKIE, MongooseSessionStore, sessionCookieOptions, sessionMiddleware };
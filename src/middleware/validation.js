@@ -1,5 +1,28 @@
 import { body, validationResult } from 'express-validator';
 
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false,
+            errors: errors.array().map(err => ({
+                field: err.param,
+                message: err.msg
+            }))
+        });
+    }
+    next();
+};
+
+// Password strength rules, shared by registration and password reset
+const strongPassword = (field) => body(field)
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
+    .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
+    .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
+    .matches(/[0-9]/).withMessage('Password must contain at least one number')
+    .matches(/[^A-Za-z0-9]/).withMessage('Password must contain at least one special character');
+
 export const validateRegisterUser = [
     // Username validation
     body('username')
@@ -16,28 +39,10 @@ export const validateRegisterUser = [
         .normalizeEmail(),
     
     // Password validation
-    body('password')
-        .notEmpty().withMessage('Password is required')
-        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
-        .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
-        .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
-        .matches(/[0-9]/).withMessage('Password must contain at least one number')
-        .matches(/[^A-Za-z0-9]/).withMessage('Password must contain at least one special character'),
+    strongPassword('password'),
     
     // Handle validation errors
-    (req, res, next) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ 
-                success: false,
-                errors: errors.array().map(err => ({
-                    field: err.param,
-                    message: err.msg
-                }))
-            });
-        }
-        next();
-    }
+    handleValidationErrors
 ];
 
 export const validateAuthUser = [
@@ -53,19 +58,89 @@ export const validateAuthUser = [
         .notEmpty().withMessage('Password is required'),
     
     // Handle validation errors
-    (req, res, next) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ 
-                success: false,
-                errors: errors.array().map(err => ({
-                    field: err.param,
-                    message: err.msg
-                }))
-            });
+    handleValidationErrors
+];
+
+export const validateForgotPassword = [
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Please enter a valid email address')
+        .normalizeEmail(),
+
+    handleValidationErrors
+];
+
+export const validateResetPassword = [
+    body('token')
+        .isString().withMessage('Reset token is required')
+        .trim()
+        .notEmpty().withMessage('Reset token is required'),
+
+    strongPassword('password'),
+
+    handleValidationErrors
+];
+
+export const validateResendVerification = [
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Please enter a valid email address')
+        .normalizeEmail(),
+
+    handleValidationErrors
+];
+
+// A code from the authenticator app, or a recovery code where one is accepted
+const secondFactor = ({ allowRecoveryCode }) => [
+    body('code')
+        .optional()
+        .isString().withMessage('Code must be a string')
+        .trim()
+        .matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+    ...(allowRecoveryCode ? [
+        body('recoveryCode')
+            .optional()
+            .isString().withMessage('Recovery code must be a string')
+            .isLength({ max: 32 }).withMessage('Recovery code is too long')
+    ] : []),
+    body().custom(value => {
+        if (!value.code && !(allowRecoveryCode && value.recoveryCode)) {
+            throw new Error(allowRecoveryCode ? 'A code or a recovery code is required' : 'A code is required');
         }
-        next();
-    }
+        return true;
+    })
+];
+
+const challengeToken = () => body('challengeToken')
+    .isString().withMessage('Challenge token is required')
+    .bail()
+    .notEmpty().withMessage('Challenge token is required');
+
+export const validateTwoFactorLogin = [
+    challengeToken(),
+    ...secondFactor({ allowRecoveryCode: true }),
+
+    handleValidationErrors
+];
+
+export const validateTwoFactorChallenge = [
+    challengeToken(),
+
+    handleValidationErrors
+];
+
+export const validateTwoFactorCode = [
+    ...secondFactor({ allowRecoveryCode: false }),
+
+    handleValidationErrors
+];
+
+export const validateTwoFactorDisable = [
+    ...secondFactor({ allowRecoveryCode: true }),
+
+    handleValidationErrors
 ];
 
 // Middleware to validate object ID
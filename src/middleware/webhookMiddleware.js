@@ -0,0 +1,22 @@
+import { getPaymentProvider } from '../services/paymentProviders/index.js';
+
+/**
+ * Middleware to verify that a webhook request really comes from the payment provider
+ * The provider checks its signature header against the raw request body
+ * (HMAC-SHA512 of x-paystack-signature for Paystack) and the parsed event is
+ * attached to req.webhookEvent
+ */
+const verifyWebhookSignature = (req, res, next) => {
+    try {
+        req.webhookEvent = getPaymentProvider().parseWebhook(req);
+        return next();
+    } catch (error) {
+        console.error('❌ Webhook rejected:', error.message);
+        return res.status(error.statusCode || 401).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+export { verifyWebhookSignature };
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const AUDIT_ACTIONS = [
+    'user.suspended',
+    'user.reinstated',
+    'user.deleted',
+    'user.roles_changed',
+    'user.unlocked'
+];
+
+// Who did what to which account. Kept when the account itself is soft-deleted.
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    // The admin who acted; empty when a scheduled job did it
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        maxlength: 500
+    },
+    // Action-specific detail, e.g. the suspension expiry or the roles before and after
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ target: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export { AUDIT_ACTIONS };
+export default AuditLog;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// How long a key (and its stored response) is kept, in seconds
+const IDEMPOTENCY_KEY_TTL = parseInt(process.env.IDEMPOTENCY_KEY_TTL, 10) || 24 * 60 * 60;
+
+const idempotencyKeySchema = new mongoose.Schema({
+    // The Idempotency-Key header sent by the client
+    key: {
+        type: String,
+        required: true,
+        maxlength: 255
+    },
+    // Keys are scoped per user, so two users can't collide
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the method, path and body of the first request
+    fingerprint: {
+        type: String,
+        required: true
+    },
+    // processing until the first request has produced a response
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    // Removed by MongoDB's TTL monitor once this date has passed
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + IDEMPOTENCY_KEY_TTL * 1000)
+    }
+}, {
+    timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const LOGIN_OUTCOMES = [
+    'success',
+    'two_factor_required',   // Right password, the login continues at /auth/2fa/verify
+    'two_factor_failed',
+    'invalid_password',
+    'unknown_email',
+    'locked',                // Turned away by the backoff or lockout without checking the password
+    'account_inactive'       // Suspended or deleted
+];
+
+// Outcomes counted against the client's IP address, see loginProtectionService
+const FAILED_OUTCOMES = ['two_factor_failed', 'invalid_password', 'unknown_email'];
+
+// One login attempt, successful or not: the login history users see, and
+// what the per-IP failure count is taken from
+const loginAttemptSchema = new mongoose.Schema({
+    // Empty when the email doesn't belong to any account
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        maxlength: 320
+    },
+    outcome: {
+        type: String,
+        enum: LOGIN_OUTCOMES,
+        required: true
+    },
+    ip: String,
+    userAgent: {
+        type: String,
+        maxlength: 500
+    },
+    // Removed by MongoDB's TTL monitor once this date has passed
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export { LOGIN_OUTCOMES, FAILED_OUTCOMES };
+export default LoginAttempt;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// An entitlement to enter, granted when a payment completes
+const passSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Empty for passes granted from payments made before products existed
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PassProduct'
+    },
+    // The payment that bought this pass (one pass per payment)
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true,
+        unique: true
+    },
+    // Copied from the product so renaming a product doesn't rewrite history
+    productName: {
+        type: String,
+        default: 'Day pass'
+    },
+    passType: {
+        type: String,
+        default: 'day'
+    },
+    // Venue the pass was bought for; decides which timezone its days are counted in
+    venue: String,
+    timezone: {
+        type: String,
+        required: true
+    },
+    validFrom: {
+        type: Date,
+        required: true
+    },
+    validUntil: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'revoked'],
+        default: 'active'
+    },
+    revokedAt: Date,
+    revokedReason: String
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Finding a user's current pass is the hot path
+passSchema.index({ user: 1, status: 1, validUntil: -1 });
+
+/**
+ * Whether the pass lets its holder in at a given time
+ * @param {Date} [at=new Date()] - The time to check
+ * @returns {boolean}
+ */
+passSchema.methods.isValidAt = function(at = new Date()) {
+    return this.status === 'active' && this.validFrom <= at && this.validUntil > at;
+};
+
+const Pass = mongoose.model('Pass', passSchema);
+
+export default Pass;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const PASS_TYPES = ['day', 'multi-day', 'weekly', 'monthly'];
+
+// Price of a product in one currency
+const priceSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+        minlength: 3,
+        maxlength: 3
+    },
+    // Amount in major currency units (e.g. Naira)
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    }
+}, {
+    _id: false
+});
+
+const passProductSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // Stable identifier used by clients, e.g. "day-pass"
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9-]+$/, 'Code can only contain lowercase letters, numbers and dashes']
+    },
+    description: String,
+    type: {
+        type: String,
+        enum: PASS_TYPES,
+        required: true
+    },
+    // How many days of access a purchase grants
+    durationDays: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    prices: {
+        type: [priceSchema],
+        validate: [prices => prices.length > 0, 'At least one price is required']
+    },
+    // Inactive products can't be bought, but existing passes stay valid
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Get the price of this product in a currency
+ * @param {string} currency - Currency code
+ * @returns {Object|undefined} The price, if the product is sold in that currency
+ */
+passProductSchema.methods.priceFor = function(currency) {
+    return this.prices.find(price => price.currency === String(currency).toUpperCase());
+};
+
+const PassProduct = mongoose.model('PassProduct', passProductSchema);
+
+export { PASS_TYPES };
+export default PassProduct;
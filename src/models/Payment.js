@@ -1,5 +1,106 @@
 import mongoose from 'mongoose';
 
+// A single full or partial refund of a payment
+const refundSchema = new mongoose.Schema({
+    // Amount refunded, in the same units as the payment amount
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    // Admin who issued the refund (empty when it was issued outside EasyPass)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Refund ID returned by the payment provider
+    providerReference: {
+        type: String,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    processedAt: Date,
+    failedAt: Date
+}, {
+    timestamps: true
+});
+
+// Every status a payment can be in
+const PAYMENT_STATUSES = [
+    'pending',
+    'completed',
+    'failed',
+    'abandoned',
+    'partially_refunded',
+    'refunded',
+    'disputed'
+];
+
+// Allowed status transitions: current status -> statuses it may move to.
+// This is the only place payment statuses are allowed to change.
+const PAYMENT_TRANSITIONS = {
+    pending: ['completed', 'failed', 'abandoned'],
+    // Final: retrying a declined checkout starts a new payment with a new reference
+    failed: [],
+    // Paystack reports a checkout the customer hasn't finished as abandoned,
+    // and it still succeeds if they go on to pay
+    abandoned: ['completed'],
+    completed: ['refunded', 'partially_refunded', 'disputed'],
+    // Another partial refund, the rest refunded, or the only pending refund
+    // failed and nothing is refunded any more
+    partially_refunded: ['partially_refunded', 'refunded', 'completed', 'disputed'],
+    // Refunds count as soon as they are issued, so a pending refund that fails
+    // puts the money back, in full or in part
+    refunded: ['completed', 'partially_refunded'],
+    // Dispute resolved in our favour, or lost
+    disputed: ['completed', 'refunded']
+};
+
+// Statuses a charge can still settle. The other ways back to completed are for
+// failed refunds and won disputes only, so a repeated verify or a retried
+// charge.success must never use them.
+const AWAITING_PAYMENT_STATUSES = ['pending', 'abandoned'];
+
+// Where a status change came from
+const STATUS_SOURCES = ['webhook', 'verify', 'admin', 'system'];
+
+// One entry of a payment's status history
+const statusChangeSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: [...PAYMENT_STATUSES, null],
+        default: null
+    },
+    to: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: STATUS_SOURCES,
+        required: true
+    },
+    reason: String,
+    // Raw provider payload (webhook data or verified transaction) behind the change
+    payload: mongoose.Schema.Types.Mixed,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
 const paymentSchema = new mongoose.Schema({
     // Reference to the user who made the payment
     user: {
@@ -29,9 +130,14 @@ const paymentSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'completed', 'failed', 'refunded'],
+        enum: PAYMENT_STATUSES,
         default: 'pending'
     },
+    // Every status change, oldest first - only ever appended to by transitionTo
+    statusHistory: {
+        type: [statusChangeSchema],
+        default: []
+    },
     paymentMethod: {
         type: String,
         required: true
@@ -42,11 +148,26 @@ const paymentSchema = new mongoose.Schema({
         of: String,
         default: {}
     },
-    // Payment type (one-time, etc.)
+    // Refund history, oldest first
+    refunds: {
+        type: [refundSchema],
+        default: []
+    },
+    // Sum of all refunds that haven't failed
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    // The pass product bought with this payment (empty for legacy day passes)
+    passProduct: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PassProduct'
+    },
+    // Payment type - one-time for legacy day passes, otherwise the product's type
     paymentType: {
         type: String,
         default: 'one-time',
-        enum: ['one-time']
+        enum: ['one-time', 'day', 'multi-day', 'weekly', 'monthly']
     },
     // Timestamps
     paidAt: {
@@ -68,8 +189,85 @@ paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ qrCodeToken: 1, status: 1 });
 
 // Virtual for checking if the payment is active
+// A partial refund still leaves the pass paid for; a full refund doesn't
 paymentSchema.virtual('isActive').get(function() {
-    return this.status === 'completed';
+    return this.status === 'completed' || this.status === 'partially_refunded';
+});
+
+// Virtual for the amount that can still be refunded
+paymentSchema.virtual('refundableAmount').get(function() {
+    return Math.max(0, Math.round((this.amount - (this.amountRefunded || 0)) * 100) / 100);
+});
+
+/**
+ * Check whether a payment may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (PAYMENT_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move the payment to a new status and record why
+ * Moving to the current status is a no-op (webhooks are retried), except for
+ * partially_refunded where every further partial refund is recorded.
+ * @param {string} status - Target status
+ * @param {Object} context - Why the status is changing
+ * @param {string} context.source - webhook, verify, admin or system
+ * @param {string} [context.reason] - Human readable reason
+ * @param {Object} [context.payload] - Raw provider payload behind the change
+ * @returns {boolean} Whether the status changed
+ * @throws {Error} 409 if the transition is not allowed
+ */
+paymentSchema.methods.transitionTo = function(status, { source, reason, payload } = {}) {
+    const from = this.status;
+
+    if (from === status && status !== 'partially_refunded') {
+        return false;
+    }
+
+    if (!canTransition(from, status)) {
+        const error = new Error(`Payment cannot move from ${from} to ${status}`);
+        error.name = 'InvalidTransitionError';
+        error.statusCode = 409;
+        throw error;
+    }
+
+    this.statusHistory.push({ from, to: status, source, reason, payload, at: new Date() });
+    this.status = status;
+
+    // Lifecycle timestamps
+    const now = new Date();
+    if (status === 'completed' && !this.processedAt) {
+        this.processedAt = now;
+    } else if (status === 'failed' || status === 'abandoned') {
+        this.failedAt = now;
+    } else if (status === 'refunded') {
+        this.refundedAt = now;
+    }
+
+    return true;
+};
+
+// Record the initial status, and refuse status changes that bypassed transitionTo
+paymentSchema.pre('save', function(next) {
+    if (this.isNew) {
+        if (this.statusHistory.length === 0) {
+            this.statusHistory.push({ from: null, to: this.status, source: 'system', at: new Date() });
+        }
+        return next();
+    }
+
+    if (this.isModified('status')) {
+        const last = this.statusHistory[this.statusHistory.length - 1];
+        if (!last || last.to !== this.status) {
+            const error = new Error(`Payment status must be changed through transitionTo (got ${this.status})`);
+            error.name = 'InvalidTransitionError';
+            error.statusCode = 409;
+            return next(error);
+        }
+    }
+    next();
 });
 
 // Pre-save hook to ensure qrCodeToken is always in sync with user
@@ -90,4 +288,5 @@ paymentSchema.pre('save', async function(next) {
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
+export { PAYMENT_STATUSES, PAYMENT_TRANSITIONS, AWAITING_PAYMENT_STATUSES, canTransition };
 export default Payment;
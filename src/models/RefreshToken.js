@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// An opaque refresh token, one link in a chain of rotations
+// Every token issued from the same login shares a family, so reusing a
+// rotated-out token can revoke everything that descended from that login.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // SHA-256 of the token - refresh tokens are never stored in the clear
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // The user's tokenVersion when issued - a bump since then makes it unusable
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // Set when the token is exchanged; any later use of it is a reuse
+    rotatedAt: Date,
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RefreshToken'
+    },
+    revokedAt: Date,
+    revokedReason: String,
+    createdByIp: String,
+    userAgent: {
+        type: String,
+        maxlength: 500
+    },
+    // Removed by MongoDB's TTL monitor once this date has passed
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1, createdAt: -1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// A QR token that was replaced, so scans of it can be told apart from unknown codes
+const revokedQrTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // SHA-256 of the token - revoked tokens are never stored in the clear
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The fingerprint signed QR payloads carry (see qrSigningService)
+    fingerprint: {
+        type: String,
+        required: true,
+        index: true
+    },
+    reason: {
+        type: String,
+        default: 'rotated',
+        maxlength: 500
+    },
+    // Who rotated it - the user themselves or an admin
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+revokedQrTokenSchema.index({ user: 1, revokedAt: -1 });
+
+const RevokedQrToken = mongoose.model('RevokedQrToken', revokedQrTokenSchema);
+
+export default RevokedQrToken;
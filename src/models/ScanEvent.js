@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+const SCAN_DECISIONS = ['admit', 'deny'];
+
+// Why a scan was admitted or denied
+const SCAN_REASONS = [
+    'active_pass',
+    'no_active_pass',
+    'unknown_token',
+    'revoked_token',
+    'invalid_signature',
+    'dynamic_code_required',
+    'expired_code',
+    'account_inactive'
+];
+
+// One QR code scanned at a gate - the entry audit trail
+const scanEventSchema = new mongoose.Schema({
+    // Empty when the scanned token doesn't belong to anyone
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Hash prefix of the scanned token or signed payload, so unknown codes can be traced without storing them
+    tokenFingerprint: {
+        type: String,
+        required: true
+    },
+    gate: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    operator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    decision: {
+        type: String,
+        enum: SCAN_DECISIONS,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: SCAN_REASONS,
+        required: true
+    },
+    // The pass that let the user in
+    pass: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Pass'
+    },
+    scannedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+scanEventSchema.index({ scannedAt: -1 });
+scanEventSchema.index({ gate: 1, scannedAt: -1 });
+scanEventSchema.index({ user: 1, scannedAt: -1 });
+
+const ScanEvent = mongoose.model('ScanEvent', scanEventSchema);
+
+export { SCAN_DECISIONS, SCAN_REASONS };
+export default ScanEvent;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// A server-side login session for cookie-authenticated web clients (X-Use-Cookie-Auth)
+// The _id is the express-session ID from the signed cookie; it never leaves the
+// server again, so devices are listed and revoked by deviceId instead.
+const sessionSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    deviceId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The serialized express-session data, cookie settings included
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    ip: String,
+    userAgent: {
+        type: String,
+        maxlength: 500
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Removed by MongoDB's TTL monitor once this date has passed
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
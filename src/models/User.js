@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { ROLES, hasRole } from '../config/roles.js';
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -28,9 +30,98 @@ const userSchema = new mongoose.Schema({
         unique: true,
         sparse: true
     },
+    // Per-user secret for rotating (dynamic) QR codes, created on first use
+    qrSecret: {
+        type: String,
+        select: false
+    },
+    // Deprecated: QR images are rendered on demand by GET /users/me/qr.{png,svg,pdf}.
+    // Still written for clients that read it from the login response, but kept
+    // out of every other read.
     qrCodeDataUrl: {
         type: String,
-        default: ''
+        default: '',
+        select: false
+    },
+    // Set by following the link emailed at registration (GET /auth/verify-email)
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    // What the user may do, see config/roles.js
+    roles: {
+        type: [{ type: String, enum: ROLES }],
+        default: ['customer']
+    },
+    isSuspended: {
+        type: Boolean,
+        default: false
+    },
+    // Why and until when, while isSuspended is set (see accountService)
+    suspension: {
+        reason: String,
+        suspendedAt: Date,
+        suspendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Lifted by the scheduled job after this; empty means until reinstated
+        expiresAt: Date
+    },
+    // Soft deletion keeps the record for payments, scans and the audit log
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: Date,
+    // Embedded in access tokens as "ver"; bumping it signs the user out everywhere
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // Failed password attempts since the last successful login, see loginProtectionService
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: Date,
+    // No password is checked before this time (backoff, then lockout)
+    loginLockedUntil: Date,
+    // TOTP two-factor authentication, see twoFactorService
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    // Secret shown during enrolment, promoted to twoFactorSecret once a code from it is confirmed
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    // SHA-256 of each unused recovery code
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false
+    },
+    // Last TOTP time step accepted, so a code can't be used twice
+    twoFactorLastStep: {
+        type: Number,
+        select: false
+    },
+    // SHA-256 of the pending password reset token, and when it stops working
+    resetPasswordToken: {
+        type: String,
+        select: false
+    },
+    resetPasswordExpire: {
+        type: Date,
+        select: false
     },
     createdAt: {
         type: Date,
@@ -44,16 +135,45 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// isAdmin and isOperator predate roles; they read and write the matching role
+const roleFlag = (role) => ({
+    get() {
+        return hasRole(this, role);
+    },
+    set(value) {
+        const roles = (this.roles || ['customer']).filter(existing => existing !== role);
+        this.roles = value ? [...roles, role] : roles;
+    }
+});
+userSchema.virtual('isAdmin').get(roleFlag('admin').get).set(roleFlag('admin').set);
+userSchema.virtual('isOperator').get(roleFlag('operator').get).set(roleFlag('operator').set);
+
 // Generate QR code token and hash password before saving
 userSchema.pre('save', async function(next) {
     try {
-        // Generate QR code token if this is a new user
-        if (this.isNew) {
-            // Generate a unique token using user's ID and current timestamp
-            const uniqueValue = `${this._id}-${Date.now()}`;
-            this.qrCodeToken = uniqueValue;
+        // Generate QR code token if this is a new user without one
+        // (registerUser sets its own; rotations replace it later)
+        if (this.isNew && !this.qrCodeToken) {
+            this.qrCodeToken = crypto.randomBytes(32).toString('hex');
         }
         
+        // A new password or a suspension ends every existing session
+        if (!this.isNew && (this.isModified('password') || (this.isModified('isSuspended') && this.isSuspended))) {
+            this.tokenVersion = (this.tokenVersion || 0) + 1;
+        }
+
+        // A reset link must not outlive the password it was meant to replace
+        if (!this.isNew && this.isModified('password')) {
+            this.resetPasswordToken = undefined;
+            this.resetPasswordExpire = undefined;
+        }
+
+        // A new address has to be verified again
+        if (!this.isNew && this.isModified('email') && !this.isModified('emailVerified')) {
+            this.emailVerified = false;
+            this.emailVerifiedAt = undefined;
+        }
+
         // Only hash the password if it has been modified (or is new)
         if (this.isModified('password')) {
             // Generate a salt
@@ -71,9 +191,6 @@ userSchema.pre('save', async function(next) {
 // Method to compare password for login
 userSchema.methods.matchPassword = async function(enteredPassword) {
     console.log('🔑 matchPassword called');
-    console.log('   Entered password length:', enteredPassword.length || 0);
-    console.log('   Stored password hash length:', this.password.length || 0);
-    console.log('   Stored hash prefix:', this.password ? this.password.substring(0, 10) + '...' : 'none');
     
     if (!enteredPassword || !this.password) {
         console.error('❌ Missing password or hash for comparison');
@@ -91,15 +208,6 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
         console.log(`✅ Bcrypt comparison completed in ${duration}ms`);
         console.log('   Passwords match:', isMatch);
         
-        if (!isMatch) {
-            console.log('   Hash details:', {
-                storedHash: this.password,
-                storedHashStart: this.password.substring(0, 10) + '...',
-                storedHashEnd: '...' + this.password.substring(this.password.length - 10),
-                hashLength: this.password.length
-            });
-        }
-        
         return isMatch;
     } catch (error) {
         console.error('❌ Error in bcrypt comparison:', {
@@ -122,6 +230,8 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
 
 // Create a compound index for better query performance
 userSchema.index({ username: 1, email: 1 });
+// Found by the job that lifts expired suspensions
+userSchema.index({ 'suspension.expiresAt': 1 }, { partialFilterExpression: { isSuspended: true } });
 
 const User = mongoose.model('User', userSchema);
 
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const WALLET_PLATFORMS = ['apple', 'google'];
+
+// A device that asked Apple Wallet to keep a pass up to date
+const registrationSchema = new mongoose.Schema({
+    deviceLibraryIdentifier: {
+        type: String,
+        required: true
+    },
+    pushToken: {
+        type: String,
+        required: true
+    },
+    registeredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A user's EasyPass card in a phone wallet
+// There is one card per user and platform; it is re-issued whenever their pass
+// or QR code changes rather than adding a card per purchase.
+const walletPassSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    platform: {
+        type: String,
+        enum: WALLET_PLATFORMS,
+        required: true
+    },
+    // Apple serial number, and the suffix of the Google Wallet object ID
+    serialNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Shared secret Apple Wallet sends back to the web service ("ApplePass <token>")
+    authenticationToken: {
+        type: String,
+        select: false
+    },
+    registrations: [registrationSchema],
+    // When the card's content last changed - the PassKit update tag
+    contentUpdatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+walletPassSchema.index({ user: 1, platform: 1 }, { unique: true });
+walletPassSchema.index({ 'registrations.deviceLibraryIdentifier': 1 });
+
+const WalletPass = mongoose.model('WalletPass', walletPassSchema);
+
+export { WALLET_PLATFORMS };
+export default WalletPass;
@@ -1,11 +1,162 @@
 import express from 'express';
-import { registerUser, loginUser } from '../controllers/authController.js';
-import { validateRegisterUser, validateAuthUser } from '../middleware/validation.js';
+import {
+    registerUser,
+    loginUser,
+    getCsrfToken,
+    refreshAuthToken,
+    logoutUser,
+    logoutAllSessions,
+    listSessions,
+    revokeSession,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    verifyTwoFactorLogin,
+    enrolTwoFactorAtLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from '../controllers/authController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { csrfProtection } from '../middleware/csrf.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+    validateRegisterUser,
+    validateAuthUser,
+    validateForgotPassword,
+    validateResetPassword,
+    validateResendVerification,
+    validateTwoFactorLogin,
+    validateTwoFactorChallenge,
+    validateTwoFactorCode,
+    validateTwoFactorDisable
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+// Keep reset emails from being used to flood an inbox, and reset tokens from being guessed
+const passwordResetLimits = {
+    perIp: rateLimit({
+        name: 'password-reset-ip',
+        windowMs: FIFTEEN_MINUTES,
+        max: 10,
+        key: req => req.ip,
+        message: 'Too many password reset attempts, please try again later'
+    }),
+    perEmail: rateLimit({
+        name: 'password-reset-email',
+        windowMs: FIFTEEN_MINUTES,
+        max: 3,
+        key: req => req.body.email,
+        message: 'Too many password reset attempts, please try again later'
+    })
+};
+
+// Same limits for verification emails
+const verificationLimits = {
+    perIp: rateLimit({
+        name: 'email-verification-ip',
+        windowMs: FIFTEEN_MINUTES,
+        max: 10,
+        key: req => req.ip,
+        message: 'Too many verification emails requested, please try again later'
+    }),
+    perEmail: rateLimit({
+        name: 'email-verification-email',
+        windowMs: FIFTEEN_MINUTES,
+        max: 3,
+        key: req => req.body.email,
+        message: 'Too many verification emails requested, please try again later'
+    })
+};
+
+// A 6-digit code can be guessed: few tries per challenge, and per client across challenges
+const twoFactorLimits = {
+    perIp: rateLimit({
+        name: 'two-factor-ip',
+        windowMs: FIFTEEN_MINUTES,
+        max: 20,
+        key: req => req.ip,
+        message: 'Too many two-factor attempts, please try again later'
+    }),
+    perChallenge: rateLimit({
+        name: 'two-factor-challenge',
+        windowMs: FIFTEEN_MINUTES,
+        max: 5,
+        key: req => req.body.challengeToken,
+        message: 'Too many two-factor attempts, please log in again'
+    }),
+    perUser: rateLimit({
+        name: 'two-factor-user',
+        windowMs: FIFTEEN_MINUTES,
+        max: 5,
+        key: req => req.user._id.toString(),
+        message: 'Too many two-factor attempts, please try again later'
+    })
+};
+
 // Authentication routes
 router.post('/register', validateRegisterUser, registerUser);  // Register a new user
 router.post('/login', validateAuthUser, loginUser);             // Login user & get token
+router.get('/auth/csrf-token', getCsrfToken);                    // CSRF token for cookie-authenticated requests
+router.post('/auth/refresh', csrfProtection, refreshAuthToken);  // Rotate a refresh token & get a new access token
+router.post('/logout', csrfProtection, logoutUser);              // Log out this device
+router.post('/logout-all', protect, logoutAllSessions);          // Log out every device
+router.get('/auth/sessions', protect, listSessions);             // Signed-in browsers (cookie sessions)
+router.delete('/auth/sessions/:id', protect, revokeSession);     // Sign out one browser
+
+// Password reset
+router.post(                                                     // Email a reset link
+    '/auth/forgot-password',
+    passwordResetLimits.perIp,
+    validateForgotPassword,
+    passwordResetLimits.perEmail,
+    forgotPassword
+);
+router.post(                                                     // Set a new password with the link's token
+    '/auth/reset-password',
+    passwordResetLimits.perIp,
+    validateResetPassword,
+    resetPassword
+);
+
+// Email verification
+router.get('/auth/verify-email', verifyEmail);                   // Follow the link sent at registration
+router.post(                                                     // Email a new verification link
+    '/auth/resend-verification',
+    verificationLimits.perIp,
+    validateResendVerification,
+    verificationLimits.perEmail,
+    resendVerification
+);
+
+// Two-factor authentication
+router.post(                                                     // Finish a login that returned a challenge
+    '/auth/2fa/verify',
+    twoFactorLimits.perIp,
+    validateTwoFactorLogin,
+    twoFactorLimits.perChallenge,
+    verifyTwoFactorLogin
+);
+router.post(                                                     // Secret for staff who must enrol before logging in
+    '/auth/2fa/enrol',
+    twoFactorLimits.perIp,
+    validateTwoFactorChallenge,
+    enrolTwoFactorAtLogin
+);
+router.post('/auth/2fa/setup', protect, setupTwoFactor);         // Start turning on 2FA
+router.post('/auth/2fa/enable', protect, twoFactorLimits.perUser, validateTwoFactorCode, enableTwoFactor);
+router.post('/auth/2fa/disable', protect, twoFactorLimits.perUser, validateTwoFactorDisable, disableTwoFactor);
+router.post(                                                     // Replace the recovery codes
+    '/auth/2fa/recovery-codes',
+    protect,
+    twoFactorLimits.perUser,
+    validateTwoFactorCode,
+    regenerateRecoveryCodes
+);
 
 export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getActivePass,
+  getMyPasses,
+  getPassProducts,
+  createPassProduct,
+  updatePassProduct
+} from '../controllers/passController.js';
+import { downloadApplePass, getGoogleWalletLink } from '../controllers/walletController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { PASS_TYPES } from '../models/PassProduct.js';
+
+const router = express.Router();
+
+const productValidators = (optional) => {
+  const field = (name, message) => (optional ? body(name, message).optional() : body(name, message));
+  return [
+    field('name', 'Name is required').isString().trim().notEmpty(),
+    field('type', `Type must be one of ${PASS_TYPES.join(', ')}`).isIn(PASS_TYPES),
+    field('durationDays', 'Duration must be a whole number of days').isInt({ min: 1 }).toInt(),
+    field('prices', 'At least one price is required').isArray({ min: 1 }),
+    body('prices.*.currency', 'Price currency must be a 3-letter code').isString().isLength({ min: 3, max: 3 }),
+    body('prices.*.amount', 'Price amount must be a positive number').isFloat({ min: 0.01 }).toFloat(),
+    body('active', 'Active must be a boolean').optional().isBoolean().toBoolean(),
+  ];
+};
+
+// Product catalogue (public)
+router.get('/products', getPassProducts);
+
+// Everything below requires authentication
+router.use(protect);
+
+router.get('/', getMyPasses);
+router.get('/active', getActivePass);
+
+// Phone wallet cards
+router.get('/wallet/apple', downloadApplePass);
+router.get('/wallet/google', getGoogleWalletLink);
+
+// Catalogue management
+router.post(
+  '/products',
+  authorize('passes:manage'),
+  [
+    body('code', 'Code can only contain lowercase letters, numbers and dashes').matches(/^[a-z0-9-]+$/),
+    ...productValidators(false),
+  ],
+  createPassProduct
+);
+router.patch('/products/:id', authorize('passes:manage'), productValidators(true), updatePassProduct);
+
+export default router;
@@ -2,40 +2,109 @@ import express from 'express';
 import { body } from 'express-validator';
 import { 
   webhookHandler, 
+  initializePayment,
   simulatePayment, 
   getPaymentHistory, 
   getPaymentById,
   verifyPayment,
-  hasPaidToday
+  hasPaidToday,
+  createRefund,
+  getRefunds,
+  getStatusHistory
 } from '../controllers/paymentController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, authorize, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import { verifyWebhookSignature } from '../middleware/webhookMiddleware.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
-// Apply protect middleware to all routes
+// REQUIRE_VERIFIED_EMAIL_FOR_PAYMENT=true stops users paying before they confirm
+// their address, so receipts and pass emails reach them
+const verifiedEmailForPayment = requireVerifiedEmail(
+  () => process.env.REQUIRE_VERIFIED_EMAIL_FOR_PAYMENT === 'true'
+);
+
+// Payment provider webhook (public, authenticated by signature) - must be registered before protect
+router.post('/webhook', verifyWebhookSignature, webhookHandler);
+
+// Apply protect middleware to all routes below
 router.use(protect);
 
-// Payment verification and details
-router.post('/verify', verifyPayment);
+// Payment initialization, verification and details
+// Mutating endpoints accept an Idempotency-Key header so retries are safe
+router.post(
+  '/initialize',
+  verifiedEmailForPayment,
+  idempotent,
+  [
+    body('callbackUrl', 'Callback URL must be a valid URL')
+      .optional()
+      .isURL({ require_tld: false }),
+    body('productId', 'Product ID must be a valid ID')
+      .optional()
+      .isMongoId(),
+    body('currency', 'Currency must be a 3-letter code')
+      .optional()
+      .isString()
+      .isLength({ min: 3, max: 3 }),
+    body('venueId', 'Venue ID must be a string')
+      .optional()
+      .isString()
+      .isLength({ max: 100 }),
+  ],
+  initializePayment
+);
+router.post('/verify', idempotent, verifyPayment);
 router.get('/history', getPaymentHistory);
 router.get('/has-paid-today/:userId', hasPaidToday);
 router.get('/:id', getPaymentById);
 
-// Test endpoint for simulating payments (for development only)
-if (process.env.NODE_ENV !== 'production') {
-  router.post(
-    '/simulate',
+// Why a payment ended up in its current status
+router.get('/:id/status-history', authorize('payments:read'), getStatusHistory);
+
+// Refunds
+router.route('/:id/refunds')
+  .get(authorize('refunds:read'), getRefunds)
+  .post(
+    authorize('refunds:create'),
+    idempotent,
     [
-      body('amount', 'Amount is required and must be a positive number')
+      body('amount', 'Amount must be a positive number')
+        .optional()
         .isFloat({ min: 0.01 })
         .toFloat(),
+      body('reason', 'Reason must be a string of at most 500 characters')
+        .optional()
+        .isString()
+        .isLength({ max: 500 }),
+    ],
+    createRefund
+  );
+
+// Test endpoint for simulating payments, only with the offline mock provider
+// so it can never start a real charge
+if (process.env.NODE_ENV !== 'production' && process.env.PAYMENT_PROVIDER === 'mock') {
+  router.post(
+    '/simulate',
+    idempotent,
+    [
       body('currency', 'Currency must be a string')
         .optional()
         .isString()
         .isLength({ min: 3, max: 3 }),
+      body('productId', 'Product ID must be a valid ID')
+        .optional()
+        .isMongoId(),
+      body('venueId', 'Venue ID must be a string')
+        .optional()
+        .isString()
+        .isLength({ max: 100 }),
       body('paymentMethod', 'Payment method must be a string')
         .optional()
         .isString(),
+      body('mockOutcome', 'Mock outcome must be one of success, failed, abandoned, timeout')
+        .optional()
+        .isIn(['success', 'failed', 'abandoned', 'timeout']),
     ],
     simulatePayment
   );
@@ -0,0 +1,39 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { recordScan, getScans, getScanSummary } from '../controllers/scanController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { SCAN_DECISIONS } from '../models/ScanEvent.js';
+
+const router = express.Router();
+
+const dayValidator = (name) => query(name, `${name} must be a date (YYYY-MM-DD)`)
+  .optional()
+  .matches(/^\d{4}-\d{2}-\d{2}$/);
+
+router.use(protect);
+
+router.route('/')
+  .post(
+    authorize('scans:create'),
+    [
+      body('qrToken', 'QR token is required').isString().trim().notEmpty(),
+      body('gateId', 'Gate ID is required').isString().trim().notEmpty().isLength({ max: 100 }),
+    ],
+    recordScan
+  )
+  .get(
+    authorize('scans:read'),
+    [
+      query('decision', `Decision must be one of ${SCAN_DECISIONS.join(', ')}`).optional().isIn(SCAN_DECISIONS),
+      query('userId', 'User ID must be a valid ID').optional().isMongoId(),
+      dayValidator('from'),
+      dayValidator('to'),
+      query('page', 'Page must be a positive number').optional().isInt({ min: 1 }).toInt(),
+      query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }).toInt(),
+    ],
+    getScans
+  );
+
+router.get('/summary', authorize('reports:read'), [dayValidator('from'), dayValidator('to')], getScanSummary);
+
+export default router;
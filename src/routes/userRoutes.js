@@ -1,17 +1,124 @@
 import express from 'express';
-import { getUsers, getUserById, getUserByQrToken } from '../controllers/userController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { body, query } from 'express-validator';
+import {
+    getUsers,
+    getUserById,
+    verifyQrCode,
+    getUserByQrToken,
+    getMyQrCode,
+    renderMyQrCode,
+    rotateMyQrCode,
+    rotateUserQrCode,
+    getMyLoginHistory,
+    updateUserRoles,
+    suspendUser,
+    reinstateUser,
+    unlockUser,
+    deleteUser
+} from '../controllers/userController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { QR_MODES } from '../config/gates.js';
+import { ROLES } from '../config/roles.js';
 
 const router = express.Router();
 
-// QR code route (public)
-router.get('/qr/:token', getUserByQrToken); // Get user by QR code token
+// Optional reason recorded with QR rotations and account status changes
+const reasonValidators = [
+    body('reason', 'Reason must be a string of at most 500 characters')
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+];
+
+// Public QR lookups are limited per client and per token so tokens can't be guessed
+const qrLookupWindow = () => (parseInt(process.env.QR_LOOKUP_RATE_WINDOW, 10) || 60) * 1000;
+const qrLookupLimits = [
+    rateLimit({
+        name: 'qr-lookup-ip',
+        windowMs: qrLookupWindow,
+        max: () => parseInt(process.env.QR_LOOKUP_RATE_LIMIT_PER_IP, 10) || 30,
+        key: req => req.ip,
+        message: 'Too many QR code lookups, please try again later'
+    }),
+    rateLimit({
+        name: 'qr-lookup-token',
+        windowMs: qrLookupWindow,
+        max: () => parseInt(process.env.QR_LOOKUP_RATE_LIMIT_PER_TOKEN, 10) || 10,
+        key: req => req.params.token,
+        message: 'Too many lookups for this QR code, please try again later'
+    })
+];
+
+// QR code routes
+router.get('/qr/:token', qrLookupLimits, verifyQrCode);                 // Verdict for a QR code token (public)
+router.get('/qr/:token/profile', protect, authorize('users:lookup'), getUserByQrToken); // Full profile behind a QR code token (operators)
 
 // Protected routes
 router.route('/')
-    .get(protect, getUsers);             // Get all users (protected)
+    .get(protect, authorize('users:read'), getUsers); // Get all users (admin)
+
+router.route('/me/qr')
+    .get(                                // Signed QR code for the logged-in user (protected)
+        protect,
+        query('mode', `Mode must be one of ${QR_MODES.join(', ')}`).optional().isIn(QR_MODES),
+        getMyQrCode
+    );
+
+router.route('/me/qr.:format(png|svg|pdf)')
+    .get(                                // QR image or printable pass card (protected)
+        protect,
+        query('size', 'Size must be between 64 and 2048 pixels').optional().isInt({ min: 64, max: 2048 }).toInt(),
+        query('margin', 'Margin must be between 0 and 16 modules').optional().isInt({ min: 0, max: 16 }).toInt(),
+        query('ecc', 'Error correction must be one of L, M, Q, H').optional().isIn(['L', 'M', 'Q', 'H']),
+        renderMyQrCode
+    );
+
+router.route('/me/qr/rotate')
+    .post(protect, reasonValidators, rotateMyQrCode);        // Replace a leaked QR code (protected)
+
+router.route('/me/login-history')
+    .get(                                // Recent login attempts on the account (protected)
+        protect,
+        query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }).toInt(),
+        getMyLoginHistory
+    );
 
 router.route('/:id')
-    .get(protect, getUserById);          // Get a single user by ID (protected)
+    .get(protect, getUserById)           // Get a single user by ID (own record, or admin)
+    .delete(protect, authorize('users:manage'), reasonValidators, deleteUser); // Soft-delete a user (admin)
+
+router.route('/:id/suspend')
+    .post(                               // Suspend a user (admin)
+        protect,
+        authorize('users:manage'),
+        body('reason', 'Reason is required and must be at most 500 characters')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 500 }),
+        body('expiresAt', 'Expiry must be an ISO 8601 date')
+            .optional()
+            .isISO8601()
+            .toDate(),
+        suspendUser
+    );
+
+router.route('/:id/reinstate')
+    .post(protect, authorize('users:manage'), reasonValidators, reinstateUser); // Lift a suspension (admin)
+
+router.route('/:id/unlock')
+    .post(protect, authorize('users:manage'), reasonValidators, unlockUser); // Lift a login lockout (admin)
+
+router.route('/:id/qr/rotate')
+    .post(protect, authorize('users:manage'), reasonValidators, rotateUserQrCode); // Replace a user's QR code (admin)
+
+router.route('/:id/roles')
+    .patch(                              // Replace a user's roles (admin)
+        protect,
+        authorize('users:manage'),
+        body('roles', `Roles must be a list of ${ROLES.join(', ')}`).isArray({ min: 1 }),
+        body('roles.*', `Roles must be a list of ${ROLES.join(', ')}`).isIn(ROLES),
+        updateUserRoles
+    );
 
 export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  registerAppleDevice,
+  unregisterAppleDevice,
+  getUpdatedApplePasses,
+  getLatestApplePass,
+  logAppleWalletMessages
+} from '../controllers/walletController.js';
+
+// PassKit web service - the base of APPLE_WALLET_WEB_SERVICE_URL
+// Apple Wallet authenticates with the pass's own token, not a user session.
+const router = express.Router();
+
+const registrationPath = '/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier/:serialNumber';
+
+router.post(
+  registrationPath,
+  body('pushToken').isString().notEmpty(),
+  registerAppleDevice
+);
+router.delete(registrationPath, unregisterAppleDevice);
+router.get('/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier', getUpdatedApplePasses);
+router.get('/v1/passes/:passTypeIdentifier/:serialNumber', getLatestApplePass);
+router.post('/v1/log', logAppleWalletMessages);
+
+export default router;
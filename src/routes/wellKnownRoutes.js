@@ -0,0 +1,9 @@
+import express from 'express';
+import { getQrKeys } from '../controllers/scanController.js';
+
+const router = express.Router();
+
+// Public keys for verifying signed QR payloads (JWK set)
+router.get('/qr-keys', getQrKeys);
+
+export default router;
@@ -9,6 +9,7 @@ import {
 } from './middleware/errorHandler.js';
 import connectDB from './config/db.js';
 import mongoose from 'mongoose';
+import { startJobs } from './jobs/index.js';
 
 // Load environment variables with explicit path and debug logging
 // Look for .env in the parent directory (backend/)
@@ -38,14 +39,17 @@ const startServer = async () => {
     
     // Handle unhandled promise rejections
     handleUnhandledRejection(server);
-    
+
+    const port = process.env.PORT || 3000;
+    await new Promise((resolve) => server.listen(port, resolve));
+    console.log(`Server running on port ${port}`);
 };
 
 
 mongoose.connection.once('open', () => {
   console.log('MongoDB connected');
-  // Start the server
-  startServer().catch(err => {
+  // Start the server, then the scheduled jobs
+  startServer().then(startJobs).catch(err => {
       console.error('Failed to start server:', err);
       process.exit(1);
   });
@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import RevokedQrToken from '../models/RevokedQrToken.js';
+import { fingerprintQrToken } from './qrSigningService.js';
+import { revokeUserSessions } from './tokenService.js';
+import { notifyWalletPassesChanged } from './walletService.js';
+
+/**
+ * Account lifecycle: suspension, reinstatement and soft deletion
+ *
+ * Suspended and deleted users are turned away by protect, loginUser, password
+ * reset and gate scans, which all check isSuspended || isDeleted. Every change
+ * is written to the audit log.
+ */
+
+/**
+ * Record an action in the audit log
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.target - The user acted on
+ * @param {string} [entry.actorId] - The admin acting, empty for scheduled jobs
+ * @param {string} [entry.reason] - Why
+ * @param {Object} [entry.details] - Action-specific detail
+ * @param {string} [entry.ip] - The admin's IP address
+ * @returns {Promise<Object>}
+ */
+const recordAuditEvent = ({ action, target, actorId, reason, details, ip }) => AuditLog.create({
+    action,
+    target,
+    actor: actorId,
+    reason,
+    details,
+    ip
+});
+
+/**
+ * Load an account an admin wants to act on
+ * @param {string} userId - User ID
+ * @param {string} actorId - The admin acting
+ * @returns {Promise<Object>} The user document
+ */
+const loadTargetAccount = async (userId, actorId) => {
+    if (actorId && actorId.toString() === userId.toString()) {
+        const error = new Error('You cannot change the status of your own account');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    let user;
+    try {
+        user = await User.findById(userId).select('+qrSecret');
+    } catch (error) {
+        if (error.name === 'CastError') {
+            const err = new Error('Invalid user ID format');
+            err.statusCode = 400;
+            throw err;
+        }
+        throw error;
+    }
+
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    if (user.isDeleted) {
+        const error = new Error('This account has been deleted');
+        error.statusCode = 409;
+        throw error;
+    }
+    return user;
+};
+
+// What admins see about an account's status
+const toAccountStatus = (user) => ({
+    _id: user._id,
+    isSuspended: user.isSuspended,
+    suspension: user.isSuspended ? user.suspension : null,
+    isDeleted: user.isDeleted,
+    deletedAt: user.deletedAt || null,
+    loginLockedUntil: user.loginLockedUntil && user.loginLockedUntil > new Date() ? user.loginLockedUntil : null
+});
+
+/**
+ * Suspend an account, ending all of its sessions
+ * Suspending an already suspended account replaces the reason and expiry.
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} options.reason - Why, kept with the account and in the audit log
+ * @param {Date} [options.expiresAt] - When the suspension lifts by itself
+ * @param {string} options.actorId - The admin suspending
+ * @param {string} [options.ip] - The admin's IP address
+ * @returns {Promise<Object>} The account status
+ */
+const suspendUser = async (userId, { reason, expiresAt, actorId, ip }) => {
+    if (expiresAt && expiresAt <= new Date()) {
+        const error = new Error('Suspension expiry must be in the future');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const user = await loadTargetAccount(userId, actorId);
+
+    // The pre-save hook bumps tokenVersion when isSuspended turns on
+    user.isSuspended = true;
+    user.suspension = {
+        reason,
+        suspendedAt: new Date(),
+        suspendedBy: actorId,
+        expiresAt: expiresAt || undefined
+    };
+    await user.save();
+
+    await recordAuditEvent({
+        action: 'user.suspended',
+        target: user._id,
+        actorId,
+        reason,
+        details: { expiresAt: expiresAt || null },
+        ip
+    });
+
+    console.log('User suspended:', { userId: user._id, actorId, expiresAt: expiresAt || null });
+    return toAccountStatus(user);
+};
+
+/**
+ * Lift a suspension
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} [options.reason] - Why
+ * @param {string} options.actorId - The admin reinstating
+ * @param {string} [options.ip] - The admin's IP address
+ * @returns {Promise<Object>} The account status
+ */
+const reinstateUser = async (userId, { reason, actorId, ip }) => {
+    const user = await loadTargetAccount(userId, actorId);
+    if (!user.isSuspended) {
+        const error = new Error('This account is not suspended');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const suspension = user.suspension ? user.suspension.toObject() : null;
+    user.isSuspended = false;
+    user.suspension = undefined;
+    await user.save();
+
+    await recordAuditEvent({
+        action: 'user.reinstated',
+        target: user._id,
+        actorId,
+        reason,
+        details: { suspension },
+        ip
+    });
+
+    console.log('User reinstated:', { userId: user._id, actorId });
+    return toAccountStatus(user);
+};
+
+/**
+ * Lift a login lockout and forget the failed attempts behind it
+ * (see loginProtectionService)
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} [options.reason] - Why
+ * @param {string} options.actorId - The admin unlocking
+ * @param {string} [options.ip] - The admin's IP address
+ * @returns {Promise<Object>} The account status
+ */
+const unlockUser = async (userId, { reason, actorId, ip }) => {
+    const user = await loadTargetAccount(userId, actorId);
+    const lockedUntil = user.loginLockedUntil && user.loginLockedUntil > new Date() ? user.loginLockedUntil : null;
+    if (!lockedUntil && !user.failedLoginAttempts) {
+        const error = new Error('This account is not locked');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const failedLoginAttempts = user.failedLoginAttempts;
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.loginLockedUntil = undefined;
+    await user.save();
+
+    await recordAuditEvent({
+        action: 'user.unlocked',
+        target: user._id,
+        actorId,
+        reason,
+        details: { failedLoginAttempts, lockedUntil },
+        ip
+    });
+
+    console.log('User unlocked:', { userId: user._id, actorId });
+    return toAccountStatus(user);
+};
+
+/**
+ * Soft-delete an account
+ * The record stays for payments, scans and the audit log, but the user can't
+ * log in, every session ends and the QR code is revoked so gates reject it.
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} [options.reason] - Why
+ * @param {string} options.actorId - The admin deleting
+ * @param {string} [options.ip] - The admin's IP address
+ * @returns {Promise<Object>} The account status
+ */
+const softDeleteUser = async (userId, { reason, actorId, ip }) => {
+    const user = await loadTargetAccount(userId, actorId);
+
+    const qrCodeToken = user.qrCodeToken;
+    if (qrCodeToken) {
+        await RevokedQrToken.create({
+            user: user._id,
+            tokenHash: crypto.createHash('sha256').update(qrCodeToken).digest('hex'),
+            fingerprint: fingerprintQrToken(qrCodeToken),
+            reason: 'account_deleted',
+            revokedBy: actorId
+        });
+    }
+
+    user.isDeleted = true;
+    user.deletedAt = new Date();
+    user.isSuspended = false;
+    user.suspension = undefined;
+    user.qrCodeToken = undefined;
+    user.qrSecret = undefined;
+    user.qrCodeDataUrl = '';
+    await user.save();
+
+    // Ends access and refresh tokens alike
+    await revokeUserSessions(user._id, 'Account deleted');
+
+    await recordAuditEvent({
+        action: 'user.deleted',
+        target: user._id,
+        actorId,
+        reason,
+        details: { qrCodeRevoked: Boolean(qrCodeToken) },
+        ip
+    });
+
+    console.log('User soft-deleted:', { userId: user._id, actorId });
+    // Wallet cards still show the revoked code
+    await notifyWalletPassesChanged(user._id);
+
+    return toAccountStatus(user);
+};
+
+/**
+ * Lift every suspension whose expiry has passed (run on a schedule, see jobs/)
+ * Safe to run on several instances at once: each account is only lifted and
+ * audited by whichever run gets to it first.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} How many suspensions were lifted
+ */
+const liftExpiredSuspensions = async (now = new Date()) => {
+    const expired = await User.find({
+        isSuspended: true,
+        isDeleted: { $ne: true },
+        'suspension.expiresAt': { $lte: now }
+    }).select('_id suspension').lean();
+
+    let lifted = 0;
+    for (const user of expired) {
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, isSuspended: true, 'suspension.expiresAt': { $lte: now } },
+            { isSuspended: false, $unset: { suspension: 1 } }
+        );
+        if (modifiedCount !== 1) {
+            continue;
+        }
+
+        await recordAuditEvent({
+            action: 'user.reinstated',
+            target: user._id,
+            reason: 'Suspension expired',
+            details: { suspension: user.suspension }
+        });
+        lifted++;
+    }
+
+    if (lifted) {
+        console.log('Expired suspensions lifted:', { count: lifted });
+    }
+    return lifted;
+};
+
+export { recordAuditEvent, suspendUser, reinstateUser, unlockUser, softDeleteUser, liftExpiredSuspensions };
@@ -0,0 +1,130 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { sendMail } from './mailService.js';
+
+/**
+ * Email address verification
+ *
+ * Verification links carry a signed JWT (HS256, JWT_SECRET) with its own
+ * audience so it can never be used as an access token, and the address it
+ * was sent to, so a link stops working if the user changes their email.
+ */
+
+const AUDIENCE = 'easypass-email-verification';
+const ISSUER = 'easypass-api';
+
+/**
+ * How long a verification link works, in hours (EMAIL_VERIFICATION_TTL_HOURS, default 48)
+ * @returns {number}
+ */
+const getVerificationTtl = () => parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+const getSecret = () => process.env.JWT_SECRET || 'your_jwt_secret';
+
+/**
+ * Build the link the user follows to verify their address
+ * Points at GET /auth/verify-email on this API (API_URL), which redirects to
+ * the frontend when EMAIL_VERIFIED_REDIRECT_URL is set.
+ * @param {Object} user - _id and email
+ * @returns {string}
+ */
+const buildVerificationUrl = (user) => {
+    const token = jwt.sign({ sub: user._id.toString(), email: user.email }, getSecret(), {
+        algorithm: 'HS256',
+        audience: AUDIENCE,
+        issuer: ISSUER,
+        expiresIn: `${getVerificationTtl()}h`
+    });
+
+    const url = new URL('/auth/verify-email', process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`);
+    url.searchParams.set('token', token);
+    return url.toString();
+};
+
+/**
+ * Email a verification link
+ * Sent in the background; failures are logged and the user can ask again.
+ * @param {Object} user - _id, username and email
+ */
+const sendVerificationEmail = (user) => {
+    sendMail({
+        to: user.email,
+        subject: 'Confirm your EasyPass email address',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'Please confirm this is your email address so receipts and password resets reach you:',
+            '',
+            buildVerificationUrl(user),
+            '',
+            `The link works for ${getVerificationTtl()} hours. If you didn't create an EasyPass account, ignore this email.`
+        ].join('\n')
+    }).catch(error => console.error('Error sending verification email:', { userId: user._id, error: error.message }));
+};
+
+/**
+ * Mark an address verified from a verification link
+ * Following a link again after it worked is not an error.
+ * @param {string} token - The token from the link
+ * @returns {Promise<{ alreadyVerified: boolean }>}
+ */
+const verifyEmail = async (token) => {
+    const invalid = () => {
+        const error = new Error('This verification link is invalid or has expired');
+        error.statusCode = 400;
+        return error;
+    };
+
+    let claims;
+    try {
+        claims = jwt.verify(String(token || ''), getSecret(), {
+            algorithms: ['HS256'],
+            audience: AUDIENCE,
+            issuer: ISSUER
+        });
+    } catch (error) {
+        throw invalid();
+    }
+
+    let user;
+    try {
+        user = await User.findById(claims.sub).select('email emailVerified');
+    } catch (error) {
+        throw invalid();
+    }
+    // The link was for an address the account no longer uses
+    if (!user || user.email !== claims.email) {
+        throw invalid();
+    }
+
+    if (user.emailVerified) {
+        return { alreadyVerified: true };
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    console.log('Email verified:', { userId: user._id });
+    return { alreadyVerified: false };
+};
+
+/**
+ * Send a new verification link
+ * Resolves the same way for unknown and already verified addresses, so it
+ * can't be used to find out who is registered.
+ * @param {string} email - The address the user typed
+ * @returns {Promise<void>}
+ */
+const resendVerificationEmail = async (email) => {
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+        .select('username email emailVerified');
+
+    if (!user || user.emailVerified) {
+        return;
+    }
+
+    sendVerificationEmail(user);
+};
+
+export { sendVerificationEmail, verifyEmail, resendVerificationEmail };
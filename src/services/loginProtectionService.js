@@ -0,0 +1,219 @@
+import User from '../models/User.js';
+import LoginAttempt, { FAILED_OUTCOMES } from '../models/LoginAttempt.js';
+import { sendMail } from './mailService.js';
+
+/**
+ * Brute-force protection for POST /login, and the login history
+ *
+ * Every attempt is recorded in the login history. Failed attempts - wrong
+ * passwords and wrong second-factor codes - are counted per account and per
+ * IP address:
+ *
+ * - Per account: after LOGIN_BACKOFF_FREE_ATTEMPTS (default 3) failures the
+ *   account has to wait before trying again, LOGIN_BACKOFF_BASE_SECONDS
+ *   (default 1) at first and twice as long after each further failure. At
+ *   LOGIN_LOCKOUT_THRESHOLD (default 10) failures it is locked for
+ *   LOGIN_LOCKOUT_MINUTES (default 15) and the owner is emailed, unless
+ *   LOGIN_LOCKOUT_NOTIFY=false. A successful
+ *   login or an admin unlock clears the count; so does a day without failures.
+ * - Per IP: once an address has LOGIN_IP_FAILURE_LIMIT (default 20) failures
+ *   within LOGIN_IP_WINDOW_MINUTES (default 15), it backs off the same way,
+ *   whichever accounts it was trying.
+ *
+ * While an account or address is waiting, logins are refused with 429 without
+ * checking the password, so the wait can't be used to keep guessing.
+ */
+
+// A failure this long after the previous one starts the count again
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const getFreeAttempts = () => parseInt(process.env.LOGIN_BACKOFF_FREE_ATTEMPTS, 10) || 3;
+const getBackoffBaseSeconds = () => parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS, 10) || 1;
+const getLockoutThreshold = () => parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10;
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const getIpFailureLimit = () => parseInt(process.env.LOGIN_IP_FAILURE_LIMIT, 10) || 20;
+const getIpWindowMinutes = () => parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+const getHistoryRetentionDays = () => parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 90;
+
+// Doubles with every failure past the free ones, never longer than maxSeconds
+const backoffSeconds = (failures, freeAttempts, maxSeconds) => {
+    if (failures < freeAttempts) {
+        return 0;
+    }
+    return Math.min(getBackoffBaseSeconds() * 2 ** (failures - freeAttempts), maxSeconds);
+};
+
+const tooManyAttempts = (until, now) => {
+    const error = new Error('Too many failed login attempts, please try again later');
+    error.statusCode = 429;
+    error.retryAfter = Math.max(1, Math.ceil((until - now) / 1000));
+    return error;
+};
+
+/**
+ * Record a login attempt in the login history
+ * @param {Object} attempt
+ * @param {Object} [attempt.user] - The account, when the email matched one
+ * @param {string} [attempt.email] - The email that was tried
+ * @param {string} attempt.outcome - One of LOGIN_OUTCOMES
+ * @param {Object} [context] - ip and userAgent of the client
+ * @returns {Promise<Object>}
+ */
+const recordLoginAttempt = ({ user, email, outcome }, { ip, userAgent } = {}) => LoginAttempt.create({
+    user: user ? user._id : undefined,
+    email: typeof email === 'string' ? email.slice(0, 320) : undefined,
+    outcome,
+    ip,
+    userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+    expiresAt: new Date(Date.now() + getHistoryRetentionDays() * 24 * 60 * 60 * 1000)
+});
+
+/**
+ * Refuse logins from an address that is backing off
+ * @param {string} [ip] - The client's IP address
+ * @param {Date} [now=new Date()]
+ * @throws {Error} 429 with retryAfter (seconds)
+ */
+const assertIpAllowed = async (ip, now = new Date()) => {
+    if (!ip) {
+        return;
+    }
+
+    const windowMs = getIpWindowMinutes() * 60 * 1000;
+    const filter = {
+        ip,
+        outcome: { $in: FAILED_OUTCOMES },
+        createdAt: { $gte: new Date(now.getTime() - windowMs) }
+    };
+
+    const limit = getIpFailureLimit();
+    const failures = await LoginAttempt.countDocuments(filter);
+    if (failures < limit) {
+        return;
+    }
+
+    const latest = await LoginAttempt.findOne(filter).sort({ createdAt: -1 }).select('createdAt').lean();
+    const until = new Date(latest.createdAt.getTime() + backoffSeconds(failures, limit, windowMs / 1000) * 1000);
+    if (until > now) {
+        console.warn('Login refused, too many failures from IP:', { ip, failures });
+        throw tooManyAttempts(until, now);
+    }
+};
+
+/**
+ * Refuse logins to an account that is backing off or locked
+ * @param {Object} user - The account (loginLockedUntil)
+ * @param {Date} [now=new Date()]
+ * @throws {Error} 429 with retryAfter (seconds)
+ */
+const assertAccountUnlocked = (user, now = new Date()) => {
+    if (user.loginLockedUntil && user.loginLockedUntil > now) {
+        throw tooManyAttempts(user.loginLockedUntil, now);
+    }
+};
+
+const notifyLockout = (user, lockedUntil) => {
+    sendMail({
+        to: user.email,
+        subject: 'Your EasyPass account has been locked',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'There have been too many failed attempts to log in to your EasyPass account,',
+            `so logins are blocked until ${lockedUntil.toISOString()}.`,
+            '',
+            'If this wasn\'t you, someone may be guessing your password. Consider resetting',
+            'it once the lock has expired, and turning on two-factor authentication.'
+        ].join('\n')
+    }).catch(error => console.error('Error sending lockout email:', { userId: user._id, error: error.message }));
+};
+
+/**
+ * Count a failed attempt against an account, starting a backoff or lockout when due
+ * @param {Object} user - The account (_id, email, username)
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{ failedLoginAttempts: number, lockedUntil: Date|null }>}
+ */
+const registerFailedLogin = async (user, now = new Date()) => {
+    // Counted atomically, so concurrent guesses can't share one count
+    const recent = await User.findOneAndUpdate(
+        { _id: user._id, lastFailedLoginAt: { $gte: new Date(now.getTime() - FAILURE_MEMORY_MS) } },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+        { new: true }
+    ).select('failedLoginAttempts');
+    const counted = recent || await User.findByIdAndUpdate(
+        user._id,
+        { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now } },
+        { new: true }
+    ).select('failedLoginAttempts');
+
+    const failures = counted.failedLoginAttempts;
+    const lockoutSeconds = getLockoutMinutes() * 60;
+    const threshold = getLockoutThreshold();
+    const delay = failures >= threshold
+        ? lockoutSeconds
+        : backoffSeconds(failures, getFreeAttempts(), lockoutSeconds);
+
+    if (!delay) {
+        return { failedLoginAttempts: failures, lockedUntil: null };
+    }
+
+    const lockedUntil = new Date(now.getTime() + delay * 1000);
+    await User.updateOne({ _id: user._id }, { loginLockedUntil: lockedUntil });
+
+    if (failures === threshold) {
+        console.warn('Account locked after failed logins:', { userId: user._id, failures, lockedUntil });
+        if (process.env.LOGIN_LOCKOUT_NOTIFY !== 'false') {
+            notifyLockout(user, lockedUntil);
+        }
+    }
+
+    return { failedLoginAttempts: failures, lockedUntil };
+};
+
+/**
+ * Forget an account's failed attempts after a successful login
+ * @param {Object} user - The account (_id, failedLoginAttempts, loginLockedUntil)
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (user) => {
+    if (!user.failedLoginAttempts && !user.loginLockedUntil) {
+        return;
+    }
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, loginLockedUntil: 1 } }
+    );
+};
+
+/**
+ * A user's login history, newest first
+ * @param {string} userId - The ID of the user
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - At most this many attempts
+ * @returns {Promise<Array<Object>>}
+ */
+const getLoginHistory = async (userId, { limit = 50 } = {}) => {
+    const attempts = await LoginAttempt.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('outcome ip userAgent createdAt')
+        .lean();
+
+    return attempts.map(attempt => ({
+        id: attempt._id,
+        outcome: attempt.outcome,
+        ip: attempt.ip || null,
+        userAgent: attempt.userAgent || null,
+        createdAt: attempt.createdAt
+    }));
+};
+
+export {
+    recordLoginAttempt,
+    assertIpAllowed,
+    assertAccountUnlocked,
+    registerFailedLogin,
+    clearFailedLogins,
+    getLoginHistory
+};
@@ -0,0 +1,98 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Outgoing email
+ *
+ * MAIL_TRANSPORT picks where mail goes:
+ * - smtp (default): SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * - log: printed to the console instead of sent, for local development
+ * - memory: kept in an in-process outbox, for tests
+ * log and memory are refused in production.
+ */
+
+const TRANSPORTS = ['smtp', 'log', 'memory'];
+
+// Messages "sent" with the memory transport
+const outbox = [];
+
+let cachedTransporter = null;
+
+/**
+ * Get the nodemailer transporter for MAIL_TRANSPORT
+ * @returns {{ name: string, transporter: Object }}
+ */
+const getTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || 'smtp';
+    if (!TRANSPORTS.includes(name)) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    if (name !== 'smtp' && process.env.NODE_ENV === 'production') {
+        throw new Error(`The ${name} mail transport cannot be used in production`);
+    }
+
+    if (cachedTransporter && cachedTransporter.name === name) {
+        return cachedTransporter;
+    }
+
+    const transporter = name === 'smtp'
+        ? nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        })
+        // Renders the message without delivering it
+        : nodemailer.createTransport({ jsonTransport: true });
+
+    cachedTransporter = { name, transporter };
+    return cachedTransporter;
+};
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<Object>} The transport's delivery info
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    const { name, transporter } = getTransport();
+
+    const info = await transporter.sendMail({
+        from: process.env.MAIL_FROM || 'EasyPass <no-reply@easypass.app>',
+        to,
+        subject,
+        text,
+        html
+    });
+
+    if (name === 'memory') {
+        outbox.push({ to, subject, text, html, sentAt: new Date() });
+    } else if (name === 'log') {
+        console.log('Mail not sent (MAIL_TRANSPORT=log):', { to, subject, text });
+    } else {
+        console.log('Mail sent:', { to, subject, messageId: info.messageId });
+    }
+
+    return info;
+};
+
+/**
+ * Messages sent with the memory transport, oldest first (for tests)
+ * @returns {Array<Object>}
+ */
+const getSentMail = () => [...outbox];
+
+/**
+ * Empty the memory transport's outbox (for tests)
+ */
+const clearSentMail = () => {
+    outbox.length = 0;
+};
+
+export { sendMail, getSentMail, clearSentMail };
@@ -0,0 +1,255 @@
+import Pass from '../models/Pass.js';
+import PassProduct from '../models/PassProduct.js';
+import Payment from '../models/Payment.js';
+import { getBusinessTimezone } from '../config/timezone.js';
+import { startOfZonedDay, addZonedDays } from '../utils/zonedTime.js';
+import { notifyWalletPassesChanged } from './walletService.js';
+
+// Payment statuses that still pay for a pass (a dispute isn't lost yet)
+const PASS_GRANTING_STATUSES = ['completed', 'partially_refunded', 'disputed'];
+
+/**
+ * Build the pass view returned by the API
+ * @param {Object} pass - The pass document
+ * @returns {Object} Pass summary
+ */
+const toPassSummary = (pass) => ({
+    id: pass._id,
+    product: pass.product,
+    productName: pass.productName,
+    passType: pass.passType,
+    payment: pass.payment,
+    venue: pass.venue,
+    timezone: pass.timezone,
+    validFrom: pass.validFrom,
+    validUntil: pass.validUntil,
+    status: pass.status
+});
+
+/**
+ * List pass products
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false] - Include products that are no longer sold
+ * @returns {Promise<Array>} Pass products, shortest first
+ */
+const listPassProductsService = async ({ includeInactive = false } = {}) => {
+    const query = includeInactive ? {} : { active: true };
+    return PassProduct.find(query).sort({ durationDays: 1, name: 1 }).lean();
+};
+
+/**
+ * Add a product to the catalogue
+ * @param {Object} productData - name, code, description, type, durationDays, prices, active
+ * @returns {Promise<Object>} The created product
+ */
+const createPassProductService = async (productData) => {
+    const { name, code, description, type, durationDays, prices, active } = productData;
+    const product = await PassProduct.create({ name, code, description, type, durationDays, prices, active });
+    return product.toObject();
+};
+
+/**
+ * Update a product in the catalogue
+ * @param {string} productId - The ID of the product
+ * @param {Object} updates - Fields to change (code can't be changed)
+ * @returns {Promise<Object>} The updated product
+ */
+const updatePassProductService = async (productId, updates) => {
+    const allowed = ['name', 'description', 'type', 'durationDays', 'prices', 'active'];
+    const changes = Object.fromEntries(
+        Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+    );
+
+    try {
+        const product = await PassProduct.findByIdAndUpdate(productId, changes, {
+            new: true,
+            runValidators: true
+        }).lean();
+
+        if (!product) {
+            const error = new Error('Pass product not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return product;
+    } catch (error) {
+        if (error.name === 'CastError') {
+            const err = new Error('Invalid product ID format');
+            err.statusCode = 400;
+            throw err;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Find the product a customer wants to buy
+ * Falls back to the DEFAULT_PASS_PRODUCT code (day-pass) when none is given,
+ * and to null when the catalogue doesn't have it either (legacy day pass pricing).
+ * @param {string} [productId] - The ID of the product
+ * @returns {Promise<Object|null>} The product document
+ */
+const resolvePassProduct = async (productId) => {
+    if (!productId) {
+        return PassProduct.findOne({
+            code: process.env.DEFAULT_PASS_PRODUCT || 'day-pass',
+            active: true
+        });
+    }
+
+    let product;
+    try {
+        product = await PassProduct.findById(productId);
+    } catch (error) {
+        if (error.name === 'CastError') {
+            const err = new Error('Invalid product ID format');
+            err.statusCode = 400;
+            throw err;
+        }
+        throw error;
+    }
+
+    if (!product || !product.active) {
+        const error = new Error('Pass product not found or no longer sold');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return product;
+};
+
+/**
+ * Create the pass bought by a payment
+ * Passes start at the beginning of the day the payment was made, counted in
+ * the venue's timezone. If the user already holds a pass running past that
+ * point, the new one starts when it ends.
+ * @param {Object} payment - The completed payment
+ * @returns {Promise<Object>} The new pass document
+ */
+const grantPass = async (payment) => {
+    const product = payment.passProduct ? await PassProduct.findById(payment.passProduct) : null;
+    const durationDays = product ? product.durationDays : 1;
+    const venue = payment.metadata ? payment.metadata.get('venueId') : undefined;
+    const timezone = getBusinessTimezone(venue);
+    const paidDayStart = startOfZonedDay(payment.paidAt || new Date(), timezone);
+
+    const latest = await Pass.findOne({
+        user: payment.user,
+        status: 'active',
+        validUntil: { $gt: paidDayStart }
+    }).sort({ validUntil: -1 });
+
+    const validFrom = latest ? latest.validUntil : paidDayStart;
+
+    try {
+        const pass = await Pass.create({
+            user: payment.user,
+            product: product ? product._id : undefined,
+            payment: payment._id,
+            productName: product ? product.name : 'Day pass',
+            passType: product ? product.type : 'day',
+            venue,
+            timezone,
+            validFrom,
+            validUntil: addZonedDays(validFrom, durationDays, timezone)
+        });
+        console.log('Pass granted:', { passId: pass._id, user: payment.user, validFrom, durationDays, timezone });
+        await notifyWalletPassesChanged(payment.user);
+        return pass;
+    } catch (error) {
+        // Another request granted the pass for this payment first
+        if (error.code === 11000) {
+            return Pass.findOne({ payment: payment._id });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Bring a payment's pass in line with the payment status
+ * Grants the pass when the payment is paid, revokes it when the payment is
+ * fully refunded or otherwise no longer paid, and restores it if that is undone.
+ * @param {Object} payment - The payment document
+ * @returns {Promise<Object|null>} The pass, if the payment has one
+ */
+const syncPassForPayment = async (payment) => {
+    const pass = await Pass.findOne({ payment: payment._id });
+
+    if (PASS_GRANTING_STATUSES.includes(payment.status)) {
+        if (!pass) {
+            return grantPass(payment);
+        }
+        if (pass.status === 'revoked') {
+            pass.status = 'active';
+            pass.revokedAt = undefined;
+            pass.revokedReason = undefined;
+            await pass.save();
+            await notifyWalletPassesChanged(pass.user);
+        }
+        return pass;
+    }
+
+    if (pass && pass.status === 'active') {
+        pass.status = 'revoked';
+        pass.revokedAt = new Date();
+        pass.revokedReason = `Payment ${payment.status}`;
+        await pass.save();
+        await notifyWalletPassesChanged(pass.user);
+    }
+    return pass;
+};
+
+/**
+ * Get the pass that lets a user in right now
+ * Payments completed before passes existed get their pass granted on first lookup.
+ * @param {string} userId - The ID of the user
+ * @param {Date} [at=new Date()] - The time to check
+ * @returns {Promise<Object|null>} The pass document
+ */
+const getActivePassService = async (userId, at = new Date()) => {
+    const findValid = () => Pass.findOne({
+        user: userId,
+        status: 'active',
+        validFrom: { $lte: at },
+        validUntil: { $gt: at }
+    }).sort({ validUntil: -1 });
+
+    const pass = await findValid();
+    if (pass) {
+        return pass;
+    }
+
+    const latestPayment = await Payment.findOne({
+        user: userId,
+        status: { $in: PASS_GRANTING_STATUSES }
+    }).sort({ paidAt: -1 });
+
+    if (latestPayment && !(await Pass.exists({ payment: latestPayment._id }))) {
+        await grantPass(latestPayment);
+        return findValid();
+    }
+
+    return null;
+};
+
+/**
+ * List a user's passes, newest first
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array>} Pass summaries
+ */
+const getUserPassesService = async (userId) => {
+    const passes = await Pass.find({ user: userId }).sort({ validFrom: -1 }).limit(100);
+    return passes.map(toPassSummary);
+};
+
+export {
+    toPassSummary,
+    listPassProductsService,
+    createPassProductService,
+    updatePassProductService,
+    resolvePassProduct,
+    syncPassForPayment,
+    getActivePassService,
+    getUserPassesService
+};
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { sendMail } from './mailService.js';
+
+/**
+ * Self-service password reset
+ *
+ * A reset token is a random string mailed to the user; only its SHA-256 is
+ * stored, next to an expiry. It works once: setting the new password clears
+ * it, and the password change bumps tokenVersion so every existing session
+ * (access and refresh tokens) ends.
+ */
+
+/**
+ * How long a reset link works, in minutes (PASSWORD_RESET_TTL_MINUTES, default 30)
+ * @returns {number}
+ */
+const getResetTokenTtl = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Build the link the user follows to choose a new password
+ * @param {string} token - The reset token
+ * @returns {string}
+ */
+const buildResetUrl = (token) => {
+    const base = process.env.PASSWORD_RESET_URL ||
+        `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password`;
+    const url = new URL(base);
+    url.searchParams.set('token', token);
+    return url.toString();
+};
+
+/**
+ * Start a password reset
+ * Resolves the same way whether or not the email is registered, so callers
+ * can't use it to find out. The email is sent in the background for the same
+ * reason: waiting for the mail server would make registered addresses slower.
+ * @param {string} email - The address the user typed
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || user.isSuspended || user.isDeleted) {
+        console.log('Password reset requested for an unknown or inactive account');
+        return;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const ttlMinutes = getResetTokenTtl();
+
+    // Replaces any earlier link, so only the newest one works
+    await User.updateOne({ _id: user._id }, {
+        resetPasswordToken: hashToken(token),
+        resetPasswordExpire: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+
+    const resetUrl = buildResetUrl(token);
+    sendMail({
+        to: user.email,
+        subject: 'Reset your EasyPass password',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'Someone asked to reset the password for your EasyPass account.',
+            `Choose a new password here within the next ${ttlMinutes} minutes:`,
+            '',
+            resetUrl,
+            '',
+            'If this wasn\'t you, ignore this email - your password won\'t change.'
+        ].join('\n')
+    }).catch(error => console.error('Error sending password reset email:', { userId: user._id, error: error.message }));
+
+    console.log('Password reset requested:', { userId: user._id });
+};
+
+/**
+ * Finish a password reset
+ * @param {string} token - The token from the reset link
+ * @param {string} password - The new password
+ * @returns {Promise<void>}
+ */
+const resetPassword = async (token, password) => {
+    const user = await User.findOne({
+        resetPasswordToken: hashToken(token),
+        resetPasswordExpire: { $gt: new Date() }
+    }).select('+resetPasswordToken +resetPasswordExpire');
+
+    if (!user || user.isSuspended || user.isDeleted) {
+        const error = new Error('This reset link is invalid or has expired');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    // The pre-save hook hashes the password, clears the reset token and bumps
+    // tokenVersion, which ends every existing session
+    user.password = password;
+    await user.save();
+
+    console.log('Password reset completed:', { userId: user._id, tokenVersion: user.tokenVersion });
+};
+
+export { requestPasswordReset, resetPassword };
@@ -0,0 +1,40 @@
+import paystackProvider from './paystackProvider.js';
+import mockProvider from './mockProvider.js';
+
+/**
+ * Payment providers, keyed by the value of PAYMENT_PROVIDER
+ *
+ * Every provider implements:
+ * - initialize({ reference, amount, currency, email, callbackUrl, metadata })
+ * - verify(reference)
+ * - refund({ reference, amount, reason })
+ * - listTransactions({ page, perPage, status, from, to })
+ * - parseWebhook(req)
+ *
+ * Amounts are always in the smallest currency unit (e.g. kobo).
+ */
+const providers = {
+    paystack: paystackProvider,
+    mock: mockProvider
+};
+
+/**
+ * Get the configured payment provider
+ * @param {string} [name=process.env.PAYMENT_PROVIDER] - Provider name, defaults to paystack
+ * @returns {Object} The payment provider
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'paystack') => {
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    if (provider === mockProvider && process.env.NODE_ENV === 'production') {
+        throw new Error('The mock payment provider cannot be used in production');
+    }
+
+    return provider;
+};
+
+export { getPaymentProvider };
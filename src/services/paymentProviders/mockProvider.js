@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+
+// Transactions and refunds live in memory for the lifetime of the process
+const transactions = new Map();
+const refunds = new Map();
+
+const OUTCOMES = ['success', 'failed', 'abandoned', 'timeout'];
+
+// Without MOCK_WEBHOOK_SECRET only this process can sign webhooks (see signWebhook)
+const processWebhookSecret = crypto.randomBytes(32).toString('hex');
+
+const getWebhookSecret = () => process.env.MOCK_WEBHOOK_SECRET || processWebhookSecret;
+
+/**
+ * Error thrown when the mock is asked to behave like an unreachable provider
+ * Matches what the Paystack provider throws when no response is received.
+ */
+const timeoutError = () => {
+    const err = new Error('No response received from payment provider. Please try again later.');
+    err.statusCode = 503;
+    err.isOperational = true;
+    return err;
+};
+
+/**
+ * Pick the outcome of a transaction
+ * metadata.mockOutcome wins, then MOCK_PAYMENT_OUTCOME, then success.
+ * @param {Object} [metadata] - Transaction metadata
+ * @returns {string} One of success, failed, abandoned or timeout
+ */
+const resolveOutcome = (metadata = {}) => {
+    const outcome = metadata.mockOutcome || process.env.MOCK_PAYMENT_OUTCOME || 'success';
+    if (!OUTCOMES.includes(outcome)) {
+        const error = new Error(`Unknown mock payment outcome: ${outcome}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return outcome;
+};
+
+/**
+ * Deterministic, offline payment provider for tests and staging
+ * Implements the same interface as the Paystack provider without any network access.
+ */
+const mockProvider = {
+    name: 'mock',
+
+    initialize: async ({ reference, amount, currency, email, metadata = {} }) => {
+        // The outcome only shows when the transaction is verified, like a real checkout
+        const outcome = resolveOutcome(metadata);
+
+        transactions.set(reference, {
+            id: transactions.size + 1,
+            reference,
+            amount,
+            currency,
+            email,
+            metadata,
+            outcome,
+            createdAt: new Date()
+        });
+
+        return {
+            reference,
+            authorizationUrl: `https://checkout.mock.local/${reference}`,
+            accessCode: `mock_${crypto.createHash('sha256').update(reference).digest('hex').slice(0, 16)}`
+        };
+    },
+
+    verify: async (reference) => {
+        const transaction = transactions.get(reference);
+        if (!transaction) {
+            const error = new Error('Transaction reference not found');
+            error.statusCode = 404;
+            error.isOperational = true;
+            throw error;
+        }
+
+        if (transaction.outcome === 'timeout') {
+            throw timeoutError();
+        }
+
+        const succeeded = transaction.outcome === 'success';
+        return {
+            id: transaction.id,
+            reference,
+            status: transaction.outcome,
+            amount: transaction.amount,
+            currency: transaction.currency,
+            channel: 'card',
+            paidAt: succeeded ? transaction.createdAt : null,
+            fees: 0,
+            ipAddress: '127.0.0.1',
+            gatewayResponse: succeeded ? 'Approved' : 'Declined',
+            customer: { email: transaction.email },
+            authorization: null,
+            metadata: transaction.metadata
+        };
+    },
+
+    refund: async ({ reference, amount }) => {
+        const transaction = transactions.get(reference);
+        if (!transaction || transaction.outcome !== 'success') {
+            const error = new Error('Transaction has not been paid and cannot be refunded');
+            error.statusCode = 400;
+            error.isOperational = true;
+            throw error;
+        }
+
+        const refund = {
+            id: `mock_refund_${refunds.size + 1}`,
+            status: process.env.MOCK_REFUND_STATUS || 'processed',
+            amount: amount || transaction.amount,
+            currency: transaction.currency
+        };
+        refunds.set(refund.id, { ...refund, reference });
+        return refund;
+    },
+
+    listTransactions: async ({ page = 1, perPage = 50, status } = {}) => {
+        const all = [...transactions.values()]
+            .filter(transaction => !status || transaction.outcome === status);
+        const start = (page - 1) * perPage;
+        return {
+            data: all.slice(start, start + perPage).map(transaction => ({
+                id: transaction.id,
+                reference: transaction.reference,
+                status: transaction.outcome,
+                amount: transaction.amount,
+                currency: transaction.currency,
+                paidAt: transaction.outcome === 'success' ? transaction.createdAt : null
+            })),
+            meta: { total: all.length, page, perPage, pageCount: Math.ceil(all.length / perPage) }
+        };
+    },
+
+    parseWebhook: (req) => {
+        const signature = req.headers['x-mock-signature'];
+        if (!signature || !req.rawBody) {
+            const error = new Error('Missing webhook signature');
+            error.statusCode = 401;
+            throw error;
+        }
+
+        const expected = Buffer.from(mockProvider.signWebhook(req.rawBody), 'utf8');
+        const received = Buffer.from(String(signature), 'utf8');
+
+        // timingSafeEqual throws on length mismatch, so check it first
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            const error = new Error('Invalid webhook signature');
+            error.statusCode = 401;
+            throw error;
+        }
+
+        return { event: req.body.event, data: req.body.data };
+    },
+
+    /**
+     * Sign a webhook body the way parseWebhook expects (for tests)
+     * @param {Buffer|string} rawBody - The exact request body
+     * @returns {string} Hex signature for the x-mock-signature header
+     */
+    signWebhook: (rawBody) => crypto
+        .createHmac('sha512', getWebhookSecret())
+        .update(rawBody)
+        .digest('hex'),
+
+    /**
+     * Forget every recorded transaction and refund (for tests)
+     */
+    reset: () => {
+        transactions.clear();
+        refunds.clear();
+    }
+};
+
+export default mockProvider;
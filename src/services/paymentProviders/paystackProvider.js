@@ -0,0 +1,239 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+
+/**
+ * Create an axios client authenticated with the Paystack secret key
+ * @returns {import('axios').AxiosInstance}
+ */
+const createClient = () => {
+    if (!process.env.PAYSTACK_SECRET_KEY) {
+        const error = new Error('Payment service is not properly configured');
+        error.statusCode = 500;
+        console.error('❌ [paystackProvider] PAYSTACK_SECRET_KEY is not set in environment variables');
+        throw error;
+    }
+
+    return axios.create({
+        baseURL: PAYSTACK_BASE_URL,
+        headers: {
+            'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'User-Agent': 'EasyPass/1.0'
+        },
+        timeout: 30000, // 30 seconds timeout
+        maxRedirects: 0 // Prevent automatic redirects
+    });
+};
+
+/**
+ * Convert an axios error into an operational error with a status code
+ * @param {Error} error - The error thrown by axios
+ * @returns {Error} Normalized error
+ */
+const toProviderError = (error) => {
+    console.error('Paystack API error:', {
+        message: error.message,
+        code: error.code,
+        response: error.response ? error.response.data : undefined
+    });
+
+    if (error.response) {
+        // The request was made and the server responded with a non-2xx status
+        const { status, data } = error.response;
+        const errorMessage = (data && data.message) ? data.message : 'Request failed';
+        const err = new Error(`Paystack API error (${status}): ${errorMessage}`);
+        err.statusCode = status >= 500 ? 502 : status;
+        err.isOperational = true;
+        return err;
+    }
+
+    if (error.request) {
+        // The request was made but no response was received
+        const err = new Error('No response received from Paystack. Please try again later.');
+        err.statusCode = 503; // Service Unavailable
+        err.isOperational = true;
+        return err;
+    }
+
+    return error;
+};
+
+/**
+ * Map a Paystack transaction onto the provider-neutral transaction shape
+ * @param {Object} data - Transaction data from Paystack
+ * @returns {Object} Normalized transaction
+ */
+const normalizeTransaction = (data) => ({
+    id: data.id,
+    reference: data.reference,
+    status: data.status,
+    amount: data.amount,
+    currency: data.currency,
+    channel: data.channel,
+    paidAt: data.paid_at ? new Date(data.paid_at) : null,
+    fees: data.fees,
+    ipAddress: data.ip_address,
+    gatewayResponse: data.gateway_response,
+    customer: data.customer,
+    authorization: data.authorization,
+    metadata: data.metadata,
+    // The untouched Paystack payload, kept in the payment's status history
+    raw: data
+});
+
+/**
+ * Paystack payment provider
+ * All amounts are in the smallest currency unit (kobo).
+ */
+const paystackProvider = {
+    name: 'paystack',
+
+    /**
+     * Start a transaction and get a checkout URL for it
+     * @param {Object} params
+     * @param {string} params.reference - Server-generated transaction reference
+     * @param {number} params.amount - Amount in kobo
+     * @param {string} params.currency - Currency code
+     * @param {string} params.email - Customer email
+     * @param {string} [params.callbackUrl] - Redirect URL after checkout
+     * @param {Object} [params.metadata] - Extra data to attach to the transaction
+     * @returns {Promise<Object>} reference, authorizationUrl and accessCode
+     */
+    initialize: async ({ reference, amount, currency, email, callbackUrl, metadata }) => {
+        const client = createClient();
+        try {
+            const response = await client.post('/transaction/initialize', {
+                email,
+                amount,
+                currency,
+                reference,
+                callback_url: callbackUrl,
+                metadata
+            });
+            const { data } = response.data;
+            return {
+                reference: data.reference,
+                authorizationUrl: data.authorization_url,
+                accessCode: data.access_code
+            };
+        } catch (error) {
+            throw toProviderError(error);
+        }
+    },
+
+    /**
+     * Look up the current state of a transaction
+     * @param {string} reference - Transaction reference
+     * @returns {Promise<Object>} Normalized transaction
+     */
+    verify: async (reference) => {
+        const client = createClient();
+        try {
+            const response = await client.get(`/transaction/verify/${encodeURIComponent(reference)}`);
+            return normalizeTransaction(response.data.data);
+        } catch (error) {
+            throw toProviderError(error);
+        }
+    },
+
+    /**
+     * Refund all or part of a transaction
+     * @param {Object} params
+     * @param {string} params.reference - Reference of the transaction to refund
+     * @param {number} [params.amount] - Amount in kobo (full refund when omitted)
+     * @param {string} [params.reason] - Reason shown to the merchant
+     * @returns {Promise<Object>} Refund id, status and amount
+     */
+    refund: async ({ reference, amount, reason }) => {
+        const client = createClient();
+        try {
+            const response = await client.post('/refund', {
+                transaction: reference,
+                amount,
+                merchant_note: reason
+            });
+            const { data } = response.data;
+            return {
+                id: String(data.id),
+                status: data.status,
+                amount: data.amount,
+                currency: data.currency
+            };
+        } catch (error) {
+            throw toProviderError(error);
+        }
+    },
+
+    /**
+     * List transactions on the integration
+     * @param {Object} [params]
+     * @param {number} [params.page=1] - Page number
+     * @param {number} [params.perPage=50] - Records per page
+     * @param {string} [params.status] - Filter by status
+     * @param {Date} [params.from] - Start date
+     * @param {Date} [params.to] - End date
+     * @returns {Promise<Object>} Normalized transactions and pagination meta
+     */
+    listTransactions: async ({ page = 1, perPage = 50, status, from, to } = {}) => {
+        const client = createClient();
+        try {
+            const response = await client.get('/transaction', {
+                params: {
+                    page,
+                    perPage,
+                    status,
+                    from: from ? from.toISOString() : undefined,
+                    to: to ? to.toISOString() : undefined
+                }
+            });
+            return {
+                data: response.data.data.map(normalizeTransaction),
+                meta: response.data.meta
+            };
+        } catch (error) {
+            throw toProviderError(error);
+        }
+    },
+
+    /**
+     * Verify the x-paystack-signature header and return the event
+     * @param {Object} req - Express request with rawBody captured
+     * @returns {{ event: string, data: Object }} The webhook event
+     */
+    parseWebhook: (req) => {
+        const secret = process.env.PAYSTACK_SECRET_KEY;
+        const signature = req.headers['x-paystack-signature'];
+
+        if (!secret) {
+            const error = new Error('Webhook verification is not configured');
+            error.statusCode = 500;
+            throw error;
+        }
+
+        if (!signature || !req.rawBody) {
+            const error = new Error('Missing webhook signature');
+            error.statusCode = 401;
+            throw error;
+        }
+
+        const expected = Buffer.from(
+            crypto.createHmac('sha512', secret).update(req.rawBody).digest('hex'),
+            'utf8'
+        );
+        const received = Buffer.from(String(signature), 'utf8');
+
+        // timingSafeEqual throws on length mismatch, so check it first
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            const error = new Error('Invalid webhook signature');
+            error.statusCode = 401;
+            throw error;
+        }
+
+        return { event: req.body.event, data: req.body.data };
+    }
+};
+
+export default paystackProvider;
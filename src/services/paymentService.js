@@ -1,7 +1,13 @@
 import { v4 as uuidv4 } from 'uuid';
-import axios from 'axios';
-import Payment from '../models/Payment.js';
+import Payment, { AWAITING_PAYMENT_STATUSES, canTransition } from '../models/Payment.js';
 import User from '../models/User.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import {
+    resolvePassProduct,
+    syncPassForPayment,
+    getActivePassService,
+    toPassSummary
+} from './passService.js';
 
 /**
  * Process a payment and update user's payment information
@@ -12,6 +18,9 @@ import User from '../models/User.js';
  * @param {string} [paymentData.paymentMethod] - The payment method used
  * @param {string} [paymentData.description] - Description of the payment
  * @param {Object} [paymentData.metadata] - Additional metadata for the payment
+ * @param {string} [paymentData.reference] - Provider reference to store as the paymentId
+ * @param {string} [paymentData.passProduct] - The ID of the pass product being bought
+ * @param {string} [paymentData.paymentType] - The type of pass being bought
  * @returns {Promise<Object>} The payment and updated user information
  */
 const processPayment = async (userId, paymentData) => {
@@ -27,12 +36,14 @@ const processPayment = async (userId, paymentData) => {
         const payment = new Payment({
             user: userId,
             qrCodeToken: user.qrCodeToken,
-            paymentId: `pay_${Date.now()}`,
+            paymentId: paymentData.reference || `pay_${Date.now()}`,
             amount: paymentData.amount,
             currency: paymentData.currency || 'USD',
             status: 'pending',
             paymentMethod: paymentData.paymentMethod || 'card',
             description: paymentData.description || 'Payment for services',
+            passProduct: paymentData.passProduct,
+            paymentType: paymentData.paymentType,
             metadata: paymentData.metadata || {}
         });
 
@@ -45,6 +56,7 @@ const processPayment = async (userId, paymentData) => {
         await user.save();
         
         return {
+            _id: savedPayment._id,
             paymentId: savedPayment.paymentId,
             userId: userId,
             amount: savedPayment.amount,
@@ -60,81 +72,708 @@ const processPayment = async (userId, paymentData) => {
     }
 };
 
+// Raw provider payloads can carry card authorizations and customer details,
+// so they are kept for reconciliation but never returned by the API
+const HIDDEN_PAYMENT_FIELDS = '-statusHistory.payload';
+
+// Work in kobo to avoid floating point drift when comparing and summing amounts
+const toKobo = (amount) => Math.round(amount * 100);
+
+/**
+ * Save a payment and keep the pass it bought in step with its status
+ * @param {Object} payment - The payment document
+ * @returns {Promise<Object>} The saved payment document
+ */
+const persistPayment = async (payment) => {
+    await payment.save();
+    await syncPassForPayment(payment);
+    return payment;
+};
+
+/**
+ * Get the server-side price of a pass
+ * Clients never choose the amount they are charged. Without a product, the
+ * legacy day pass price from DAY_PASS_PRICE is used.
+ * @param {Object|null} product - The pass product being bought
+ * @param {string} [currency] - The currency the customer wants to pay in
+ * @returns {{ amount: number, currency: string }} Amount in major currency units (e.g. Naira)
+ */
+const getPassPrice = (product, currency) => {
+    const defaultCurrency = process.env.DEFAULT_CURRENCY || 'NGN';
+    const wanted = (currency || defaultCurrency).toUpperCase();
+
+    const price = product
+        ? product.priceFor(wanted)
+        : wanted === defaultCurrency && { amount: parseFloat(process.env.DAY_PASS_PRICE) || 1000, currency: wanted };
+
+    if (!price) {
+        const error = new Error(`${product ? product.name : 'Day pass'} is not sold in ${wanted}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return { amount: price.amount, currency: price.currency };
+};
+
+/**
+ * Initialize a transaction with the payment provider for a user
+ * Creates a pending payment with a server-generated reference, then asks
+ * the provider for a checkout URL for that reference.
+ * @param {string} userId - The ID of the user paying
+ * @param {Object} [options] - Initialization options
+ * @param {string} [options.callbackUrl] - Where the provider should redirect after checkout
+ * @param {string} [options.productId] - The pass product to buy (defaults to the day pass)
+ * @param {string} [options.currency] - The currency to pay in
+ * @param {string} [options.venueId] - The venue the pass is for (decides its timezone)
+ * @param {string} [options.description] - Payment description
+ * @param {Object} [options.metadata] - Extra metadata passed to the provider
+ * @returns {Promise<Object>} The reference, authorization URL and access code
+ */
+const initializePaymentService = async (userId, {
+    callbackUrl,
+    productId,
+    currency: requestedCurrency,
+    venueId,
+    description,
+    metadata = {}
+} = {}) => {
+    const provider = getPaymentProvider();
+
+    const user = await User.findById(userId);
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const product = await resolvePassProduct(productId);
+    const { amount, currency } = getPassPrice(product, requestedCurrency);
+    const reference = `easypass_${uuidv4()}`;
+
+    const pending = await processPayment(userId, {
+        amount,
+        currency,
+        reference,
+        paymentMethod: provider.name,
+        description: description || `EasyPass ${product ? product.name : 'day pass'}`,
+        passProduct: product ? product._id : undefined,
+        paymentType: product ? product.type : 'one-time',
+        metadata: venueId ? { venueId } : undefined
+    });
+
+    let checkout;
+    try {
+        checkout = await provider.initialize({
+            reference,
+            amount: toKobo(amount), // Providers expect kobo
+            currency,
+            email: user.email,
+            callbackUrl: callbackUrl || process.env.PAYSTACK_CALLBACK_URL,
+            metadata: {
+                ...metadata,
+                userId: userId.toString(),
+                paymentId: pending._id.toString()
+            }
+        });
+    } catch (error) {
+        console.error('Error initializing transaction:', { reference, message: error.message });
+
+        // The checkout was never created, so the pending payment can't succeed
+        const payment = await Payment.findById(pending._id);
+        payment.transitionTo('failed', { source: 'system', reason: `Initialization failed: ${error.message}` });
+        payment.metadata.set('failureReason', 'initialize_failed');
+        await payment.save();
+        throw error;
+    }
+
+    await Payment.updateOne(
+        { _id: pending._id },
+        { 'metadata.accessCode': checkout.accessCode, 'metadata.authorizationUrl': checkout.authorizationUrl }
+    );
+
+    return {
+        reference,
+        authorizationUrl: checkout.authorizationUrl,
+        accessCode: checkout.accessCode,
+        paymentId: pending._id,
+        product: product ? { id: product._id, code: product.code, name: product.name } : null,
+        amount,
+        currency
+    };
+};
+
+/**
+ * Find the payment a webhook event refers to by its provider reference
+ * @param {string} reference - The transaction reference sent by the provider
+ * @returns {Promise<Object|null>} The payment document, if any
+ */
+const findPaymentByReference = async (reference) => {
+    if (!reference) {
+        return null;
+    }
+    return Payment.findOne({ paymentId: reference });
+};
+
+/**
+ * Mark the user's payment summary as active after a successful charge
+ * @param {Object} payment - The completed payment document
+ */
+const activateUserPayment = async (payment) => {
+    await User.findByIdAndUpdate(payment.user, {
+        'payment.status': 'active',
+        'payment.lastPaymentDate': payment.paidAt,
+        'payment.lastPaymentAmount': payment.amount,
+        'payment.currency': payment.currency,
+        updatedAt: new Date()
+    });
+};
+
+/**
+ * Build the summary returned for a webhook that touched a payment
+ * @param {Object} payment - The payment document
+ * @returns {Object} Payment summary
+ */
+const toWebhookPaymentSummary = (payment) => ({
+    id: payment._id,
+    paymentId: payment.paymentId,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    paidAt: payment.paidAt
+});
+
+// Result returned for events we acknowledge but have nothing to update for
+const ignoredEvent = (event, reason) => ({
+    success: true,
+    handled: false,
+    message: `Webhook event ${event} ignored: ${reason}`
+});
+
+/**
+ * charge.success - a pending payment has been paid
+ */
+const handleChargeSuccess = async (event, data) => {
+    const payment = await findPaymentByReference(data.reference);
+    if (!payment) {
+        return ignoredEvent(event, `no payment with reference ${data.reference}`);
+    }
+
+    // Paystack retries webhooks, and refunds can arrive before a late retry
+    if (!AWAITING_PAYMENT_STATUSES.includes(payment.status)) {
+        return {
+            success: true,
+            handled: true,
+            message: `Payment already ${payment.status}`,
+            payment: toWebhookPaymentSummary(payment)
+        };
+    }
+
+    // Never trust a charge for a different amount than we asked for
+    const amountMismatch = data.amount !== undefined && Number(data.amount) !== toKobo(payment.amount);
+    const currencyMismatch = data.currency !== undefined && String(data.currency).toUpperCase() !== payment.currency;
+    if (amountMismatch || currencyMismatch) {
+        console.error('Webhook charge does not match the payment:', {
+            reference: data.reference,
+            expected: `${toKobo(payment.amount)} ${payment.currency}`,
+            received: `${data.amount} ${data.currency}`
+        });
+        // An abandoned checkout can only complete, so it is left as it is
+        if (canTransition(payment.status, 'failed')) {
+            payment.transitionTo('failed', { source: 'webhook', reason: 'Paid amount does not match the expected amount', payload: data });
+            payment.metadata.set('failureReason', 'amount_mismatch');
+            if (data.amount !== undefined) {
+                payment.metadata.set('paidAmount', String(Number(data.amount) / 100));
+            }
+            await persistPayment(payment);
+        }
+        return {
+            success: true,
+            handled: true,
+            message: 'Payment amount mismatch',
+            payment: toWebhookPaymentSummary(payment)
+        };
+    }
+
+    payment.transitionTo('completed', { source: 'webhook', reason: event, payload: data });
+    payment.paidAt = data.paid_at ? new Date(data.paid_at) : new Date();
+    if (data.channel) {
+        payment.paymentMethod = data.channel;
+    }
+    await persistPayment(payment);
+    await activateUserPayment(payment);
+
+    return {
+        success: true,
+        handled: true,
+        message: 'Payment processed successfully',
+        payment: toWebhookPaymentSummary(payment)
+    };
+};
+
+/**
+ * charge.failed - the customer's charge attempt was declined
+ */
+const handleChargeFailed = async (event, data) => {
+    const payment = await findPaymentByReference(data.reference);
+    if (!payment) {
+        return ignoredEvent(event, `no payment with reference ${data.reference}`);
+    }
+
+    if (!canTransition(payment.status, 'failed')) {
+        return ignoredEvent(event, `payment is already ${payment.status}`);
+    }
+
+    payment.transitionTo('failed', { source: 'webhook', reason: data.gateway_response || event, payload: data });
+    if (data.gateway_response) {
+        payment.metadata.set('failureReason', String(data.gateway_response));
+    }
+    await persistPayment(payment);
+
+    return {
+        success: true,
+        handled: true,
+        message: 'Payment marked as failed',
+        payment: toWebhookPaymentSummary(payment)
+    };
+};
+
+/**
+ * Recompute amountRefunded and the refund status of a payment from its refunds
+ * Failed refunds don't count, so a failed full refund puts the payment back to completed.
+ * @param {Object} payment - The payment document (modified in place)
+ * @param {Object} context - Status change context passed to transitionTo
+ * @param {boolean} [context.refundAdded] - A new refund was recorded, so a
+ *   further partial refund is logged even though the status stays the same
+ */
+const applyRefundTotals = (payment, { refundAdded = false, ...context }) => {
+    const refundedKobo = payment.refunds
+        .filter(refund => refund.status !== 'failed')
+        .reduce((total, refund) => total + toKobo(refund.amount), 0);
+
+    payment.amountRefunded = refundedKobo / 100;
+
+    let status = 'partially_refunded';
+    if (refundedKobo === 0) {
+        status = 'completed';
+    } else if (refundedKobo >= toKobo(payment.amount)) {
+        status = 'refunded';
+    }
+
+    if (status !== payment.status || refundAdded) {
+        payment.transitionTo(status, context);
+    }
+    if (status !== 'refunded') {
+        payment.refundedAt = undefined;
+    }
+};
+
+/**
+ * Find the locally recorded refund a provider refund event refers to
+ * Matches on the provider's refund ID, then falls back to the oldest pending
+ * refund of the same amount.
+ * @param {Object} payment - The payment document
+ * @param {Object} data - Refund data from the webhook
+ * @returns {Object|undefined} The refund sub-document
+ */
+const findRefundForEvent = (payment, data) => {
+    const providerReference = data.refund_reference || data.id;
+    if (providerReference) {
+        const refund = payment.refunds.find(r => r.providerReference === String(providerReference));
+        if (refund) {
+            return refund;
+        }
+    }
+
+    return payment.refunds.find(r =>
+        r.status === 'pending' && toKobo(r.amount) === Number(data.amount)
+    );
+};
+
+/**
+ * refund.processed / refund.failed - outcome of a refund on a transaction
+ * Reconciles with the refund recorded by refundPaymentService, or records
+ * refunds that were issued from the provider's dashboard.
+ */
+const handleRefundEvent = async (event, data) => {
+    const reference = data.transaction_reference || (data.transaction && data.transaction.reference);
+    const payment = await findPaymentByReference(reference);
+    if (!payment) {
+        return ignoredEvent(event, `no payment with reference ${reference}`);
+    }
+
+    const processed = event === 'refund.processed';
+    let refund = findRefundForEvent(payment, data);
+    let refundAdded = false;
+
+    if (!refund) {
+        if (!processed) {
+            return ignoredEvent(event, 'no matching refund');
+        }
+        if (payment.status !== 'completed' && payment.status !== 'partially_refunded') {
+            return ignoredEvent(event, `payment is ${payment.status}`);
+        }
+        payment.refunds.push({
+            amount: data.amount ? Number(data.amount) / 100 : payment.refundableAmount,
+            reason: 'Refunded outside EasyPass',
+            providerReference: data.refund_reference || data.id ? String(data.refund_reference || data.id) : undefined
+        });
+        refund = payment.refunds[payment.refunds.length - 1];
+        refundAdded = true;
+    }
+
+    if (processed) {
+        refund.status = 'processed';
+        refund.processedAt = new Date();
+    } else {
+        refund.status = 'failed';
+        refund.failedAt = new Date();
+    }
+
+    applyRefundTotals(payment, { refundAdded, source: 'webhook', reason: event, payload: data });
+    await persistPayment(payment);
+
+    return {
+        success: true,
+        handled: true,
+        message: processed ? 'Refund processed' : 'Refund failed',
+        payment: toWebhookPaymentSummary(payment)
+    };
+};
+
+/**
+ * transfer.success / transfer.failed / transfer.reversed - payouts made
+ * from our balance, used to refund customers by transfer
+ */
+const handleTransferEvent = async (event, data) => {
+    const payment = await findPaymentByReference(data.reference);
+    if (!payment) {
+        return ignoredEvent(event, `no payment with reference ${data.reference}`);
+    }
+
+    const transferStatus = event.split('.')[1];
+    if (transferStatus === 'success' && canTransition(payment.status, 'refunded')) {
+        payment.transitionTo('refunded', { source: 'webhook', reason: `Refunded by transfer (${event})`, payload: data });
+    }
+    payment.metadata.set('transferStatus', transferStatus);
+    if (data.transfer_code) {
+        payment.metadata.set('transferCode', String(data.transfer_code));
+    }
+    await persistPayment(payment);
+
+    return {
+        success: true,
+        handled: true,
+        message: `Transfer ${transferStatus}`,
+        payment: toWebhookPaymentSummary(payment)
+    };
+};
+
+/**
+ * charge.dispute.create / charge.dispute.resolve - a customer disputed a charge
+ * A dispute we lose (merchant-accepted) ends in a refund; otherwise the payment stands.
+ */
+const handleDisputeEvent = async (event, data) => {
+    const reference = data.transaction && data.transaction.reference;
+    const payment = await findPaymentByReference(reference);
+    if (!payment) {
+        return ignoredEvent(event, `no payment with reference ${reference}`);
+    }
+
+    let status = 'disputed';
+    if (event === 'charge.dispute.resolve') {
+        status = data.resolution === 'merchant-accepted' ? 'refunded' : 'completed';
+    }
+
+    if (status === payment.status || !canTransition(payment.status, status)) {
+        return ignoredEvent(event, `payment is ${payment.status}`);
+    }
+
+    payment.transitionTo(status, {
+        source: 'webhook',
+        reason: data.resolution ? `${event} (${data.resolution})` : event,
+        payload: data
+    });
+    await persistPayment(payment);
+
+    return {
+        success: true,
+        handled: true,
+        message: `Payment ${status}`,
+        payment: toWebhookPaymentSummary(payment)
+    };
+};
+
+/**
+ * subscription.* - lifecycle of a recurring plan. Renewals arrive as
+ * charge.success, so these only record the subscription status on the
+ * payments that belong to it.
+ */
+const handleSubscriptionEvent = async (event, data) => {
+    const subscriptionCode = data.subscription_code;
+    if (!subscriptionCode) {
+        return ignoredEvent(event, 'no subscription code');
+    }
+
+    const subscriptionStatus = data.status || event.split('.')[1];
+    const result = await Payment.updateMany(
+        { 'metadata.subscriptionCode': subscriptionCode },
+        { $set: { 'metadata.subscriptionStatus': String(subscriptionStatus) } }
+    );
+
+    return {
+        success: true,
+        handled: result.modifiedCount > 0,
+        message: `Subscription ${subscriptionCode} is ${subscriptionStatus}`
+    };
+};
+
+// Webhook event handlers keyed by event name (every provider uses Paystack's catalogue)
+const webhookHandlers = {
+    'charge.success': handleChargeSuccess,
+    'charge.failed': handleChargeFailed,
+    'refund.processed': handleRefundEvent,
+    'refund.failed': handleRefundEvent,
+    'transfer.success': handleTransferEvent,
+    'transfer.failed': handleTransferEvent,
+    'transfer.reversed': handleTransferEvent,
+    'charge.dispute.create': handleDisputeEvent,
+    'charge.dispute.resolve': handleDisputeEvent,
+    'subscription.create': handleSubscriptionEvent,
+    'subscription.disable': handleSubscriptionEvent,
+    'subscription.not_renew': handleSubscriptionEvent,
+    'subscription.expiring_cards': handleSubscriptionEvent
+};
+
 /**
  * Handle payment webhook from payment provider
+ * The signature must already have been verified by verifyWebhookSignature.
+ * Events we don't know about are acknowledged so the provider stops retrying them.
  * @param {Object} webhookData - The webhook payload from the payment provider
  * @returns {Promise<Object>} The result of processing the webhook
  */
 const handlePaymentWebhook = async (webhookData) => {
+    const { event, data } = webhookData || {};
+
+    if (!event || !data) {
+        const error = new Error('Invalid webhook payload');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const handler = webhookHandlers[event];
+    if (!handler) {
+        console.log(`Unhandled webhook event: ${event}`);
+        return ignoredEvent(event, 'unsupported event');
+    }
+
     try {
-        // Verify the webhook data (implementation depends on your payment provider)
-        const { event, data } = webhookData;
-        
-        if (event === 'charge.success') {
-            const { reference, amount, customer } = data;
-            
-            // Find and update the payment by reference
-            const payment = await Payment.findOneAndUpdate(
-                { paymentId: reference },
-                {
-                    status: 'completed',
-                    paidAt: new Date(),
-                    updatedAt: new Date()
-                },
-                { new: true }
-            );
-
-            if (payment) {
-                // Update user's payment status
-                await User.findByIdAndUpdate(payment.user, {
-                    'payment.status': 'active',
-                    'payment.lastPaymentDate': new Date(),
-                    'payment.lastPaymentAmount': payment.amount,
-                    'payment.currency': payment.currency,
-                    updatedAt: new Date()
-                });
-                
-                return {
-                    success: true,
-                    message: 'Payment processed successfully',
-                    payment: {
-                        id: payment._id,
-                        paymentId: payment.paymentId,
-                        amount: payment.amount,
-                        currency: payment.currency,
-                        status: 'completed',
-                        paidAt: payment.paidAt
-                    }
-                };
-            }
-            
-            throw new Error('Payment not found');
-        }
-        
-        throw new Error(`Unhandled webhook event: ${event}`);
+        return await handler(event, data);
     } catch (error) {
         console.error('Error processing webhook:', error);
-        throw new Error(`Webhook processing failed: ${error.message}`);
+        const err = new Error(`Webhook processing failed: ${error.message}`);
+        err.statusCode = error.statusCode || 500;
+        throw err;
+    }
+};
+
+/**
+ * Build the refund view returned by the refund endpoints
+ * @param {Object} payment - The payment document
+ * @returns {Object} Payment refund summary
+ */
+const toRefundSummary = (payment) => ({
+    paymentId: payment._id,
+    reference: payment.paymentId,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    amountRefunded: payment.amountRefunded,
+    refundableAmount: payment.refundableAmount,
+    refundedAt: payment.refundedAt,
+    refunds: payment.refunds
+});
+
+/**
+ * Refund all or part of a payment through the payment provider
+ * @param {string} paymentId - The ID of the payment to refund
+ * @param {Object} refundData - The refund details
+ * @param {number} [refundData.amount] - Amount to refund, defaults to everything still refundable
+ * @param {string} [refundData.reason] - Why the payment is being refunded
+ * @param {string} actorId - The ID of the admin issuing the refund
+ * @returns {Promise<Object>} The payment with its refund history
+ */
+const refundPaymentService = async (paymentId, { amount, reason } = {}, actorId) => {
+    let payment;
+    try {
+        payment = await Payment.findById(paymentId);
+    } catch (error) {
+        if (error.name === 'CastError') {
+            const err = new Error('Invalid payment ID format');
+            err.statusCode = 400;
+            throw err;
+        }
+        throw error;
+    }
+
+    if (!payment) {
+        const error = new Error('Payment not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (payment.status !== 'completed' && payment.status !== 'partially_refunded') {
+        const error = new Error(`A ${payment.status} payment cannot be refunded`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const refundable = payment.refundableAmount;
+    const refundAmount = amount === undefined ? refundable : amount;
+
+    if (!(refundAmount > 0) || toKobo(refundAmount) > toKobo(refundable)) {
+        const error = new Error(`Refund amount must be between 0.01 and ${refundable} ${payment.currency}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    // Claim the amount before asking the provider, so two refunds (or a refund
+    // and a refund webhook) can't both pass the check above. The claim only
+    // succeeds if nothing was refunded since the payment was read.
+    const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: payment.status, amountRefunded: payment.amountRefunded },
+        {
+            $push: { refunds: { amount: refundAmount, reason, actor: actorId, status: 'pending' } },
+            $set: { amountRefunded: (toKobo(payment.amountRefunded) + toKobo(refundAmount)) / 100 }
+        },
+        { new: true }
+    );
+
+    if (!claimed) {
+        const error = new Error('The payment changed while the refund was being issued, please try again');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    payment = claimed;
+    const refund = payment.refunds[payment.refunds.length - 1];
+
+    let providerRefund;
+    try {
+        const provider = getPaymentProvider();
+        providerRefund = await provider.refund({
+            reference: payment.paymentId,
+            amount: toKobo(refundAmount),
+            reason
+        });
+    } catch (error) {
+        // Nothing was refunded, so give the claimed amount back
+        refund.status = 'failed';
+        refund.failedAt = new Date();
+        applyRefundTotals(payment, { source: 'admin', reason: `Refund failed: ${error.message}` });
+        await persistPayment(payment);
+        throw error;
+    }
+
+    const processed = providerRefund.status === 'processed';
+    refund.providerReference = providerRefund.id;
+    refund.status = processed ? 'processed' : 'pending';
+    refund.processedAt = processed ? new Date() : undefined;
+    applyRefundTotals(payment, {
+        refundAdded: true,
+        source: 'admin',
+        reason: reason || `Refund of ${refundAmount} ${payment.currency}`,
+        payload: providerRefund
+    });
+    await persistPayment(payment);
+
+    console.log('Refund recorded:', {
+        paymentId: payment._id,
+        amount: refundAmount,
+        providerReference: providerRefund.id,
+        status: payment.status
+    });
+
+    return toRefundSummary(payment);
+};
+
+/**
+ * Get the refund history of a payment
+ * @param {string} paymentId - The ID of the payment
+ * @returns {Promise<Object>} The payment with its refund history
+ */
+const getPaymentRefundsService = async (paymentId) => {
+    try {
+        const payment = await Payment.findById(paymentId).populate('refunds.actor', 'username email');
+
+        if (!payment) {
+            const error = new Error('Payment not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return toRefundSummary(payment);
+    } catch (error) {
+        if (error.name === 'CastError') {
+            const err = new Error('Invalid payment ID format');
+            err.statusCode = 400;
+            throw err;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Get the status history of a payment, for support and finance
+ * @param {string} paymentId - The ID of the payment
+ * @returns {Promise<Object>} The current status and every transition that led to it
+ */
+const getPaymentStatusHistoryService = async (paymentId) => {
+    try {
+        const payment = await Payment.findById(paymentId)
+            .select(HIDDEN_PAYMENT_FIELDS)
+            .lean();
+
+        if (!payment) {
+            const error = new Error('Payment not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return {
+            paymentId: payment._id,
+            reference: payment.paymentId,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status,
+            statusHistory: payment.statusHistory
+        };
+    } catch (error) {
+        if (error.name === 'CastError') {
+            const err = new Error('Invalid payment ID format');
+            err.statusCode = 400;
+            throw err;
+        }
+        throw error;
     }
 };
 
 /**
- * Get a payment by ID with user and QR code token validation
+ * Get a payment by ID with user validation
  * @param {string} paymentId - The ID of the payment to retrieve
- * @param {string} userId - The ID of the user making the request
- * @param {string} qrCodeToken - The QR code token of the user
+ * @param {string|null} userId - The ID of the user making the request, or null for staff who may read any payment
  * @returns {Promise<Object>} The payment details if found and authorized
  */
-const getPaymentByIdService = async (paymentId, userId, qrCodeToken) => {
+const getPaymentByIdService = async (paymentId, userId) => {
     try {
-        // Find the payment and verify user access
+        // Find the payment and verify user access. Payment.qrCodeToken is the
+        // token at the time of payment and goes stale when the QR is rotated,
+        // so ownership is decided by user only
         const payment = await Payment.findOne({
             _id: paymentId,
-            $or: [
-                { user: userId },
-                { qrCodeToken: qrCodeToken }
-            ]
-        }).populate('user', '-password -qrCodeToken');
+            ...(userId && { user: userId })
+        })
+            .select(HIDDEN_PAYMENT_FIELDS)
+            .populate('user', '-password -qrCodeToken');
 
         if (!payment) {
             const error = new Error('Payment not found or access denied');
@@ -191,10 +830,9 @@ const getPaymentHistoryService = async (userId, qrCodeToken, {
             sort[sortBy] = 1;
         }
 
-        // Build query
+        // Build query - by user only, so payments made before a QR rotation still show
         const query = { 
-            user: userId,
-            qrCodeToken: qrCodeToken
+            user: userId
         };
 
         // Get total count for pagination
@@ -202,6 +840,7 @@ const getPaymentHistoryService = async (userId, qrCodeToken, {
         
         // Get paginated results
         const payments = await Payment.find(query)
+            .select(HIDDEN_PAYMENT_FIELDS)
             .sort(sort)
             .skip(skip)
             .limit(limit)
@@ -243,387 +882,165 @@ const getPaymentHistoryService = async (userId, qrCodeToken, {
 };
 
 /**
- * Save a verified payment to the database
- * @param {Object} paymentData - The verified payment data from Paystack
- * @param {string} paymentData.user - The user ID
- * @param {string} paymentData.reference - The payment reference
- * @param {number} paymentData.amount - The payment amount in smallest currency unit (e.g., kobo)
- * @param {string} paymentData.currency - The currency code (e.g., 'NGN')
- * @param {string} paymentData.status - The payment status
- * @param {string} paymentData.paymentMethod - The payment method used
- * @param {Object} paymentData.metadata - Additional payment metadata
- * @param {Date} paymentData.paidAt - When the payment was made
- * @returns {Promise<Object>} The saved payment document
+ * Map a provider transaction status onto a payment status
+ * @param {string} transactionStatus - Status reported by the provider
+ * @returns {string|null} The payment status, or null while the transaction is still open
  */
-const saveVerifiedPayment = async (paymentData) => {
-    const { user, reference, amount, currency, status, paymentMethod, metadata, paidAt } = paymentData;
-    
-    console.log('Saving verified payment:', { user, reference, amount, currency });
-    
-    // Find the user
-    const userDoc = await User.findById(user);
-    
-    if (!userDoc) {
-        throw new Error('User not found');
-    }
-    
-    // Check if payment already exists
-    const existingPayment = await Payment.findOne({ reference });
-    if (existingPayment) {
-        console.log('Payment already exists:', existingPayment._id);
-        return existingPayment.toObject();
-    }
-    
-    // Create new payment record
-    const payment = new Payment({
-        user: userDoc._id,
-        qrCodeToken: userDoc.qrCodeToken,
-        paymentId: reference,
-        amount: amount,
-        currency: currency || 'NGN',
-        status: status || 'completed',
-        paymentMethod: paymentMethod || 'card',
-        description: `Payment via ${paymentMethod || 'card'}`,
-        metadata: metadata || {},
-        paidAt: paidAt || new Date()
-    });
-    
-    console.log('Saving new payment record');
-    
-    // Save payment
-    const savedPayment = await payment.save();
-    
-    console.log('Payment saved successfully:', savedPayment._id);
-    
-    // Update user's payment status
-    console.log('Updating user payment status');
-    await User.findByIdAndUpdate(
-        userDoc._id,
-        {
-            'payment.status': 'active',
-            'payment.lastPaymentDate': savedPayment.paidAt,
-            'payment.lastPaymentAmount': savedPayment.amount,
-            'payment.currency': savedPayment.currency,
-            'payment.paymentType': 'one-time',
-            updatedAt: new Date()
+const statusFromTransaction = (transactionStatus) => ({
+    success: 'completed',
+    failed: 'failed',
+    abandoned: 'abandoned'
+})[transactionStatus] || null;
+
+/**
+ * Reconcile a verified transaction with the pending payment created when it
+ * was initialized
+ * @param {Object} payment - The pending payment document
+ * @param {Object} transaction - The normalized transaction returned by the provider
+ * @param {string} userId - The ID of the user making the request
+ * @returns {Promise<Object>} The verified payment data
+ */
+const completeInitializedPayment = async (payment, transaction, userId) => {
+    if (payment.user.toString() !== userId.toString()) {
+        const error = new Error('This payment belongs to another user');
+        error.statusCode = 403;
+        error.isOperational = true;
+        throw error;
+    }
+
+    // Payments that were already paid are only reported: refunds and disputes
+    // move them on, and verifying again mustn't undo that
+    if (AWAITING_PAYMENT_STATUSES.includes(payment.status)) {
+        const expectedAmount = toKobo(payment.amount);
+        if (transaction.amount !== expectedAmount || transaction.currency !== payment.currency) {
+            console.error('❌ [verifyPaymentWithProvider] Amount mismatch:', {
+                reference: transaction.reference,
+                expected: `${expectedAmount} ${payment.currency}`,
+                received: `${transaction.amount} ${transaction.currency}`
+            });
+            if (canTransition(payment.status, 'failed')) {
+                payment.transitionTo('failed', {
+                    source: 'verify',
+                    reason: 'Paid amount does not match the expected amount',
+                    payload: transaction.raw || transaction
+                });
+                payment.metadata.set('failureReason', 'amount_mismatch');
+                payment.metadata.set('paidAmount', String(transaction.amount / 100));
+                await persistPayment(payment);
+            }
+
+            const error = new Error('Paid amount does not match the expected amount');
+            error.statusCode = 400;
+            error.isOperational = true;
+            throw error;
+        }
+
+        // Still-pending transactions are left alone
+        const status = statusFromTransaction(transaction.status);
+        if (status && status !== payment.status && canTransition(payment.status, status)) {
+            payment.transitionTo(status, {
+                source: 'verify',
+                reason: transaction.gatewayResponse || `Provider reported ${transaction.status}`,
+                payload: transaction.raw || transaction
+            });
+            payment.paymentMethod = transaction.channel || payment.paymentMethod;
+            payment.description = `Payment via ${payment.paymentMethod}`;
+            payment.metadata.set('providerTransactionId', String(transaction.id));
+            if (status === 'completed') {
+                payment.paidAt = transaction.paidAt || new Date();
+            } else if (transaction.gatewayResponse) {
+                payment.metadata.set('failureReason', String(transaction.gatewayResponse));
+            }
+            await persistPayment(payment);
+        }
+    }
+
+    let updatedUser = null;
+    if (payment.status === 'completed') {
+        await activateUserPayment(payment);
+        updatedUser = await User.findById(userId)
+            .select('-password -__v -resetPasswordToken -resetPasswordExpire');
+    }
+
+    return {
+        success: true,
+        message: payment.status === 'completed'
+            ? 'Payment verified and recorded successfully'
+            : `Payment is ${payment.status}`,
+        payment: {
+            id: payment._id,
+            paymentId: payment.paymentId,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status,
+            paidAt: payment.paidAt
         },
-        { new: true }
-    );
-    
-    console.log('User payment status updated successfully');
-    
-    return savedPayment.toObject();
+        user: updatedUser ? updatedUser.toObject() : null
+    };
 };
 
 /**
- * Verify a payment with Paystack and save the transaction
- * @param {string} reference - The payment reference from Paystack
+ * Verify an initialized payment with the configured payment provider
+ * @param {string} reference - The transaction reference
  * @param {string} userId - The ID of the user making the request
  * @returns {Promise<Object>} The verified payment data
  */
-const verifyPaymentWithPaystack = async (reference, userId) => {
-    console.log('🔍 [verifyPaymentWithPaystack] Starting payment verification', {
+const verifyPaymentWithProvider = async (reference, userId) => {
+    console.log('🔍 [verifyPaymentWithProvider] Starting payment verification', {
         reference,
         userId,
         timestamp: new Date().toISOString()
     });
-    
+
     if (!reference) {
         const error = new Error('Payment reference is required');
-        console.error('❌ [verifyPaymentWithPaystack] Error:', error.message);
+        error.statusCode = 400;
+        console.error('❌ [verifyPaymentWithProvider] Error:', error.message);
         throw error;
     }
 
     try {
-        
-        if (!process.env.PAYSTACK_SECRET_KEY) {
-            const error = new Error('Payment verification service is not properly configured');
-            console.error('❌ [verifyPaymentWithPaystack] PAYSTACK_SECRET_KEY is not set in environment variables');
+        // Only transactions started through /payments/initialize can be
+        // verified: the pending payment fixes who pays and how much
+        const pendingPayment = await Payment.findOne({ paymentId: reference });
+        if (!pendingPayment) {
+            const error = new Error('No payment was initialized with this reference');
+            error.statusCode = 404;
             throw error;
         }
 
-        // Check if this is a test payment (reference starts with 'test_' or 'pay_')
-        const isTestPayment = reference.startsWith('test_') || reference.startsWith('pay_');
-        
-        console.log('🔍 [verifyPaymentWithPaystack] Payment verification request details:', {
-            reference,
-            userId,
-            isTestPayment,
-            timestamp: new Date().toISOString(),
-            referenceStartsWithPay: reference.startsWith('pay_'),
-            referenceStartsWithTest: reference.startsWith('test_')
+        const provider = getPaymentProvider();
+        const transaction = await provider.verify(reference);
+        console.log('Payment verification data:', {
+            provider: provider.name,
+            reference: transaction.reference,
+            status: transaction.status,
+            amount: transaction.amount,
+            currency: transaction.currency
         });
-        
-        console.log('🔍 [verifyPaymentWithPaystack] isTestPayment value:', isTestPayment);
-        
-        let paymentData;
-        
-        if (isTestPayment) {
-            console.log('✅ [verifyPaymentWithPaystack] Processing test payment with reference:', reference);
-            
-            // For test payments, create a successful payment record directly
-            const user = await User.findById(userId);
-            
-            if (!user) {
-                console.error('❌ [verifyPaymentWithPaystack] User not found for test payment');
-                throw new Error('User not found');
-            }
-            
-            console.log('✅ [verifyPaymentWithPaystack] Found user for test payment:', {
-                userId: user._id,
-                email: user.email,
-                qrCodeToken: user.qrCodeToken ? 'present' : 'missing'
-            });
-            
-            // Use a fixed amount for test payments (1000 = 10.00 NGN)
-            const testAmount = 1000;
-            
-            paymentData = {
-                user: userId,
-                qrCodeToken: user.qrCodeToken,
-                reference: reference,
-                amount: testAmount / 100, // Convert to Naira
-                currency: 'NGN',
-                status: 'success',
-                paymentMethod: 'test_card',
-                paidAt: new Date(),
-                metadata: {
-                    isTestPayment: true,
-                    verifiedAt: new Date().toISOString(),
-                    testReference: reference,
-                    testUserId: userId.toString()
-                }
-            };
-            
-            console.log('✅ [verifyPaymentWithPaystack] Created test payment data:', JSON.stringify(paymentData, null, 2));
-            
-            // Save the test payment
-            try {
-                const savedPayment = await saveVerifiedPayment({
-                    ...paymentData,
-                    // session // Pass the session to maintain transaction
-                });
-                
-                console.log('✅ [verifyPaymentWithPaystack] Successfully saved test payment:', {
-                    paymentId: savedPayment._id,
-                    reference: savedPayment.reference,
-                    amount: savedPayment.amount,
-                    status: savedPayment.status
-                });
-                
-                // Update user's payment information and get the updated user
-                const updatedUser = await User.findByIdAndUpdate(
-                    userId,
-                    {
-                        'payment.paymentType': 'one-time',
-                        'payment.lastPaymentDate': savedPayment.paidAt,
-                        'payment.lastPaymentAmount': savedPayment.amount,
-                        'payment.status': 'active',
-                        'payment.nextBillingDate': null,
-                        updatedAt: new Date()
-                    },
-                    { 
-                        new: true,
-                        // session 
-                    }
-                ).select('-password -__v -resetPasswordToken -resetPasswordExpire');
-                
-                return {
-                    success: true,
-                    message: 'Test payment verified and recorded successfully',
-                    payment: {
-                        id: savedPayment._id,
-                        reference: savedPayment.reference,
-                        amount: savedPayment.amount,
-                        currency: savedPayment.currency,
-                        status: savedPayment.status,
-                        paidAt: savedPayment.paidAt
-                    },
-                    user: updatedUser ? updatedUser.toObject() : null
-                };
-                
-            } catch (saveError) {
-                console.error('❌ [verifyPaymentWithPaystack] Error saving test payment:', {
-                    error: saveError.message,
-                    stack: saveError.stack,
-                    reference,
-                    userId
-                });
-                throw new Error(`Failed to save test payment: ${saveError.message}`);
-            }
-        } else {
-            // For real payments, verify with Paystack
-            const paystackUrl = `https://api.paystack.co/transaction/verify/${reference}`;
-            console.log('Verifying payment with Paystack:', { paystackUrl });
-            
-            const response = await axios.get(paystackUrl, {
-                headers: {
-                    'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'User-Agent': 'EasyPass/1.0'
-                },
-                timeout: 30000, // 30 seconds timeout
-                maxRedirects: 0, // Prevent automatic redirects
-                validateStatus: (status) => status < 500 // Don't throw for 4xx errors
-            });
 
-            console.log('Paystack API response:', { status: response.status, data: response.data });
-
-            if (response.status !== 200) {
-                throw new Error(`Payment verification failed: ${response.data.message || 'Unknown error'}`);
-            }
-
-            const { data } = response.data;
-            console.log('Payment verification data:', data);
-            
-            // Get user to associate with the payment
-            const user = await User.findById(userId);      
-            
-            if (!user) {
-                throw new Error('User not found');
-            }
-
-            // Prepare payment data for real payment
-            paymentData = {
-                user: userId,
-                qrCodeToken: user.qrCodeToken,
-                reference: data.reference,
-                amount: data.amount / 100, // Convert from kobo to Naira
-                currency: data.currency,
-                status: data.status === 'success' ? 'completed' : data.status === 'failed' ? 'failed' : 'pending',
-                paymentMethod: data.channel,
-                description: `Payment via ${data.channel}`,
-                metadata: {
-                    // Only include primitive values that can be converted to strings
-                    ...(data.metadata ? Object.fromEntries(
-                        Object.entries(data.metadata).filter(([_, v]) => 
-                            v === null || ['string', 'number', 'boolean'].includes(typeof v)
-                        )
-                    ) : {}),
-                    paystackTransactionId: data.id,
-                    paystackChannel: data.channel,
-                    paystackReference: data.reference,
-                    ipAddress: data.ip_address,
-                    fees: String(data.fees / 100), // Convert to string explicitly
-                    // Skip complex objects that can't be stored as strings
-                    customer: data.customer ? JSON.stringify(data.customer) : undefined,
-                    authorization: data.authorization ? JSON.stringify(data.authorization) : undefined
-                },
-                paidAt: data.paid_at ? new Date(data.paid_at) : new Date()
-            };
-
-            // Prepare payment data for saving
-            const paymentToSave = {
-                user: userId,
-                reference: data.reference,
-                amount: data.amount / 100, // Convert from kobo to Naira
-                currency: data.currency,
-                status: data.status === 'success' ? 'completed' : data.status === 'failed' ? 'failed' : 'pending',
-                paymentMethod: data.channel,
-                description: `Payment via ${data.channel}`,
-                metadata: {
-                    // Only include primitive values that can be converted to strings
-                    ...(data.metadata ? Object.fromEntries(
-                        Object.entries(data.metadata).filter(([_, v]) => 
-                            v === null || ['string', 'number', 'boolean'].includes(typeof v)
-                        )
-                    ) : {}),
-                    paystackTransactionId: data.id,
-                    paystackChannel: data.channel,
-                    paystackReference: data.reference,
-                    ipAddress: data.ip_address,
-                    fees: String(data.fees / 100), // Convert to string explicitly
-                    // Skip complex objects that can't be stored as strings
-                    customer: data.customer ? JSON.stringify(data.customer) : undefined,
-                    authorization: data.authorization ? JSON.stringify(data.authorization) : undefined
-                },
-                paidAt: data.paid_at ? new Date(data.paid_at) : new Date(),
-                // session // Pass the session to maintain transaction
-            };
-            
-            console.log('Saving payment with data:', {
-                reference: paymentToSave.reference,
-                amount: paymentToSave.amount,
-                currency: paymentToSave.currency,
-                status: paymentToSave.status
-            });
-            
-            // Save the verified payment
-            const payment = await saveVerifiedPayment(paymentToSave);
-
-            // Update user's payment information and get the updated user
-            const updatedUser = await User.findByIdAndUpdate(
-                userId,
-                {
-                    'payment.paymentType': 'one-time',
-                    'payment.lastPaymentDate': payment.paidAt,
-                    'payment.lastPaymentAmount': payment.amount,
-                    'payment.status': 'active',
-                    'payment.nextBillingDate': null,
-                    updatedAt: new Date()
-                },
-                { 
-                    new: true,
-                    // session 
-                }
-            ).select('-password -__v -resetPasswordToken -resetPasswordExpire');
-
-            return {
-                success: true,
-                message: 'Payment verified and recorded successfully',
-                payment: {
-                    id: payment._id,
-                    paymentId: payment.paymentId,
-                    amount: payment.amount,
-                    currency: payment.currency,
-                    status: payment.status,
-                    paidAt: payment.paidAt
-                },
-                user: updatedUser ? updatedUser.toObject() : null
-            };
-        }
+        return await completeInitializedPayment(pendingPayment, transaction, userId);
     } catch (error) {
-        console.error('Error verifying payment with Paystack:', {
+        console.error('Error verifying payment:', {
             name: error.name,
             message: error.message,
-            stack: error.stack,
-            code: error.code,
-            response: error.response ? error.response.data : undefined
+            code: error.code
         });
-        
-        // Handle Axios errors
-        if (error.response) {
-            // The request was made and the server responded with a status code
-            // that falls out of the range of 2xx
-            const { status, data } = error.response;
-            const errorMessage = (data && data.message) ? data.message : 'Payment verification failed';
-            const err = new Error(`Paystack API error (${status}): ${errorMessage}`);
-            err.statusCode = status;
-            err.isOperational = true;
-            throw err;
-        } else if (error.request) {
-            // The request was made but no response was received
-            const err = new Error('No response received from Paystack. Please try again later.');
-            err.statusCode = 503; // Service Unavailable
-            err.isOperational = true;
-            throw err;
-        } else {
-            // For any other errors, rethrow them
-            error.statusCode = error.statusCode || 500;
-            error.isOperational = true;
-            throw error;
-        }
-    } finally {
-        // await session.endSession();
+
+        // Provider errors are already operational; anything else is ours
+        error.statusCode = error.statusCode || 500;
+        error.isOperational = true;
+        throw error;
     }
 };
 
 /**
  * Check if user has made a payment today
+ * Answered from the user's passes, so multi-day passes bought on an earlier
+ * day count too. "Today" is the pass's day in the business timezone.
  * @param {string} userId - The ID of the user
  * @param {string} qrCodeToken - The QR code token of the user
- * @returns {Promise<Object>} Object containing hasPaidToday and lastPayment info
+ * @returns {Promise<Object>} Object containing hasPaidToday, the validity window, the active pass and lastPayment info
  */
 const hasPaidTodayService = async (userId, qrCodeToken) => {
     console.log('Checking if user has paid today:', { userId, qrCodeToken })
@@ -638,29 +1055,21 @@ const hasPaidTodayService = async (userId, qrCodeToken) => {
             throw new Error('User not found or invalid QR code token');
         }
 
-        // Get the start of today
-        const todayStart = new Date();
-        todayStart.setHours(0, 0, 0, 0);
-        
-        // Check for any successful payments today
-        const todayPayment = await Payment.findOne({
-            user: userId,
-            status: 'completed',
-            paidAt: { $gte: todayStart }
-        })
-        .sort({ paidAt: -1 })
-        .select('_id amount currency paidAt')
-        .lean();
+        const activePass = await getActivePassService(userId);
 
         // Get the most recent payment regardless of date
+        // A partially refunded payment still counts; a fully refunded one doesn't
         const lastPayment = await Payment.findOne(
-            { user: userId, status: 'completed' },
+            { user: userId, status: { $in: ['completed', 'partially_refunded'] } },
             '_id amount currency paidAt',
             { sort: { paidAt: -1 } }
         ).lean();
 
         return {
-            hasPaidToday: !!todayPayment,
+            hasPaidToday: !!activePass,
+            validFrom: activePass ? activePass.validFrom : null,
+            validUntil: activePass ? activePass.validUntil : null,
+            activePass: activePass ? toPassSummary(activePass) : null,
             lastPayment: lastPayment ? {
                 id: lastPayment._id,
                 amount: lastPayment.amount,
@@ -688,10 +1097,13 @@ const hasPaidTodayService = async (userId, qrCodeToken) => {
 
 export {
     processPayment,
+    initializePaymentService,
     handlePaymentWebhook,
+    refundPaymentService,
+    getPaymentRefundsService,
+    getPaymentStatusHistoryService,
     getPaymentByIdService,
     getPaymentHistoryService,
-    saveVerifiedPayment,
-    verifyPaymentWithPaystack,
+    verifyPaymentWithProvider,
     hasPaidTodayService
 };
@@ -0,0 +1,157 @@
+import QRCode from 'qrcode';
+
+/**
+ * Render QR codes on demand as PNG, SVG or a printable PDF pass card
+ */
+
+const DEFAULT_OPTIONS = {
+    size: 300,
+    margin: 4,
+    errorCorrectionLevel: 'M'
+};
+
+const toQrOptions = ({ size, margin, errorCorrectionLevel } = {}) => ({
+    width: size || DEFAULT_OPTIONS.size,
+    margin: margin === undefined ? DEFAULT_OPTIONS.margin : margin,
+    errorCorrectionLevel: errorCorrectionLevel || DEFAULT_OPTIONS.errorCorrectionLevel
+});
+
+/**
+ * Render a QR code as a PNG image
+ * @param {string} text - The text to encode
+ * @param {Object} [options] - size (pixels), margin (modules), errorCorrectionLevel (L, M, Q, H)
+ * @returns {Promise<Buffer>}
+ */
+const renderQrPng = (text, options) => QRCode.toBuffer(text, { ...toQrOptions(options), type: 'png' });
+
+/**
+ * Render a QR code as an SVG document
+ * @param {string} text - The text to encode
+ * @param {Object} [options] - size (pixels), margin (modules), errorCorrectionLevel (L, M, Q, H)
+ * @returns {Promise<string>}
+ */
+const renderQrSvg = (text, options) => QRCode.toString(text, { ...toQrOptions(options), type: 'svg' });
+
+// PDF strings are Latin-1 with \, ( and ) escaped; anything else becomes "?"
+const pdfString = (value) => `(${String(value)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`)})`;
+
+/**
+ * Draw the dark modules of a QR code as filled rectangles
+ * Runs of dark modules on a row are merged to keep the content stream small.
+ * @param {Object} modules - QRCode.create(...).modules
+ * @param {number} x - Left edge of the code, in points
+ * @param {number} y - Bottom edge of the code, in points
+ * @param {number} width - Width of the code, in points
+ * @returns {string} PDF content stream operators
+ */
+const drawQrModules = (modules, x, y, width) => {
+    const moduleSize = width / modules.size;
+    const ops = ['0 0 0 rg'];
+
+    for (let row = 0; row < modules.size; row++) {
+        let col = 0;
+        while (col < modules.size) {
+            if (!modules.get(row, col)) {
+                col++;
+                continue;
+            }
+            const start = col;
+            while (col < modules.size && modules.get(row, col)) {
+                col++;
+            }
+            // PDF's origin is bottom-left, the QR matrix's is top-left
+            const top = y + width - (row + 1) * moduleSize;
+            ops.push(`${(x + start * moduleSize).toFixed(2)} ${top.toFixed(2)} ${((col - start) * moduleSize).toFixed(2)} ${moduleSize.toFixed(2)} re`);
+        }
+    }
+
+    ops.push('f');
+    return ops.join('\n');
+};
+
+/**
+ * Serialize PDF objects with a cross-reference table
+ * @param {Array<string>} objects - Object bodies; object n is objects[n - 1]
+ * @returns {Buffer}
+ */
+const buildPdf = (objects) => {
+    let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+
+    objects.forEach((body, index) => {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+};
+
+/**
+ * Render a printable pass card (3.5 x 5.5 in) with the holder's QR code
+ * @param {Object} card
+ * @param {string} card.text - The text to encode in the QR code
+ * @param {string} card.name - The pass holder's name
+ * @param {string} [card.passName] - The pass product, e.g. "Weekly pass"
+ * @param {Date} [card.validFrom] - Start of the pass
+ * @param {Date} [card.validUntil] - End of the pass
+ * @param {string} [card.timezone] - Timezone to print the validity in
+ * @param {Object} [options] - margin (modules) and errorCorrectionLevel; the size is fixed by the card
+ * @returns {Buffer} The PDF document
+ */
+const renderPassCardPdf = ({ text, name, passName, validFrom, validUntil, timezone }, options = {}) => {
+    const { margin, errorCorrectionLevel } = toQrOptions(options);
+    const { modules } = QRCode.create(text, { errorCorrectionLevel });
+
+    const pageWidth = 252;
+    const pageHeight = 396;
+    const codeWidth = 196;
+    const codeX = (pageWidth - codeWidth) / 2;
+    const codeY = 40;
+    // Quiet zone around the code, in points
+    const quietZone = (codeWidth / modules.size) * margin;
+
+    const formatDate = (date) => new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    }).format(new Date(date));
+
+    const lines = [
+        { font: 'F2', size: 18, y: 360, text: 'EasyPass' },
+        { font: 'F1', size: 12, y: 336, text: name },
+        { font: 'F2', size: 11, y: 314, text: passName || 'No active pass' }
+    ];
+    if (validFrom && validUntil) {
+        lines.push({ font: 'F1', size: 8, y: 298, text: `Valid from ${formatDate(validFrom)}` });
+        lines.push({ font: 'F1', size: 8, y: 287, text: `Valid until ${formatDate(validUntil)}` });
+        if (timezone) {
+            lines.push({ font: 'F1', size: 7, y: 276, text: timezone });
+        }
+    }
+
+    const content = [
+        // White card background behind the quiet zone, in case the page is printed on colour
+        '1 1 1 rg',
+        `${(codeX - quietZone).toFixed(2)} ${(codeY - quietZone).toFixed(2)} ${(codeWidth + 2 * quietZone).toFixed(2)} ${(codeWidth + 2 * quietZone).toFixed(2)} re f`,
+        drawQrModules(modules, codeX, codeY, codeWidth),
+        ...lines.map(line => `BT /${line.font} ${line.size} Tf 28 ${line.y} Td ${pdfString(line.text)} Tj ET`)
+    ].join('\n');
+
+    return buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    ]);
+};
+
+export { DEFAULT_OPTIONS, renderQrPng, renderQrSvg, renderPassCardPdf };
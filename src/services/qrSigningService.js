@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+
+/**
+ * Signed QR payloads that gates can verify without a database
+ *
+ * Format: EP1.<claims>.<signature>
+ * - claims: base64url JSON { kid, sub, iat, tid, vf?, vu?, st?, otp? }
+ *   sub is the user ID, tid a fingerprint of the user's QR token,
+ *   vf/vu the pass validity window in seconds (absent without a pass), and
+ *   st/otp the time step and TOTP code of a dynamic QR code
+ * - signature: base64url Ed25519 signature of "EP1.<claims>"
+ *
+ * The current key comes from QR_SIGNING_KEY (PKCS#8 PEM) and QR_SIGNING_KEY_ID.
+ * Retired public keys stay published through QR_RETIRED_PUBLIC_KEYS so QR
+ * codes signed before a rotation keep verifying until they expire.
+ */
+
+const PAYLOAD_PREFIX = 'EP1';
+
+let cachedKeys = null;
+
+/**
+ * Load the signing key and every published verification key
+ * Without QR_SIGNING_KEY an ephemeral key is generated, which is refused in production.
+ * @returns {{ kid: string, privateKey: crypto.KeyObject, publicKeys: Map<string, crypto.KeyObject> }}
+ */
+const loadKeys = () => {
+    const cacheKey = [
+        process.env.QR_SIGNING_KEY,
+        process.env.QR_SIGNING_KEY_ID,
+        process.env.QR_RETIRED_PUBLIC_KEYS
+    ].join('|');
+    if (cachedKeys && cachedKeys.cacheKey === cacheKey) {
+        return cachedKeys;
+    }
+
+    let privateKey;
+    let kid = process.env.QR_SIGNING_KEY_ID;
+
+    if (process.env.QR_SIGNING_KEY) {
+        privateKey = crypto.createPrivateKey(process.env.QR_SIGNING_KEY.replace(/\\n/g, '\n'));
+        if (privateKey.asymmetricKeyType !== 'ed25519') {
+            throw new Error('QR_SIGNING_KEY must be an Ed25519 private key');
+        }
+        if (!kid) {
+            throw new Error('QR_SIGNING_KEY_ID is required when QR_SIGNING_KEY is set');
+        }
+    } else {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('QR_SIGNING_KEY must be set in production');
+        }
+        console.warn('⚠️ QR_SIGNING_KEY is not set, signing QR codes with a temporary key');
+        privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+        kid = kid || 'dev';
+    }
+
+    const publicKeys = new Map([[kid, crypto.createPublicKey(privateKey)]]);
+
+    if (process.env.QR_RETIRED_PUBLIC_KEYS) {
+        let retired;
+        try {
+            retired = JSON.parse(process.env.QR_RETIRED_PUBLIC_KEYS);
+        } catch (error) {
+            throw new Error(`QR_RETIRED_PUBLIC_KEYS is not valid JSON: ${error.message}`);
+        }
+        for (const { kid: retiredKid, publicKey } of retired) {
+            publicKeys.set(retiredKid, crypto.createPublicKey(publicKey.replace(/\\n/g, '\n')));
+        }
+    }
+
+    cachedKeys = { cacheKey, kid, privateKey, publicKeys };
+    return cachedKeys;
+};
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Fingerprint a QR token so payloads can be tied to it without exposing it
+ * @param {string} qrCodeToken - The user's QR token
+ * @returns {string} 16 base64url characters
+ */
+const fingerprintQrToken = (qrCodeToken) =>
+    crypto.createHash('sha256').update(String(qrCodeToken)).digest('base64url').slice(0, 16);
+
+/**
+ * Sign a QR payload for a user
+ * @param {Object} params
+ * @param {string} params.userId - The ID of the user
+ * @param {string} params.qrCodeToken - The user's QR token
+ * @param {Date} [params.validFrom] - Start of the user's pass
+ * @param {Date} [params.validUntil] - End of the user's pass
+ * @param {Object} [params.totp] - Time step and code for a dynamic QR code
+ * @returns {{ payload: string, kid: string, claims: Object }} The string to encode in the QR image
+ */
+const signQrPayload = ({ userId, qrCodeToken, validFrom, validUntil, totp }) => {
+    const { kid, privateKey } = loadKeys();
+
+    const claims = {
+        kid,
+        sub: userId.toString(),
+        iat: toSeconds(new Date()),
+        tid: fingerprintQrToken(qrCodeToken)
+    };
+    if (validFrom && validUntil) {
+        claims.vf = toSeconds(validFrom);
+        claims.vu = toSeconds(validUntil);
+    }
+    if (totp) {
+        claims.st = totp.step;
+        claims.otp = totp.code;
+    }
+
+    const signingInput = `${PAYLOAD_PREFIX}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), privateKey).toString('base64url');
+
+    return { payload: `${signingInput}.${signature}`, kid, claims };
+};
+
+/**
+ * Whether a scanned string looks like a signed payload rather than a bare token
+ * @param {string} value - The scanned value
+ * @returns {boolean}
+ */
+const isSignedQrPayload = (value) => typeof value === 'string' && value.startsWith(`${PAYLOAD_PREFIX}.`);
+
+/**
+ * Verify a signed QR payload
+ * A valid signature doesn't mean entry is allowed - check claims.vf/vu for that.
+ * @param {string} payload - The scanned payload
+ * @returns {{ valid: boolean, reason?: string, claims?: Object }}
+ */
+const verifyQrPayload = (payload) => {
+    const parts = String(payload).split('.');
+    if (parts.length !== 3 || parts[0] !== PAYLOAD_PREFIX) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    const publicKey = loadKeys().publicKeys.get(claims.kid);
+    if (!publicKey) {
+        return { valid: false, reason: 'unknown_key', claims };
+    }
+
+    const signed = crypto.verify(
+        null,
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        publicKey,
+        Buffer.from(parts[2], 'base64url')
+    );
+    if (!signed) {
+        return { valid: false, reason: 'bad_signature' };
+    }
+
+    return { valid: true, claims };
+};
+
+/**
+ * Get the public keys scanners use to verify payloads, as a JWK set
+ * @returns {{ keys: Array<Object> }}
+ */
+const getQrPublicKeys = () => {
+    const { publicKeys } = loadKeys();
+    return {
+        keys: [...publicKeys.entries()].map(([kid, key]) => ({
+            ...key.export({ format: 'jwk' }),
+            kid,
+            use: 'sig',
+            alg: 'EdDSA'
+        }))
+    };
+};
+
+export {
+    signQrPayload,
+    isSignedQrPayload,
+    verifyQrPayload,
+    fingerprintQrToken,
+    getQrPublicKeys
+};
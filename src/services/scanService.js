@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import ScanEvent from '../models/ScanEvent.js';
+import User from '../models/User.js';
+import { getActivePassService } from './passService.js';
+import { isSignedQrPayload, verifyQrPayload, fingerprintQrToken } from './qrSigningService.js';
+import { getBusinessTimezone } from '../config/timezone.js';
+import { getGateQrMode, getQrTotpPeriod } from '../config/gates.js';
+import { verifyTotp } from '../utils/totp.js';
+import { findQrTokenRevocation } from './userService.js';
+import { fromZonedParts, startOfZonedDay, addZonedDays } from '../utils/zonedTime.js';
+
+// Shown to the operator at the gate
+const REASON_MESSAGES = {
+    active_pass: 'Pass is valid',
+    no_active_pass: 'No valid pass for today',
+    unknown_token: 'QR code not recognised',
+    revoked_token: 'QR code has been revoked',
+    invalid_signature: 'QR code signature is not valid',
+    dynamic_code_required: 'This gate needs the live QR code from the app',
+    expired_code: 'QR code has expired, refresh it in the app',
+    account_inactive: 'Account is deactivated'
+};
+
+/**
+ * Hash a QR token so the scan log can refer to it without storing it
+ * @param {string} token - The scanned QR token
+ * @returns {string} The first 16 hex characters of its SHA-256
+ */
+const fingerprintToken = (token) =>
+    crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 16);
+
+/**
+ * Check the rotating code in a dynamic QR payload
+ * Only the current time step and the ones either side of it are accepted.
+ * @param {Object} user - The user, selected with +qrSecret
+ * @param {Object} claims - The verified payload claims
+ * @returns {boolean}
+ */
+const isCurrentDynamicCode = (user, claims) => {
+    if (!user.qrSecret) {
+        return false;
+    }
+    const step = verifyTotp(Buffer.from(user.qrSecret, 'hex'), String(claims.otp), {
+        period: getQrTotpPeriod()
+    });
+    return step !== null && step === claims.st;
+};
+
+/**
+ * Find the user a scanned code belongs to
+ * Accepts both signed payloads and bare QR tokens from older QR codes,
+ * unless the gate runs in dynamic mode.
+ * @param {string} qrToken - The scanned value
+ * @param {string} mode - The gate's QR mode (static or dynamic)
+ * @returns {Promise<Object>} The user, or the reason there isn't one
+ */
+const findScannedUser = async (qrToken, mode) => {
+    const fields = '_id username qrCodeToken +qrSecret isSuspended isDeleted';
+
+    if (!isSignedQrPayload(qrToken)) {
+        if (mode === 'dynamic') {
+            return { reason: 'dynamic_code_required' };
+        }
+        const user = await User.findOne({ qrCodeToken: qrToken }).select(fields);
+        if (user) {
+            return { user };
+        }
+        const revoked = await findQrTokenRevocation({ token: qrToken });
+        return { reason: revoked ? 'revoked_token' : 'unknown_token' };
+    }
+
+    const { valid, claims } = verifyQrPayload(qrToken);
+    if (!valid) {
+        return { reason: 'invalid_signature' };
+    }
+
+    // The signature is only trusted for the token it was issued against
+    const user = await User.findById(claims.sub).select(fields);
+    if (!user) {
+        return { reason: 'unknown_token' };
+    }
+    if (fingerprintQrToken(user.qrCodeToken) !== claims.tid) {
+        const revoked = await findQrTokenRevocation({ fingerprint: claims.tid });
+        return { reason: revoked ? 'revoked_token' : 'unknown_token' };
+    }
+
+    if (claims.otp === undefined) {
+        return mode === 'dynamic' ? { reason: 'dynamic_code_required' } : { user };
+    }
+    // A dynamic code is checked wherever it is scanned
+    return isCurrentDynamicCode(user, claims) ? { user } : { reason: 'expired_code' };
+};
+
+/**
+ * Decide whether the holder of a QR code may enter
+ * Online scans always check the pass in the database rather than the
+ * window in a signed payload, which may predate a refund.
+ * @param {string} qrToken - The scanned QR token or signed payload
+ * @param {string} gateId - The gate the code was scanned at
+ * @returns {Promise<Object>} decision, reason, and the user and pass behind it
+ */
+const decideEntry = async (qrToken, gateId) => {
+    const { user, reason } = await findScannedUser(qrToken, getGateQrMode(gateId));
+    if (!user) {
+        return { decision: 'deny', reason, user: null, pass: null };
+    }
+
+    if (user.isSuspended || user.isDeleted) {
+        return { decision: 'deny', reason: 'account_inactive', user, pass: null };
+    }
+
+    const pass = await getActivePassService(user._id);
+    if (!pass) {
+        return { decision: 'deny', reason: 'no_active_pass', user, pass: null };
+    }
+
+    return { decision: 'admit', reason: 'active_pass', user, pass };
+};
+
+/**
+ * Check a scanned QR code at a gate and record the result
+ * @param {Object} scan
+ * @param {string} scan.qrToken - The scanned QR token or signed payload
+ * @param {string} scan.gateId - The gate the code was scanned at
+ * @param {string} operatorId - The ID of the operator scanning
+ * @returns {Promise<Object>} The verdict to show at the gate
+ */
+const recordScanService = async ({ qrToken, gateId }, operatorId) => {
+    const { decision, reason, user, pass } = await decideEntry(qrToken, gateId);
+
+    const scan = await ScanEvent.create({
+        user: user ? user._id : undefined,
+        tokenFingerprint: fingerprintToken(qrToken),
+        gate: gateId,
+        operator: operatorId,
+        decision,
+        reason,
+        pass: pass ? pass._id : undefined
+    });
+
+    console.log('Scan recorded:', { scanId: scan._id, gate: gateId, decision, reason });
+
+    return {
+        scanId: scan._id,
+        decision,
+        reason,
+        message: REASON_MESSAGES[reason],
+        gate: scan.gate,
+        scannedAt: scan.scannedAt,
+        user: user ? { id: user._id, username: user.username } : null,
+        pass: pass ? {
+            productName: pass.productName,
+            validFrom: pass.validFrom,
+            validUntil: pass.validUntil
+        } : null
+    };
+};
+
+/**
+ * Turn a YYYY-MM-DD day into the instant it starts in a timezone
+ * @param {string} day - The day
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date}
+ */
+const parseDay = (day, timeZone) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return fromZonedParts({ year, month, day: date }, timeZone);
+};
+
+/**
+ * List scan events, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.gate] - Only scans at this gate
+ * @param {string} [filters.decision] - admit or deny
+ * @param {string} [filters.userId] - Only scans of this user
+ * @param {string} [filters.from] - First day (YYYY-MM-DD, business timezone)
+ * @param {string} [filters.to] - Last day, inclusive
+ * @param {number} [filters.page=1] - Page number
+ * @param {number} [filters.limit=50] - Events per page
+ * @returns {Promise<Object>} The events and pagination info
+ */
+const getScanEventsService = async ({ gate, decision, userId, from, to, page = 1, limit = 50 } = {}) => {
+    const timeZone = getBusinessTimezone();
+    const query = {};
+
+    if (gate) {
+        query.gate = gate;
+    }
+    if (decision) {
+        query.decision = decision;
+    }
+    if (userId) {
+        query.user = userId;
+    }
+    if (from || to) {
+        query.scannedAt = {};
+        if (from) {
+            query.scannedAt.$gte = parseDay(from, timeZone);
+        }
+        if (to) {
+            query.scannedAt.$lt = addZonedDays(parseDay(to, timeZone), 1, timeZone);
+        }
+    }
+
+    const [events, total] = await Promise.all([
+        ScanEvent.find(query)
+            .sort({ scannedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('user', 'username')
+            .populate('operator', 'username')
+            .lean(),
+        ScanEvent.countDocuments(query)
+    ]);
+
+    return {
+        events,
+        pagination: {
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            limit
+        }
+    };
+};
+
+/**
+ * Count entries per day and gate
+ * Days are counted in the business timezone. Defaults to the last 7 days.
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - First day (YYYY-MM-DD)
+ * @param {string} [filters.to] - Last day, inclusive
+ * @param {string} [filters.gate] - Only count this gate
+ * @returns {Promise<Object>} Per-day, per-gate admitted/denied counts
+ */
+const getDailyScanSummaryService = async ({ from, to, gate } = {}) => {
+    const timeZone = getBusinessTimezone();
+    const lastDay = to ? parseDay(to, timeZone) : startOfZonedDay(new Date(), timeZone);
+    const firstDay = from ? parseDay(from, timeZone) : addZonedDays(lastDay, -6, timeZone);
+
+    const match = {
+        scannedAt: { $gte: firstDay, $lt: addZonedDays(lastDay, 1, timeZone) }
+    };
+    if (gate) {
+        match.gate = gate;
+    }
+
+    const rows = await ScanEvent.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$scannedAt', timezone: timeZone } },
+                    gate: '$gate'
+                },
+                admitted: { $sum: { $cond: [{ $eq: ['$decision', 'admit'] }, 1, 0] } },
+                denied: { $sum: { $cond: [{ $eq: ['$decision', 'deny'] }, 1, 0] } },
+                admittedUsers: { $addToSet: { $cond: [{ $eq: ['$decision', 'admit'] }, '$user', '$$REMOVE'] } }
+            }
+        },
+        { $sort: { '_id.day': 1, '_id.gate': 1 } }
+    ]);
+
+    return {
+        timezone: timeZone,
+        from: firstDay,
+        to: addZonedDays(lastDay, 1, timeZone),
+        days: rows.map(row => ({
+            day: row._id.day,
+            gate: row._id.gate,
+            admitted: row.admitted,
+            denied: row.denied,
+            uniqueVisitors: row.admittedUsers.length
+        }))
+    };
+};
+
+export {
+    findScannedUser,
+    recordScanService,
+    getScanEventsService,
+    getDailyScanSummaryService
+};
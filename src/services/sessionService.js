@@ -0,0 +1,58 @@
+import Session from '../models/Session.js';
+
+/**
+ * Listing and revoking a user's cookie sessions (see middleware/session.js)
+ */
+
+/**
+ * List a user's active sessions, newest activity first
+ * @param {string} userId - The ID of the user
+ * @param {string} [currentSessionId] - req.sessionID, to mark the session making the request
+ * @returns {Promise<Array<Object>>}
+ */
+const listUserSessions = async (userId, currentSessionId) => {
+    const sessions = await Session.find({ user: userId, expiresAt: { $gt: new Date() } })
+        .sort({ lastSeenAt: -1 })
+        .lean();
+
+    return sessions.map(doc => ({
+        id: doc.deviceId,
+        userAgent: doc.userAgent || null,
+        ip: doc.ip || null,
+        createdAt: doc.createdAt,
+        lastSeenAt: doc.lastSeenAt,
+        expiresAt: doc.expiresAt,
+        current: doc._id === currentSessionId
+    }));
+};
+
+/**
+ * End one of a user's sessions
+ * @param {string} userId - The ID of the user
+ * @param {string} deviceId - The id from listUserSessions
+ * @returns {Promise<{ sessionId: string }>} The ended session's ID
+ * @throws {Error} 404 if the user has no such session
+ */
+const revokeUserSession = async (userId, deviceId) => {
+    const doc = await Session.findOneAndDelete({ user: userId, deviceId: String(deviceId) }).lean();
+    if (!doc) {
+        const error = new Error('Session not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    console.log('Session revoked:', { userId, deviceId });
+    return { sessionId: doc._id };
+};
+
+/**
+ * End every session of a user
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<number>} How many sessions were ended
+ */
+const destroyUserSessions = async (userId) => {
+    const { deletedCount } = await Session.deleteMany({ user: userId });
+    return deletedCount;
+};
+
+export { listUserSessions, revokeUserSession, destroyUserSessions };
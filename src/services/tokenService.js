@@ -0,0 +1,258 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { destroyUserSessions } from './sessionService.js';
+
+/**
+ * Access and refresh tokens
+ *
+ * Access tokens are short-lived HS256 JWTs checked by protect. Refresh tokens
+ * are opaque random strings, stored hashed, that are exchanged for a new pair
+ * at POST /auth/refresh. Each exchange rotates the refresh token; presenting a
+ * token that was already rotated means it was copied, so the whole family
+ * (every token descended from the same login) is revoked.
+ *
+ * Both carry the user's tokenVersion. Bumping it (logout everywhere, a new
+ * password, a suspension) invalidates every access and refresh token at once.
+ */
+
+/**
+ * Lifetime of access tokens, in seconds (ACCESS_TOKEN_TTL, default 15 minutes)
+ * @returns {number}
+ */
+const getAccessTokenTtl = () => parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;
+
+/**
+ * Lifetime of refresh tokens, in seconds (REFRESH_TOKEN_TTL_DAYS, default 30 days)
+ * Each rotation starts a new lifetime, so active users stay logged in.
+ * @returns {number}
+ */
+const getRefreshTokenTtl = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const unauthorized = (message) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    return error;
+};
+
+// Generate JWT access token
+const generateAccessToken = (id, tokenVersion = 0) => {
+    try {
+        if (!id) {
+            throw new Error('User ID is required to generate token');
+        }
+
+        const userId = id.toString();
+        const now = Math.floor(Date.now() / 1000);
+
+        // Create payload with all required claims
+        const payload = {
+            sub: userId,        // Standard JWT subject claim
+            userId: userId,     // For backward compatibility
+            id: userId,         // For backward compatibility
+            iat: now,           // Issued at time
+            ver: tokenVersion,  // Compared with the user's tokenVersion by protect
+            iss: 'easypass-api', // Issuer
+            aud: 'easypass-client' // Audience
+        };
+
+        // Sign the token with options
+        const token = jwt.sign(
+            payload,
+            process.env.JWT_SECRET || 'your_jwt_secret',
+            {
+                algorithm: 'HS256',            // Explicitly set the algorithm
+                expiresIn: getAccessTokenTtl() // Short-lived, renewed with a refresh token
+            }
+        );
+
+        console.log('Generated JWT token for user:', userId);
+        return token;
+    } catch (error) {
+        console.error('Error generating token:', error);
+        throw new Error('Failed to generate authentication token');
+    }
+};
+
+/**
+ * Issue a refresh token
+ * @param {string} userId - The ID of the user
+ * @param {Object} [context]
+ * @param {string} [context.family] - Family to continue (a new one is started when omitted)
+ * @param {number} [context.tokenVersion=0] - The user's current tokenVersion
+ * @param {string} [context.ip] - Client IP, for the session record
+ * @param {string} [context.userAgent] - Client user agent, for the session record
+ * @returns {Promise<{ refreshToken: string, document: Object }>} The token (shown once) and its record
+ */
+const issueRefreshToken = async (userId, { family, tokenVersion = 0, ip, userAgent } = {}) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    const document = await RefreshToken.create({
+        user: userId,
+        tokenHash: hashToken(refreshToken),
+        family: family || crypto.randomUUID(),
+        tokenVersion,
+        createdByIp: ip,
+        userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+        expiresAt: new Date(Date.now() + getRefreshTokenTtl() * 1000)
+    });
+
+    return { refreshToken, document };
+};
+
+/**
+ * Issue the token pair returned at login and registration
+ * @param {Object} user - The user (_id and tokenVersion)
+ * @param {Object} [context] - ip and userAgent of the client
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+ */
+const issueAuthTokens = async (user, context = {}) => {
+    const tokenVersion = user.tokenVersion || 0;
+    const { refreshToken } = await issueRefreshToken(user._id, { ...context, tokenVersion });
+    return {
+        token: generateAccessToken(user._id, tokenVersion),
+        refreshToken,
+        expiresIn: getAccessTokenTtl()
+    };
+};
+
+/**
+ * Revoke every token in a refresh token family
+ * @param {string} family - The family
+ * @param {string} reason - Why, for the record
+ * @returns {Promise<number>} How many tokens were revoked
+ */
+const revokeRefreshTokenFamily = async (family, reason) => {
+    const result = await RefreshToken.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - The refresh token presented by the client
+ * @param {Object} [context] - ip and userAgent of the client
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number, userId: string }>}
+ */
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw unauthorized('Refresh token is required');
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token atomically, so two concurrent refreshes can't both succeed
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+        { rotatedAt: now },
+        { new: true }
+    );
+
+    if (!current) {
+        const known = await RefreshToken.findOne({ tokenHash });
+        if (known && known.rotatedAt) {
+            const revoked = await revokeRefreshTokenFamily(known.family, 'Refresh token reuse detected');
+            console.warn('Refresh token reuse detected, family revoked:', {
+                user: known.user,
+                family: known.family,
+                revoked,
+                ip: context.ip
+            });
+            throw unauthorized('Refresh token has already been used, please log in again');
+        }
+        throw unauthorized('Invalid or expired refresh token, please log in again');
+    }
+
+    const user = await User.findById(current.user).select('isSuspended isDeleted tokenVersion');
+    if (!user || user.isSuspended || user.isDeleted) {
+        await revokeRefreshTokenFamily(current.family, 'Account unavailable');
+        throw unauthorized('Your account is not available, please log in again');
+    }
+
+    const tokenVersion = user.tokenVersion || 0;
+    if (current.tokenVersion !== tokenVersion) {
+        await revokeRefreshTokenFamily(current.family, 'Sessions revoked');
+        throw unauthorized('Your session has been revoked, please log in again');
+    }
+
+    const next = await issueRefreshToken(current.user, { ...context, family: current.family, tokenVersion });
+    current.replacedBy = next.document._id;
+    await current.save();
+
+    return {
+        token: generateAccessToken(current.user, tokenVersion),
+        refreshToken: next.refreshToken,
+        expiresIn: getAccessTokenTtl(),
+        userId: current.user.toString()
+    };
+};
+
+/**
+ * End the session a refresh token belongs to (logout on one device)
+ * @param {string} [refreshToken] - The refresh token presented by the client
+ * @returns {Promise<boolean>} Whether a session was found
+ */
+const revokeRefreshToken = async (refreshToken) => {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return false;
+    }
+
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!record) {
+        return false;
+    }
+
+    await revokeRefreshTokenFamily(record.family, 'Logged out');
+    return true;
+};
+
+/**
+ * Sign a user out everywhere
+ * Bumps tokenVersion so outstanding access tokens fail in protect, and
+ * revokes every refresh token so none of them can mint new ones, and ends
+ * every cookie session.
+ * @param {string} userId - The ID of the user
+ * @param {string} reason - Why, for the record
+ * @returns {Promise<number>} The new tokenVersion
+ */
+const revokeUserSessions = async (userId, reason) => {
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $inc: { tokenVersion: 1 } },
+        { new: true }
+    ).select('tokenVersion');
+
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    await RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    // Cookie sessions would fail protect's version check anyway; this tidies them up
+    await destroyUserSessions(userId);
+
+    console.log('Sessions revoked:', { userId, reason, tokenVersion: user.tokenVersion });
+    return user.tokenVersion;
+};
+
+export {
+    getAccessTokenTtl,
+    getRefreshTokenTtl,
+    generateAccessToken,
+    issueRefreshToken,
+    issueAuthTokens,
+    revokeRefreshTokenFamily,
+    revokeRefreshToken,
+    revokeUserSessions,
+    rotateRefreshToken
+};
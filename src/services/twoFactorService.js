@@ -0,0 +1,304 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { toBase32, verifyTotp } from '../utils/totp.js';
+import { hasPrivilegedRole } from '../config/roles.js';
+
+/**
+ * TOTP two-factor authentication
+ *
+ * With 2FA on, a correct password only earns a short-lived challenge token
+ * (a JWT with its own audience, so it is never accepted as an access token).
+ * POST /auth/2fa/verify exchanges it, plus a code from the authenticator app
+ * or a one-time recovery code, for a session.
+ *
+ * Staff (the operator and admin roles) must use 2FA. Until they have enrolled,
+ * their challenge is an enrolment challenge: POST /auth/2fa/enrol shows them a
+ * secret, and their first code completes both the enrolment and the login.
+ * TWO_FACTOR_REQUIRED_FOR_STAFF=false turns this off (tests, first deploy).
+ */
+
+const CHALLENGE_AUDIENCE = 'easypass-2fa';
+const ISSUER = 'easypass-api';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Lifetime of a login challenge, in seconds (TWO_FACTOR_CHALLENGE_TTL, default 5 minutes)
+ * @returns {number}
+ */
+const getChallengeTtl = () => parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL, 10) || 5 * 60;
+
+const getSecret = () => process.env.JWT_SECRET || 'your_jwt_secret';
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''))
+    .digest('hex');
+
+const invalidCode = () => {
+    const error = new Error('Invalid two-factor code');
+    error.statusCode = 401;
+    return error;
+};
+
+/**
+ * Whether a user may not log in without a second factor
+ * @param {Object} user - roles and twoFactorEnabled
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = (user) => {
+    if (user.twoFactorEnabled) {
+        return true;
+    }
+    return hasPrivilegedRole(user) && process.env.TWO_FACTOR_REQUIRED_FOR_STAFF !== 'false';
+};
+
+/**
+ * Issue the challenge returned by loginUser in place of a session
+ * @param {Object} user - _id, tokenVersion and twoFactorEnabled
+ * @returns {{ twoFactorRequired: true, enrolmentRequired: boolean, challengeToken: string, expiresIn: number }}
+ */
+const createLoginChallenge = (user) => {
+    const expiresIn = getChallengeTtl();
+    const challengeToken = jwt.sign(
+        { sub: user._id.toString(), ver: user.tokenVersion || 0 },
+        getSecret(),
+        { algorithm: 'HS256', audience: CHALLENGE_AUDIENCE, issuer: ISSUER, expiresIn }
+    );
+
+    return {
+        twoFactorRequired: true,
+        enrolmentRequired: !user.twoFactorEnabled,
+        challengeToken,
+        expiresIn
+    };
+};
+
+/**
+ * Load the user a login challenge was issued to
+ * @param {string} challengeToken - From the login response
+ * @returns {Promise<Object>} The user document, with the 2FA fields selected
+ * @throws {Error} 401 if the challenge is invalid, expired or its session was revoked
+ */
+const readLoginChallenge = async (challengeToken) => {
+    const rejected = () => {
+        const error = new Error('Two-factor challenge is invalid or has expired, please log in again');
+        error.statusCode = 401;
+        return error;
+    };
+
+    let claims;
+    try {
+        claims = jwt.verify(String(challengeToken || ''), getSecret(), {
+            algorithms: ['HS256'],
+            audience: CHALLENGE_AUDIENCE,
+            issuer: ISSUER
+        });
+    } catch (error) {
+        throw rejected();
+    }
+
+    const user = await User.findById(claims.sub)
+        .select('+qrCodeDataUrl +twoFactorSecret +twoFactorPendingSecret +twoFactorLastStep');
+    if (!user || user.isSuspended || user.isDeleted || (claims.ver || 0) !== (user.tokenVersion || 0)) {
+        throw rejected();
+    }
+    return user;
+};
+
+/**
+ * Check a TOTP code and remember its time step so it can't be replayed
+ * @param {Object} user - The user document
+ * @param {string} secret - Hex secret to check against
+ * @param {string} code - The code from the authenticator app
+ * @returns {Promise<boolean>}
+ */
+const acceptTotp = async (user, secret, code) => {
+    const step = verifyTotp(Buffer.from(secret, 'hex'), String(code || '').replace(/\s/g, ''));
+    if (step === null) {
+        return false;
+    }
+
+    // Only one request can move the last step past this one
+    const { modifiedCount } = await User.updateOne(
+        {
+            _id: user._id,
+            $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }]
+        },
+        { twoFactorLastStep: step }
+    );
+    return modifiedCount === 1;
+};
+
+/**
+ * Use up a recovery code
+ * @param {Object} user - The user document
+ * @param {string} recoveryCode - One of the codes shown at enrolment
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (user, recoveryCode) => {
+    const hash = hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return modifiedCount === 1;
+};
+
+/**
+ * Check the second factor of a user who has 2FA enabled
+ * @param {Object} user - The user document
+ * @param {Object} factor
+ * @param {string} [factor.code] - A code from the authenticator app
+ * @param {string} [factor.recoveryCode] - A one-time recovery code
+ * @returns {Promise<void>}
+ * @throws {Error} 401 if neither is valid
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+    let secret = user.twoFactorSecret;
+    if (secret === undefined) {
+        ({ twoFactorSecret: secret } = await User.findById(user._id).select('+twoFactorSecret').lean());
+    }
+
+    if (!user.twoFactorEnabled || !secret) {
+        const error = new Error('Two-factor authentication is not enabled');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (code && await acceptTotp(user, secret, code)) {
+        return;
+    }
+    if (recoveryCode && await consumeRecoveryCode(user, recoveryCode)) {
+        console.log('Recovery code used:', { userId: user._id });
+        return;
+    }
+    throw invalidCode();
+};
+
+/**
+ * Replace a user's recovery codes with a new set
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} The codes, shown to the user once
+ */
+const issueRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await User.updateOne({ _id: userId }, { twoFactorRecoveryCodes: codes.map(hashRecoveryCode) });
+    return codes;
+};
+
+/**
+ * Start enrolling: create a secret and show it as an otpauth:// QR code
+ * The secret only takes effect once confirmEnrolment sees a code from it.
+ * @param {Object} user - _id, email and twoFactorEnabled
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCodeDataUrl: string }>}
+ */
+const beginEnrolment = async (user) => {
+    if (user.twoFactorEnabled) {
+        const error = new Error('Two-factor authentication is already enabled');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const secret = crypto.randomBytes(20);
+    await User.updateOne({ _id: user._id }, { twoFactorPendingSecret: secret.toString('hex') });
+
+    const issuer = process.env.TWO_FACTOR_ISSUER || 'EasyPass';
+    const otpauthUrl = `otpauth://totp/${encodeURIComponent(`${issuer}:${user.email}`)}?${new URLSearchParams({
+        secret: toBase32(secret),
+        issuer,
+        algorithm: 'SHA1',
+        digits: '6',
+        period: '30'
+    })}`;
+
+    return {
+        secret: toBase32(secret),
+        otpauthUrl,
+        qrCodeDataUrl: await QRCode.toDataURL(otpauthUrl)
+    };
+};
+
+/**
+ * Finish enrolling with a code from the pending secret
+ * @param {Object} user - _id and twoFactorEnabled
+ * @param {string} code - A code from the authenticator app
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ */
+const confirmEnrolment = async (user, code) => {
+    if (user.twoFactorEnabled) {
+        const error = new Error('Two-factor authentication is already enabled');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const { twoFactorPendingSecret: pending } = await User.findById(user._id)
+        .select('+twoFactorPendingSecret').lean();
+    if (!pending) {
+        const error = new Error('Start two-factor enrolment first');
+        error.statusCode = 400;
+        throw error;
+    }
+    if (!await acceptTotp(user, pending, code)) {
+        throw invalidCode();
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        { twoFactorEnabled: true, twoFactorSecret: pending, $unset: { twoFactorPendingSecret: 1 } }
+    );
+    user.twoFactorEnabled = true;
+
+    console.log('Two-factor authentication enabled:', { userId: user._id });
+    return issueRecoveryCodes(user._id);
+};
+
+/**
+ * Turn 2FA off after checking a current code or a recovery code
+ * @param {Object} user - The user document
+ * @param {Object} factor - code or recoveryCode
+ * @returns {Promise<void>}
+ * @throws {Error} 403 for staff, who must keep it on
+ */
+const disableTwoFactor = async (user, factor) => {
+    // Asked without twoFactorEnabled, so only the staff rule answers
+    if (isTwoFactorRequired({ roles: user.roles })) {
+        const error = new Error('Two-factor authentication is required for staff accounts');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    await verifySecondFactor(user, factor);
+
+    await User.updateOne({ _id: user._id }, {
+        twoFactorEnabled: false,
+        $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1 }
+    });
+    console.log('Two-factor authentication disabled:', { userId: user._id });
+};
+
+/**
+ * Replace the recovery codes after checking a current code
+ * @param {Object} user - The user document
+ * @param {string} code - A code from the authenticator app
+ * @returns {Promise<string[]>}
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+    await verifySecondFactor(user, { code });
+    return issueRecoveryCodes(user._id);
+};
+
+export {
+    isTwoFactorRequired,
+    createLoginChallenge,
+    readLoginChallenge,
+    verifySecondFactor,
+    beginEnrolment,
+    confirmEnrolment,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
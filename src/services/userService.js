@@ -1,46 +1,32 @@
-import jwt from 'jsonwebtoken';
 import QRCode from 'qrcode';
-import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import User from '../models/User.js';
-
-// Generate JWT token
-const generateToken = (id) => {
-    try {
-        if (!id) {
-            throw new Error('User ID is required to generate token');
-        }
-        
-        const userId = id.toString();
-        const now = Math.floor(Date.now() / 1000);
-        
-        // Create payload with all required claims
-        const payload = {
-            sub: userId,        // Standard JWT subject claim
-            userId: userId,     // For backward compatibility
-            id: userId,         // For backward compatibility
-            iat: now,           // Issued at time
-            iss: 'easypass-api', // Issuer
-            aud: 'easypass-client' // Audience
-        };
-        
-        // Sign the token with options
-        const token = jwt.sign(
-            payload, 
-            process.env.JWT_SECRET || 'your_jwt_secret',
-            {
-                algorithm: 'HS256',  // Explicitly set the algorithm
-                expiresIn: '7d'      // 7 days from now
-            }
-        );
-        
-        console.log('Generated JWT token for user:', userId);
-        return token;
-    } catch (error) {
-        console.error('Error generating token:', error);
-        throw new Error('Failed to generate authentication token');
-    }
-};
+import RevokedQrToken from '../models/RevokedQrToken.js';
+import { signQrPayload, fingerprintQrToken } from './qrSigningService.js';
+import { getActivePassService } from './passService.js';
+import { getGateQrMode, getQrTotpPeriod } from '../config/gates.js';
+import { ROLES, hasRole } from '../config/roles.js';
+import { generateTotp } from '../utils/totp.js';
+import { notifyWalletPassesChanged } from './walletService.js';
+import { findScannedUser } from './scanService.js';
+import { issueAuthTokens } from './tokenService.js';
+import { recordAuditEvent } from './accountService.js';
+import { sendVerificationEmail } from './emailVerificationService.js';
+import {
+    isTwoFactorRequired,
+    createLoginChallenge,
+    readLoginChallenge,
+    verifySecondFactor,
+    confirmEnrolment
+} from './twoFactorService.js';
+import { renderQrPng, renderQrSvg, renderPassCardPdf, DEFAULT_OPTIONS } from './qrRenderService.js';
+import {
+    recordLoginAttempt,
+    assertIpAllowed,
+    assertAccountUnlocked,
+    registerFailedLogin,
+    clearFailedLogins
+} from './loginProtectionService.js';
 
 // Generate a secure random token for QR codes
 const generateQrToken = () => {
@@ -50,9 +36,10 @@ const generateQrToken = () => {
 /**
  * Register a new user
  * @param {Object} userData - User data including username, email, and password
- * @returns {Promise<Object>} User data with token and QR code
+ * @param {Object} [context] - ip and userAgent of the client, recorded with the refresh token
+ * @returns {Promise<Object>} User data with tokens and QR code
  */
-export const registerUser = async (userData) => {
+export const registerUser = async (userData, context = {}) => {
     console.log({userData});
     const { username, email, password } = userData;
     
@@ -79,37 +66,40 @@ export const registerUser = async (userData) => {
             username,
             email: email.toLowerCase(),
             password: password, // Let the pre-save hook handle the hashing
-            qrCodeToken,
-            isAdmin: false
+            qrCodeToken
         });
 
         // Save the user first to get the _id
         const savedUser = await user.save();
         
-        // Generate QR code data URL with user ID
-        const qrCodeData = {
-            userId: savedUser._id.toString(),
-            email: email.toLowerCase(),
-            token: qrCodeToken,
-            timestamp: new Date().toISOString()
-        };
-        
-        // Generate QR code with the updated data
-        const qrCodeDataUrl = await QRCode.toDataURL(JSON.stringify(qrCodeData));
+        // Sign the QR payload so gates can verify it offline; it carries no
+        // pass window yet, so the frontend fetches /users/me/qr after paying
+        const { payload } = signQrPayload({
+            userId: savedUser._id,
+            qrCodeToken: savedUser.qrCodeToken
+        });
+        const qrCodeDataUrl = await QRCode.toDataURL(payload);
         
         // Update the user with the generated QR code
         savedUser.qrCodeDataUrl = qrCodeDataUrl;
         await savedUser.save();
+
+        // Sent in the background so a slow mail server doesn't hold up sign-up
+        sendVerificationEmail(savedUser);
         
         // Return user data with token (excluding password)
         const userResponse = {
             _id: savedUser._id,
             username: savedUser.username,
             email: savedUser.email,
+            // Deprecated: render with qrCodeUrl instead
             qrCodeDataUrl: savedUser.qrCodeDataUrl,
+            qrCodeUrl: '/users/me/qr.png',
             qrCodeToken: savedUser.qrCodeToken,
-            isAdmin: savedUser.isAdmin || false,
-            token: generateToken(savedUser._id.toString())
+            emailVerified: savedUser.emailVerified,
+            roles: savedUser.roles,
+            isAdmin: hasRole(savedUser, 'admin'),
+            ...(await issueAuthTokens(savedUser, context))
         };
 
         return userResponse;
@@ -119,14 +109,41 @@ export const registerUser = async (userData) => {
     }
 };
 
+// User data returned with a new session
+const buildLoginResponse = (user, tokens) => ({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    // Deprecated: render with qrCodeUrl instead
+    qrCodeDataUrl: user.qrCodeDataUrl || '',
+    qrCodeUrl: '/users/me/qr.png',
+    qrCodeToken: user.qrCodeToken || '',
+    emailVerified: user.emailVerified || false,
+    twoFactorEnabled: user.twoFactorEnabled || false,
+    ...tokens,
+    roles: user.roles || ['customer'],
+    // Kept for older clients, read roles instead
+    isAdmin: hasRole(user, 'admin'),
+    createdAt: user.createdAt
+});
+
+// Cookie-session logins (context.cookieSession) get no tokens: the controller
+// starts a server-side session instead, pinned to the user's tokenVersion
+const issueLoginCredentials = (user, { cookieSession, ...context }) => (cookieSession
+    ? { tokenVersion: user.tokenVersion || 0 }
+    : issueAuthTokens(user, context));
+
 /**
  * Login a user
  * @param {string} email - User's email
  * @param {string} password - User's password
- * @returns {Promise<Object>} User data with token
+ * @param {Object} [context] - ip and userAgent of the client, recorded with the refresh token,
+ * and cookieSession to skip the tokens (the response carries tokenVersion instead)
+ * @returns {Promise<Object>} User data with access token, refresh token and expiresIn,
+ * or a two-factor challenge (see completeTwoFactorLogin) when 2FA is required
  * @throws {Error} If login fails or input is invalid
  */
-export const loginUser = async (email, password) => {
+export const loginUser = async (email, password, context = {}) => {
     console.log('Auth attempt for email:', email);
     
     // Input validation
@@ -147,31 +164,49 @@ export const loginUser = async (email, password) => {
     try {
         // Normalize email
         const normalizedEmail = email.toLowerCase().trim();
+        const recordAttempt = (user, outcome) => recordLoginAttempt({ user, email: normalizedEmail, outcome }, context);
+
+        // An address that keeps failing waits, whichever accounts it tries
+        try {
+            await assertIpAllowed(context.ip);
+        } catch (error) {
+            await recordAttempt(null, 'locked');
+            throw error;
+        }
+
         console.log('🔍 Looking up user with email:', normalizedEmail);
         
         // Find user by email
-        const user = await User.findOne({ email: normalizedEmail }).select('+password').lean();
+        const user = await User.findOne({ email: normalizedEmail }).select('+password +qrCodeDataUrl').lean();
         console.log('✅ User found:', user ? `Yes (${user._id})` : 'No');
 
         if (!user) {
             console.error('❌ No user found with email:', normalizedEmail);
+            await recordAttempt(null, 'unknown_email');
             const error = new Error('Invalid email or password');
             error.statusCode = 401;
             throw error;
         }
 
+        // Backing off or locked out: don't even check the password
+        try {
+            assertAccountUnlocked(user);
+        } catch (error) {
+            console.error('Login refused, account locked:', user.email);
+            await recordAttempt(user, 'locked');
+            throw error;
+        }
+
         // Log user details (excluding sensitive data)
         console.log('📋 User details:', {
             id: user._id,
             email: user.email,
             hasPassword: !!user.password,
-            passwordHash: user.password ? `${user.password.substring(0, 15)}...` : 'none',
-            isAdmin: user.isAdmin || false
+            roles: user.roles
         });
         
         // Check if password is valid using the model's matchPassword method
         console.log('🔑 Starting password validation...');
-        console.log('   Provided password:', password);
         
         // Convert to Mongoose document to use instance methods
         const userDoc = new User(user);
@@ -181,15 +216,10 @@ export const loginUser = async (email, password) => {
 
         if (!isPasswordValid) {
             console.error('❌ Invalid password for user:', user.email);
-            console.log('   Stored password hash:', user.password ? `${user.password.substring(0, 15)}...` : 'none');
             
-            // Additional debug: Try direct bcrypt compare
-            try {
-                const directCompare = await bcrypt.compare(password, user.password);
-                console.log('   Direct bcrypt.compare result:', directCompare);
-            } catch (bcryptError) {
-                console.error('   Error in direct bcrypt compare:', bcryptError.message);
-            }
+            const { failedLoginAttempts, lockedUntil } = await registerFailedLogin(user);
+            await recordAttempt(user, 'invalid_password');
+            console.log('   Failed attempts:', failedLoginAttempts, lockedUntil ? `(waiting until ${lockedUntil.toISOString()})` : '');
             
             const error = new Error('Invalid email or password');
             error.statusCode = 401;
@@ -199,29 +229,29 @@ export const loginUser = async (email, password) => {
         // Check if user is active
         if (user.isSuspended || user.isDeleted) {
             console.error('Account deactivated for user:', user.email);
+            await recordAttempt(user, 'account_inactive');
             const error = new Error('Your account has been deactivated');
             error.statusCode = 403; // Forbidden
             throw error;
         }
 
-        // Generate token
-        const token = generateToken(user._id.toString());
-        console.log('Generated token for user:', user.email);
+        // The password alone isn't enough: hand out a challenge for the second factor
+        // (failed attempts are only cleared once that is passed too)
+        if (isTwoFactorRequired(user)) {
+            console.log('Two-factor challenge issued for user:', user.email);
+            await recordAttempt(user, 'two_factor_required');
+            return createLoginChallenge(user);
+        }
 
-        // Return user data with token
-        const userData = {
-            _id: user._id,
-            username: user.username,
-            email: user.email,
-            qrCodeDataUrl: user.qrCodeDataUrl || '',
-            qrCodeToken: user.qrCodeToken || '',
-            token: token,
-            isAdmin: user.isAdmin || false,
-            createdAt: user.createdAt
-        };
+        await clearFailedLogins(user);
+        await recordAttempt(user, 'success');
+
+        // Generate a short-lived access token and a refresh token to renew it
+        const tokens = await issueLoginCredentials(user, context);
+        console.log('Generated tokens for user:', user.email);
         
         console.log('Authentication successful for user:', user.email);
-        return userData;
+        return buildLoginResponse(user, tokens);
 
     } catch (error) {
         // Log the error but don't expose sensitive information
@@ -237,6 +267,57 @@ export const loginUser = async (email, password) => {
     }
 };
 
+/**
+ * Finish a login that returned a two-factor challenge
+ * For staff who haven't enrolled yet, the code confirms the secret from
+ * POST /auth/2fa/enrol and the response also carries their recovery codes.
+ * @param {string} challengeToken - From the login response
+ * @param {Object} factor - code (authenticator app) or recoveryCode
+ * @param {Object} [context] - As for loginUser
+ * @returns {Promise<Object>} User data with access token, refresh token and expiresIn
+ */
+export const completeTwoFactorLogin = async (challengeToken, factor, context = {}) => {
+    const user = await readLoginChallenge(challengeToken);
+    const recordAttempt = (outcome) => recordLoginAttempt({ user, email: user.email, outcome }, context);
+
+    // A lockout that started after the challenge was issued applies here too
+    try {
+        assertAccountUnlocked(user);
+    } catch (error) {
+        await recordAttempt('locked');
+        throw error;
+    }
+
+    let recoveryCodes;
+    try {
+        if (user.twoFactorEnabled) {
+            await verifySecondFactor(user, factor);
+        } else {
+            recoveryCodes = await confirmEnrolment(user, factor.code);
+        }
+    } catch (error) {
+        // Guesses are limited per challenge by the route; they also count
+        // towards the account's backoff and lockout, so fresh challenges
+        // from other addresses don't buy more guesses
+        if (error.statusCode === 401) {
+            await registerFailedLogin(user);
+            await recordAttempt('two_factor_failed');
+        }
+        throw error;
+    }
+
+    await clearFailedLogins(user);
+    await recordAttempt('success');
+
+    const tokens = await issueLoginCredentials(user, context);
+    console.log('Two-factor login completed for user:', user.email);
+
+    return {
+        ...buildLoginResponse(user, tokens),
+        ...(recoveryCodes && { recoveryCodes })
+    };
+};
+
 /**
  * Get user by ID
  * @param {string} id - User ID
@@ -270,12 +351,12 @@ export const getUserById = async (id) => {
 
 /**
  * Get all users
- * @returns {Promise<Array>} List of users
+ * @returns {Promise<Array>} List of users, without soft-deleted accounts
  */
 export const getUsers = async () => {
     try {
-        // Exclude password field and convert to plain JavaScript objects
-        const users = await User.find({}).select('-password').lean();
+        // Exclude password field and soft-deleted accounts, and convert to plain JavaScript objects
+        const users = await User.find({ isDeleted: { $ne: true } }).select('-password').lean();
         return users;
     } catch (error) {
         console.error('Error in getUsers:', error);
@@ -286,8 +367,303 @@ export const getUsers = async () => {
     }
 };
 
+/**
+ * Replace a user's roles
+ * Everyone keeps the customer role, and admins can't take admin away from
+ * themselves, so there is always someone left who can hand it back.
+ * @param {string} userId - User ID
+ * @param {string[]} roles - The new roles
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - The admin making the change
+ * @returns {Promise<Object>} _id and roles
+ */
+export const updateUserRoles = async (userId, roles, { actorId } = {}) => {
+    const unknown = roles.filter(role => !ROLES.includes(role));
+    if (unknown.length) {
+        const error = new Error(`Unknown roles: ${unknown.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (actorId && actorId.toString() === userId.toString() && !roles.includes('admin')) {
+        const error = new Error('You cannot remove your own admin role');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    let user;
+    try {
+        user = await User.findById(userId);
+    } catch (error) {
+        if (error.name === 'CastError') {
+            const err = new Error('Invalid user ID format');
+            err.statusCode = 400;
+            throw err;
+        }
+        throw error;
+    }
+
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const previous = [...user.roles];
+    user.roles = ROLES.filter(role => role === 'customer' || roles.includes(role));
+    await user.save();
+
+    await recordAuditEvent({
+        action: 'user.roles_changed',
+        target: user._id,
+        actorId,
+        details: { from: previous, to: user.roles }
+    });
+
+    console.log('User roles changed:', { userId: user._id, actorId, from: previous, to: user.roles });
+    return { _id: user._id, roles: user.roles };
+};
+
+/**
+ * Get a user's dynamic QR secret, creating it on first use
+ * @param {Object} user - The user document, selected with +qrSecret
+ * @returns {Promise<Buffer>} The secret
+ */
+const ensureQrSecret = async (user) => {
+    if (!user.qrSecret) {
+        // Only set it if a concurrent request hasn't already
+        await User.updateOne(
+            { _id: user._id, qrSecret: { $exists: false } },
+            { qrSecret: crypto.randomBytes(20).toString('hex') }
+        );
+        const { qrSecret } = await User.findById(user._id).select('+qrSecret').lean();
+        user.qrSecret = qrSecret;
+    }
+    return Buffer.from(user.qrSecret, 'hex');
+};
+
+/**
+ * Load a user and their current pass for rendering a QR code
+ * @param {string} userId - User ID
+ * @returns {Promise<{ user: Object, pass: Object|null }>}
+ */
+const loadQrHolder = async (userId) => {
+    const user = await User.findById(userId).select('username qrCodeToken +qrSecret');
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return { user, pass: await getActivePassService(user._id) };
+};
+
+/**
+ * Get a freshly signed QR code for a user
+ * The payload carries the user's current pass window, so it has to be
+ * re-issued after every purchase. Dynamic codes also carry a TOTP code for
+ * the current time step and have to be refreshed every step.
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.mode='static'] - static or dynamic
+ * @returns {Promise<Object>} The signed payload, its QR image and the pass window it covers
+ */
+export const getUserQrCode = async (userId, { mode = 'static' } = {}) => {
+    const { user, pass } = await loadQrHolder(userId);
+
+    let totp;
+    let refreshIn;
+    if (mode === 'dynamic') {
+        const period = getQrTotpPeriod();
+        totp = generateTotp(await ensureQrSecret(user), { period });
+        refreshIn = (totp.step + 1) * period - Math.floor(Date.now() / 1000);
+    }
+
+    const { payload, kid } = signQrPayload({
+        userId: user._id,
+        qrCodeToken: user.qrCodeToken,
+        validFrom: pass ? pass.validFrom : undefined,
+        validUntil: pass ? pass.validUntil : undefined,
+        totp
+    });
+
+    return {
+        mode,
+        payload,
+        kid,
+        qrCodeDataUrl: await QRCode.toDataURL(payload),
+        validFrom: pass ? pass.validFrom : null,
+        validUntil: pass ? pass.validUntil : null,
+        // Seconds until a dynamic code should be fetched again
+        ...(totp && { refreshIn })
+    };
+};
+
+const QR_CONTENT_TYPES = {
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf'
+};
+
+/**
+ * Render a user's static QR code as an image or a printable pass card
+ * The ETag only depends on what the code and card show, so clients can
+ * revalidate cheaply; it changes when the QR token is rotated or the pass changes.
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} options.format - png, svg or pdf
+ * @param {number} [options.size] - Image width in pixels (png and svg)
+ * @param {number} [options.margin] - Quiet zone in modules
+ * @param {string} [options.errorCorrectionLevel] - L, M, Q or H
+ * @param {string} [options.ifNoneMatch] - The client's If-None-Match header
+ * @returns {Promise<Object>} etag, and contentType and body unless notModified
+ */
+export const renderUserQrCode = async (userId, { format, size, margin, errorCorrectionLevel, ifNoneMatch }) => {
+    const { user, pass } = await loadQrHolder(userId);
+    const renderOptions = {
+        size: size || DEFAULT_OPTIONS.size,
+        margin: margin === undefined ? DEFAULT_OPTIONS.margin : margin,
+        errorCorrectionLevel: errorCorrectionLevel || DEFAULT_OPTIONS.errorCorrectionLevel
+    };
+
+    const etag = `W/"${crypto.createHash('sha256').update(JSON.stringify([
+        format,
+        renderOptions,
+        fingerprintQrToken(user.qrCodeToken),
+        user.username,
+        pass ? [pass._id, pass.validFrom, pass.validUntil] : null
+    ])).digest('base64url').slice(0, 27)}"`;
+
+    if (ifNoneMatch && ifNoneMatch.split(/\s*,\s*/).includes(etag)) {
+        return { notModified: true, etag };
+    }
+
+    const { payload } = signQrPayload({
+        userId: user._id,
+        qrCodeToken: user.qrCodeToken,
+        validFrom: pass ? pass.validFrom : undefined,
+        validUntil: pass ? pass.validUntil : undefined
+    });
+    let body;
+    if (format === 'png') {
+        body = await renderQrPng(payload, renderOptions);
+    } else if (format === 'svg') {
+        body = await renderQrSvg(payload, renderOptions);
+    } else {
+        body = renderPassCardPdf({
+            text: payload,
+            name: user.username,
+            passName: pass ? pass.productName : undefined,
+            validFrom: pass ? pass.validFrom : undefined,
+            validUntil: pass ? pass.validUntil : undefined,
+            timezone: pass ? pass.timezone : undefined
+        }, renderOptions);
+    }
+
+    return { etag, contentType: QR_CONTENT_TYPES[format], body };
+};
+
+/**
+ * Find the revocation record of a QR token
+ * @param {Object} lookup - Either the raw token or the fingerprint from a signed payload
+ * @param {string} [lookup.token] - The scanned token
+ * @param {string} [lookup.fingerprint] - The tid claim of a signed payload
+ * @returns {Promise<Object|null>} The revocation, if the token was revoked
+ */
+export const findQrTokenRevocation = async ({ token, fingerprint }) => {
+    if (token) {
+        const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+        return RevokedQrToken.findOne({ tokenHash }).lean();
+    }
+    if (fingerprint) {
+        return RevokedQrToken.findOne({ fingerprint }).sort({ revokedAt: -1 }).lean();
+    }
+    return null;
+};
+
+/**
+ * Replace a user's QR token and revoke the old one
+ * Also resets the dynamic QR secret, so rotating codes from the old phone stop working.
+ * Payments keep the token they were made with as a historical record.
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the QR code is being revoked
+ * @param {string} [options.actorId] - Who is rotating it (the user or an admin)
+ * @returns {Promise<Object>} The new token, its QR image and when the old one was revoked
+ */
+export const rotateQrToken = async (userId, { reason, actorId } = {}) => {
+    let user;
+    try {
+        user = await User.findById(userId);
+    } catch (error) {
+        if (error.name === 'CastError') {
+            const err = new Error('Invalid user ID format');
+            err.statusCode = 400;
+            throw err;
+        }
+        throw error;
+    }
+
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const oldToken = user.qrCodeToken;
+    const revocation = oldToken ? await RevokedQrToken.create({
+        user: user._id,
+        tokenHash: crypto.createHash('sha256').update(oldToken).digest('hex'),
+        fingerprint: fingerprintQrToken(oldToken),
+        reason: reason || 'rotated',
+        revokedBy: actorId
+    }) : null;
+
+    user.qrCodeToken = generateQrToken();
+    user.qrSecret = undefined;
+    const { payload } = signQrPayload({ userId: user._id, qrCodeToken: user.qrCodeToken });
+    user.qrCodeDataUrl = await QRCode.toDataURL(payload);
+    await user.save();
+
+    console.log('QR token rotated:', { userId: user._id, actorId, reason: reason || 'rotated' });
+    // Wallet cards still show the old code
+    await notifyWalletPassesChanged(user._id);
+
+    return {
+        qrCodeToken: user.qrCodeToken,
+        qrCodeDataUrl: user.qrCodeDataUrl,
+        revokedAt: revocation ? revocation.revokedAt : null
+    };
+};
+
+const qrTokenNotFound = () => {
+    const error = new Error('User not found with this QR code');
+    error.statusCode = 404;
+    return error;
+};
+
+/**
+ * Throw the error for a QR token no user holds
+ * Rotated tokens are told apart from codes that were never issued, so only
+ * use this where the caller is authenticated.
+ * @param {string} token - QR code token
+ */
+const throwUnknownQrToken = async (token) => {
+    const revocation = await findQrTokenRevocation({ token });
+    if (revocation) {
+        const error = new Error('This QR code has been revoked');
+        error.statusCode = 410;
+        error.revokedAt = revocation.revokedAt;
+        error.reason = revocation.reason;
+        throw error;
+    }
+
+    throw qrTokenNotFound();
+};
+
 /**
  * Get user by QR code token
+ * Returns the full profile, so only gate operators may call this.
  * @param {string} token - QR code token
  * @returns {Promise<Object>} User data
  */
@@ -300,11 +676,9 @@ export const getUserByQrToken = async (token) => {
         
         if (user) {
             return user;
-        } else {
-            const error = new Error('User not found with this QR code');
-            error.statusCode = 404;
-            throw error;
         }
+
+        return await throwUnknownQrToken(token);
     } catch (error) {
         console.error('Error in getUserByQrToken:', error);
         if (!error.statusCode) {
@@ -313,3 +687,47 @@ export const getUserByQrToken = async (token) => {
         throw error;
     }
 };
+
+/**
+ * Check a scanned QR code for the public verification endpoint
+ * Takes what the QR image holds - a signed payload - as well as bare tokens,
+ * checked the way a gate in the default QR mode (DEFAULT_GATE_QR_MODE) would,
+ * so in dynamic mode screenshots and bare tokens don't verify.
+ * Only the verdict, a display name and the pass window are returned - nothing
+ * that identifies or contacts the holder.
+ * @param {string} token - The scanned QR token or signed payload
+ * @returns {Promise<Object>} allowed, reason, displayName and pass ({ validFrom, validUntil } or null)
+ */
+export const verifyQrToken = async (token) => {
+    try {
+        const { user, reason } = await findScannedUser(token, getGateQrMode());
+
+        if (!user) {
+            // Codes that need refreshing are worth telling the holder about
+            if (reason === 'dynamic_code_required' || reason === 'expired_code') {
+                return { allowed: false, reason, displayName: null, pass: null };
+            }
+            // Revoked codes and bad signatures look unknown here, so the public
+            // endpoint can't be used to learn which tokens were once valid
+            throw qrTokenNotFound();
+        }
+
+        if (user.isSuspended || user.isDeleted) {
+            return { allowed: false, reason: 'account_inactive', displayName: user.username, pass: null };
+        }
+
+        const pass = await getActivePassService(user._id);
+        return {
+            allowed: !!pass,
+            reason: pass ? 'active_pass' : 'no_active_pass',
+            displayName: user.username,
+            pass: pass ? { validFrom: pass.validFrom, validUntil: pass.validUntil } : null
+        };
+    } catch (error) {
+        if (!error.statusCode) {
+            console.error('Error in verifyQrToken:', error);
+            error.statusCode = 500;
+        }
+        throw error;
+    }
+};
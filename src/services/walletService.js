@@ -0,0 +1,648 @@
+import crypto from 'crypto';
+import http2 from 'http2';
+import zlib from 'zlib';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import forge from 'node-forge';
+import User from '../models/User.js';
+import Pass from '../models/Pass.js';
+import WalletPass from '../models/WalletPass.js';
+import { signQrPayload } from './qrSigningService.js';
+import { getAppleWalletConfig, getGoogleWalletConfig } from '../config/wallet.js';
+import { createZip, crc32 } from '../utils/zip.js';
+
+/**
+ * Apple Wallet (.pkpass) and Google Wallet cards for a user's EasyPass
+ *
+ * Each user gets one card per wallet showing their signed QR payload and
+ * current (or next) pass. When a payment, refund or QR rotation changes
+ * what the card should show, notifyWalletPassesChanged bumps its update
+ * tag and pushes the change: an APNs push that makes Apple Wallet fetch the
+ * card again through the PassKit web service, and an object update through
+ * the Google Wallet API.
+ */
+
+const notConfigured = (wallet) => {
+    const error = new Error(`${wallet} passes are not configured`);
+    error.statusCode = 503;
+    return error;
+};
+
+const unauthorized = () => {
+    const error = new Error('Not authorized');
+    error.statusCode = 401;
+    return error;
+};
+
+/**
+ * Load what a wallet card shows
+ * The pass is the one in force now or, failing that, the next one to start.
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<{ user: Object, pass: Object|null, payload: string }>}
+ */
+const loadCardContent = async (userId) => {
+    const user = await User.findById(userId).select('username qrCodeToken');
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const pass = await Pass.findOne({
+        user: user._id,
+        status: 'active',
+        validUntil: { $gt: new Date() }
+    }).sort({ validFrom: 1 });
+
+    const { payload } = signQrPayload({
+        userId: user._id,
+        qrCodeToken: user.qrCodeToken,
+        validFrom: pass ? pass.validFrom : undefined,
+        validUntil: pass ? pass.validUntil : undefined
+    });
+
+    return { user, pass, payload };
+};
+
+/**
+ * Find a user's wallet card, creating it on first download
+ * @param {string} userId - The ID of the user
+ * @param {string} platform - apple or google
+ * @returns {Promise<Object>} The wallet pass document, with its authentication token
+ */
+const getOrCreateWalletPass = async (userId, platform) => {
+    const existing = await WalletPass.findOne({ user: userId, platform }).select('+authenticationToken');
+    if (existing) {
+        return existing;
+    }
+
+    try {
+        return await WalletPass.create({
+            user: userId,
+            platform,
+            serialNumber: crypto.randomUUID(),
+            authenticationToken: crypto.randomBytes(24).toString('hex')
+        });
+    } catch (error) {
+        // Created by a concurrent download
+        if (error.code === 11000) {
+            return WalletPass.findOne({ user: userId, platform }).select('+authenticationToken');
+        }
+        throw error;
+    }
+};
+
+// Format a pass date for wallets that show text as given (Google Wallet)
+const formatPassDate = (date, timezone) => new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+}).format(new Date(date));
+
+// Apple Wallet
+
+/**
+ * Render a single-colour square PNG, used for the pass icon
+ * @param {number} size - Width and height in pixels
+ * @param {string} color - CSS rgb() colour
+ * @returns {Buffer}
+ */
+const solidColorPng = (size, color) => {
+    const [red, green, blue] = color.match(/\d+/g).map(Number);
+
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+        const checksum = Buffer.alloc(4);
+        checksum.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, checksum]);
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // truecolour
+
+    // Each scanline is a filter byte (none) followed by the row's pixels
+    const row = Buffer.alloc(1 + size * 3);
+    for (let x = 0; x < size; x++) {
+        row[1 + x * 3] = red;
+        row[2 + x * 3] = green;
+        row[3 + x * 3] = blue;
+    }
+    const pixels = Buffer.concat(Array.from({ length: size }, () => row));
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(pixels)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+};
+
+/**
+ * Build pass.json for a user's card
+ * @param {Object} config - Apple Wallet settings
+ * @param {Object} walletPass - The wallet pass document
+ * @param {Object} content - From loadCardContent
+ * @returns {Object}
+ */
+const buildPassJson = (config, walletPass, { user, pass, payload }) => ({
+    formatVersion: 1,
+    passTypeIdentifier: config.passTypeIdentifier,
+    serialNumber: walletPass.serialNumber,
+    teamIdentifier: config.teamIdentifier,
+    organizationName: config.organizationName,
+    description: `${config.organizationName} entry pass`,
+    logoText: config.organizationName,
+    backgroundColor: config.colors.background,
+    foregroundColor: config.colors.foreground,
+    labelColor: config.colors.label,
+    sharingProhibited: true,
+    ...(config.webServiceURL && {
+        webServiceURL: config.webServiceURL,
+        authenticationToken: walletPass.authenticationToken
+    }),
+    barcodes: [{
+        format: 'PKBarcodeFormatQR',
+        message: payload,
+        messageEncoding: 'iso-8859-1'
+    }],
+    generic: {
+        primaryFields: [{
+            key: 'pass',
+            label: 'PASS',
+            value: pass ? pass.productName : 'No active pass',
+            changeMessage: 'Your pass is now %@'
+        }],
+        secondaryFields: [{ key: 'holder', label: 'NAME', value: user.username }],
+        auxiliaryFields: pass ? [
+            {
+                key: 'validFrom',
+                label: 'VALID FROM',
+                value: pass.validFrom.toISOString(),
+                dateStyle: 'PKDateStyleMedium',
+                timeStyle: 'PKDateStyleShort'
+            },
+            {
+                key: 'validUntil',
+                label: 'VALID UNTIL',
+                value: pass.validUntil.toISOString(),
+                dateStyle: 'PKDateStyleMedium',
+                timeStyle: 'PKDateStyleShort',
+                changeMessage: 'Your pass now runs until %@'
+            }
+        ] : [],
+        backFields: [{
+            key: 'help',
+            label: 'HOW TO USE',
+            value: 'Show the code at the gate. This card updates by itself when you buy a pass.'
+        }]
+    }
+});
+
+/**
+ * Sign a pass manifest
+ * Apple wants a detached PKCS#7 signature made with the Pass Type ID
+ * certificate, carrying the WWDR intermediate and a signing time.
+ * @param {Object} config - Apple Wallet settings
+ * @param {Buffer} manifest - manifest.json
+ * @returns {Buffer} DER-encoded signature
+ */
+const signManifest = (config, manifest) => {
+    const certificate = forge.pki.certificateFromPem(config.certificate);
+    const privateKey = config.privateKeyPassphrase
+        ? forge.pki.decryptRsaPrivateKey(config.privateKey, config.privateKeyPassphrase)
+        : forge.pki.privateKeyFromPem(config.privateKey);
+    if (!privateKey) {
+        throw new Error('APPLE_PASS_KEY could not be decrypted with APPLE_PASS_KEY_PASSPHRASE');
+    }
+
+    const signedData = forge.pkcs7.createSignedData();
+    signedData.content = forge.util.createBuffer(manifest.toString('binary'));
+    signedData.addCertificate(certificate);
+    signedData.addCertificate(forge.pki.certificateFromPem(config.wwdrCertificate));
+    signedData.addSigner({
+        key: privateKey,
+        certificate,
+        digestAlgorithm: forge.pki.oids.sha256,
+        authenticatedAttributes: [
+            { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+            { type: forge.pki.oids.messageDigest },
+            { type: forge.pki.oids.signingTime, value: new Date() }
+        ]
+    });
+    signedData.sign({ detached: true });
+
+    return Buffer.from(forge.asn1.toDer(signedData.toAsn1()).getBytes(), 'binary');
+};
+
+/**
+ * Build the .pkpass bundle for a wallet card
+ * @param {Object} config - Apple Wallet settings
+ * @param {Object} walletPass - The wallet pass document, with its authentication token
+ * @returns {Promise<Buffer>} The zipped bundle
+ */
+const buildApplePass = async (config, walletPass) => {
+    const content = await loadCardContent(walletPass.user);
+
+    const files = [
+        { name: 'pass.json', data: Buffer.from(JSON.stringify(buildPassJson(config, walletPass, content))) },
+        { name: 'icon.png', data: solidColorPng(29, config.colors.background) },
+        { name: 'icon@2x.png', data: solidColorPng(58, config.colors.background) },
+        { name: 'icon@3x.png', data: solidColorPng(87, config.colors.background) }
+    ];
+
+    const manifest = Buffer.from(JSON.stringify(Object.fromEntries(
+        files.map(file => [file.name, crypto.createHash('sha1').update(file.data).digest('hex')])
+    )));
+
+    return createZip([
+        ...files,
+        { name: 'manifest.json', data: manifest },
+        { name: 'signature', data: signManifest(config, manifest) }
+    ]);
+};
+
+/**
+ * Get the Apple Wallet card for a user
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<{ body: Buffer, serialNumber: string, lastModified: Date }>}
+ */
+const getApplePassService = async (userId) => {
+    const config = getAppleWalletConfig();
+    if (!config) {
+        throw notConfigured('Apple Wallet');
+    }
+
+    const walletPass = await getOrCreateWalletPass(userId, 'apple');
+    return {
+        body: await buildApplePass(config, walletPass),
+        serialNumber: walletPass.serialNumber,
+        lastModified: walletPass.contentUpdatedAt
+    };
+};
+
+/**
+ * Check the "ApplePass <token>" header Apple Wallet sends to the web service
+ * @param {Object} params
+ * @param {string} params.passTypeIdentifier - From the URL
+ * @param {string} params.serialNumber - From the URL
+ * @param {string} [params.authorization] - The Authorization header
+ * @returns {Promise<{ config: Object, walletPass: Object }>}
+ */
+const authenticateApplePass = async ({ passTypeIdentifier, serialNumber, authorization }) => {
+    const config = getAppleWalletConfig();
+    if (!config) {
+        throw notConfigured('Apple Wallet');
+    }
+    if (passTypeIdentifier !== config.passTypeIdentifier) {
+        throw unauthorized();
+    }
+
+    const [scheme, token] = String(authorization || '').split(' ');
+    const walletPass = await WalletPass.findOne({ serialNumber, platform: 'apple' }).select('+authenticationToken');
+    if (scheme !== 'ApplePass' || !token || !walletPass || token.length !== walletPass.authenticationToken.length ||
+        !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(walletPass.authenticationToken))) {
+        throw unauthorized();
+    }
+
+    return { config, walletPass };
+};
+
+/**
+ * Register a device to receive updates for a pass
+ * @param {Object} params - deviceLibraryIdentifier, passTypeIdentifier, serialNumber, pushToken, authorization
+ * @returns {Promise<{ created: boolean }>} Whether this is a new registration
+ */
+const registerAppleDeviceService = async ({ deviceLibraryIdentifier, pushToken, ...auth }) => {
+    const { walletPass } = await authenticateApplePass(auth);
+
+    const registration = walletPass.registrations.find(
+        existing => existing.deviceLibraryIdentifier === deviceLibraryIdentifier
+    );
+    if (registration) {
+        registration.pushToken = pushToken;
+    } else {
+        walletPass.registrations.push({ deviceLibraryIdentifier, pushToken });
+    }
+    await walletPass.save();
+
+    return { created: !registration };
+};
+
+/**
+ * Stop sending a device updates for a pass
+ * @param {Object} params - deviceLibraryIdentifier, passTypeIdentifier, serialNumber, authorization
+ * @returns {Promise<void>}
+ */
+const unregisterAppleDeviceService = async ({ deviceLibraryIdentifier, ...auth }) => {
+    const { walletPass } = await authenticateApplePass(auth);
+
+    await WalletPass.updateOne(
+        { _id: walletPass._id },
+        { $pull: { registrations: { deviceLibraryIdentifier } } }
+    );
+};
+
+/**
+ * List the passes on a device that changed since an update tag
+ * @param {Object} params
+ * @param {string} params.deviceLibraryIdentifier - The device
+ * @param {string} params.passTypeIdentifier - The pass type
+ * @param {string} [params.passesUpdatedSince] - The lastUpdated tag from the previous call
+ * @returns {Promise<{ serialNumbers: Array<string>, lastUpdated: string }|null>} Null when nothing changed
+ */
+const getUpdatedApplePassesService = async ({ deviceLibraryIdentifier, passTypeIdentifier, passesUpdatedSince }) => {
+    const config = getAppleWalletConfig();
+    if (!config) {
+        throw notConfigured('Apple Wallet');
+    }
+    if (passTypeIdentifier !== config.passTypeIdentifier) {
+        return null;
+    }
+
+    const query = {
+        platform: 'apple',
+        'registrations.deviceLibraryIdentifier': deviceLibraryIdentifier
+    };
+    // Tags are the milliseconds of the newest change we reported
+    const since = Number(passesUpdatedSince);
+    if (passesUpdatedSince && Number.isFinite(since)) {
+        query.contentUpdatedAt = { $gt: new Date(since) };
+    }
+
+    const walletPasses = await WalletPass.find(query).select('serialNumber contentUpdatedAt');
+    if (!walletPasses.length) {
+        return null;
+    }
+
+    const lastUpdated = Math.max(...walletPasses.map(walletPass => walletPass.contentUpdatedAt.getTime()));
+    return {
+        serialNumbers: walletPasses.map(walletPass => walletPass.serialNumber),
+        lastUpdated: String(lastUpdated)
+    };
+};
+
+/**
+ * Get the latest version of a pass for Apple Wallet
+ * @param {Object} params - passTypeIdentifier, serialNumber, authorization, ifModifiedSince
+ * @returns {Promise<{ notModified: boolean, lastModified: Date, body?: Buffer }>}
+ */
+const getLatestApplePassService = async ({ ifModifiedSince, ...auth }) => {
+    const { config, walletPass } = await authenticateApplePass(auth);
+    const lastModified = walletPass.contentUpdatedAt;
+
+    // HTTP dates only have second precision
+    const since = ifModifiedSince ? Date.parse(ifModifiedSince) : NaN;
+    if (Number.isFinite(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since) {
+        return { notModified: true, lastModified };
+    }
+
+    return { notModified: false, lastModified, body: await buildApplePass(config, walletPass) };
+};
+
+/**
+ * Ask Apple Wallet on each registered device to fetch a pass again
+ * Devices APNs reports as gone (410) are unregistered.
+ * @param {Object} config - Apple Wallet settings
+ * @param {Object} walletPass - The wallet pass document
+ * @returns {Promise<void>}
+ */
+const pushAppleUpdate = (config, walletPass) => new Promise((resolve) => {
+    const pushTokens = [...new Set(walletPass.registrations.map(registration => registration.pushToken))];
+    if (!pushTokens.length) {
+        return resolve();
+    }
+
+    const session = http2.connect(`https://${config.apnsHost}`, {
+        cert: config.certificate,
+        key: config.privateKey,
+        passphrase: config.privateKeyPassphrase
+    });
+    const gone = [];
+    let pending = pushTokens.length;
+
+    const finish = async () => {
+        session.close();
+        if (gone.length) {
+            await WalletPass.updateOne(
+                { _id: walletPass._id },
+                { $pull: { registrations: { pushToken: { $in: gone } } } }
+            ).catch(error => console.error('Error removing stale wallet registrations:', error));
+        }
+        resolve();
+    };
+
+    session.on('error', (error) => {
+        console.error('APNs connection failed:', error.message);
+        pending = 0;
+        session.destroy();
+        resolve();
+    });
+
+    for (const pushToken of pushTokens) {
+        const request = session.request({
+            ':method': 'POST',
+            ':path': `/3/device/${pushToken}`,
+            'apns-topic': config.passTypeIdentifier,
+            'content-type': 'application/json'
+        });
+        request.on('response', (headers) => {
+            if (headers[':status'] === 410) {
+                gone.push(pushToken);
+            } else if (headers[':status'] !== 200) {
+                console.warn('APNs rejected wallet update:', { serialNumber: walletPass.serialNumber, status: headers[':status'] });
+            }
+        });
+        request.on('error', error => console.error('APNs request failed:', error.message));
+        request.on('close', () => {
+            pending -= 1;
+            if (pending === 0) {
+                finish();
+            }
+        });
+        // Wallet pushes carry no payload - the device asks the web service what changed
+        request.end('{}');
+    }
+});
+
+// Google Wallet
+
+const localized = (value) => ({ defaultValue: { language: 'en', value } });
+
+/**
+ * Build the Google Wallet generic object for a user's card
+ * @param {Object} config - Google Wallet settings
+ * @param {Object} walletPass - The wallet pass document
+ * @param {Object} content - From loadCardContent
+ * @returns {Object}
+ */
+const buildGenericObject = (config, walletPass, { user, pass, payload }) => ({
+    id: `${config.issuerId}.${walletPass.serialNumber}`,
+    classId: config.classId,
+    state: 'ACTIVE',
+    cardTitle: localized('EasyPass'),
+    subheader: localized(user.username),
+    header: localized(pass ? pass.productName : 'No active pass'),
+    hexBackgroundColor: config.backgroundColor,
+    barcode: {
+        type: 'QR_CODE',
+        value: payload
+    },
+    textModulesData: pass ? [
+        { id: 'valid_from', header: 'Valid from', body: formatPassDate(pass.validFrom, pass.timezone) },
+        { id: 'valid_until', header: 'Valid until', body: formatPassDate(pass.validUntil, pass.timezone) }
+    ] : []
+});
+
+/**
+ * Get an "Add to Google Wallet" link for a user's card
+ * The link carries the whole card in a JWT signed by the service account, so
+ * Google creates the object when the user saves it.
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<{ saveUrl: string, objectId: string }>}
+ */
+const getGoogleWalletSaveUrlService = async (userId) => {
+    const config = getGoogleWalletConfig();
+    if (!config) {
+        throw notConfigured('Google Wallet');
+    }
+
+    const walletPass = await getOrCreateWalletPass(userId, 'google');
+    const genericObject = buildGenericObject(config, walletPass, await loadCardContent(userId));
+
+    const token = jwt.sign({
+        iss: config.serviceAccountEmail,
+        aud: 'google',
+        typ: 'savetowallet',
+        origins: config.origins,
+        payload: {
+            genericClasses: [{ id: config.classId }],
+            genericObjects: [genericObject]
+        }
+    }, config.privateKey, { algorithm: 'RS256' });
+
+    return {
+        saveUrl: `https://pay.google.com/gp/v/save/${token}`,
+        objectId: genericObject.id
+    };
+};
+
+let cachedGoogleToken = null;
+
+/**
+ * Get an OAuth access token for the Google Wallet API as the service account
+ * @param {Object} config - Google Wallet settings
+ * @returns {Promise<string>}
+ */
+const getGoogleAccessToken = async (config) => {
+    if (cachedGoogleToken && cachedGoogleToken.email === config.serviceAccountEmail &&
+        cachedGoogleToken.expiresAt > Date.now() + 60000) {
+        return cachedGoogleToken.accessToken;
+    }
+
+    const assertion = jwt.sign({
+        scope: 'https://www.googleapis.com/auth/wallet_object.issuer'
+    }, config.privateKey, {
+        algorithm: 'RS256',
+        issuer: config.serviceAccountEmail,
+        audience: config.tokenUrl,
+        expiresIn: 3600
+    });
+
+    const response = await axios.post(config.tokenUrl, new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+    }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+    });
+
+    cachedGoogleToken = {
+        email: config.serviceAccountEmail,
+        accessToken: response.data.access_token,
+        expiresAt: Date.now() + response.data.expires_in * 1000
+    };
+    return cachedGoogleToken.accessToken;
+};
+
+/**
+ * Update a saved Google Wallet card in place
+ * @param {Object} config - Google Wallet settings
+ * @param {Object} walletPass - The wallet pass document
+ * @returns {Promise<void>}
+ */
+const pushGoogleUpdate = async (config, walletPass) => {
+    const genericObject = buildGenericObject(config, walletPass, await loadCardContent(walletPass.user));
+
+    try {
+        await axios.patch(
+            `${config.apiUrl}/genericObject/${encodeURIComponent(genericObject.id)}`,
+            genericObject,
+            {
+                headers: { Authorization: `Bearer ${await getGoogleAccessToken(config)}` },
+                timeout: 10000
+            }
+        );
+    } catch (error) {
+        // The user got a save link but never saved the card
+        if (error.response && error.response.status === 404) {
+            return;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Tell a user's wallet cards that their content changed
+ * Bumps the update tag before returning; the pushes to Apple and Google run
+ * in the background and only log failures, so a payment never fails because
+ * a wallet couldn't be reached.
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<void>}
+ */
+const notifyWalletPassesChanged = async (userId) => {
+    try {
+        const walletPasses = await WalletPass.find({ user: userId });
+        if (!walletPasses.length) {
+            return;
+        }
+
+        await WalletPass.updateMany({ user: userId }, { contentUpdatedAt: new Date() });
+
+        for (const walletPass of walletPasses) {
+            const push = walletPass.platform === 'apple'
+                ? () => {
+                    const config = getAppleWalletConfig();
+                    return config && pushAppleUpdate(config, walletPass);
+                }
+                : () => {
+                    const config = getGoogleWalletConfig();
+                    return config && pushGoogleUpdate(config, walletPass);
+                };
+
+            Promise.resolve()
+                .then(push)
+                .catch(error => console.error('Error pushing wallet update:', {
+                    serialNumber: walletPass.serialNumber,
+                    platform: walletPass.platform,
+                    error: error.message
+                }));
+        }
+    } catch (error) {
+        console.error('Error updating wallet passes:', { userId, error: error.message });
+    }
+};
+
+export {
+    getApplePassService,
+    registerAppleDeviceService,
+    unregisterAppleDeviceService,
+    getUpdatedApplePassesService,
+    getLatestApplePassService,
+    getGoogleWalletSaveUrlService,
+    notifyWalletPassesChanged
+};
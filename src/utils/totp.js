@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+
+/**
+ * HOTP (RFC 4226) and TOTP (RFC 6238) codes
+ * Secrets are raw bytes; callers decide how they are stored and encoded.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a secret as unpadded base32 (RFC 4648), the form authenticator apps expect
+ * @param {Buffer} buffer - The secret
+ * @returns {string}
+ */
+const toBase32 = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Generate an HOTP code
+ * @param {Buffer} secret - The shared secret
+ * @param {number} counter - The moving factor
+ * @param {number} [digits=6] - Code length
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (secret, counter, digits = 6) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', secret).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Get the TOTP time step an instant falls in
+ * @param {Date} [at=new Date()] - The instant
+ * @param {number} [period=30] - Step length in seconds
+ * @returns {number}
+ */
+const getTimeStep = (at = new Date(), period = 30) => Math.floor(at.getTime() / 1000 / period);
+
+/**
+ * Generate the TOTP code for an instant
+ * @param {Buffer} secret - The shared secret
+ * @param {Object} [options]
+ * @param {Date} [options.at=new Date()] - The instant
+ * @param {number} [options.period=30] - Step length in seconds
+ * @param {number} [options.digits=6] - Code length
+ * @returns {{ code: string, step: number }}
+ */
+const generateTotp = (secret, { at = new Date(), period = 30, digits = 6 } = {}) => {
+    const step = getTimeStep(at, period);
+    return { code: generateHotp(secret, step, digits), step };
+};
+
+/**
+ * Check a TOTP code, allowing for clock drift
+ * @param {Buffer} secret - The shared secret
+ * @param {string} code - The code to check
+ * @param {Object} [options]
+ * @param {Date} [options.at=new Date()] - The instant to check at
+ * @param {number} [options.period=30] - Step length in seconds
+ * @param {number} [options.window=1] - Steps accepted either side of the current one
+ * @param {number} [options.digits=6] - Code length
+ * @returns {number|null} The step the code matched, or null
+ */
+const verifyTotp = (secret, code, { at = new Date(), period = 30, window = 1, digits = 6 } = {}) => {
+    if (typeof code !== 'string' || code.length !== digits) {
+        return null;
+    }
+
+    const current = getTimeStep(at, period);
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = generateHotp(secret, step, digits);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+export { toBase32, generateHotp, getTimeStep, generateTotp, verifyTotp };
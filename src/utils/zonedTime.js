@@ -0,0 +1,93 @@
+/**
+ * Calendar-day arithmetic in an IANA timezone, independent of the server's
+ * own timezone. Days are counted in calendar days, so a day that loses or
+ * gains an hour to daylight saving still ends at the next local midnight.
+ */
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    }
+    return parts;
+};
+
+/**
+ * How far ahead of UTC a timezone is at an instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds
+ */
+const getZoneOffset = (date, timeZone) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallClockAsUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Get the instant a local wall-clock time happens
+ * Fields may overflow (e.g. day 32), like Date.UTC.
+ * @param {Object} parts - year, month (1-12), day and optionally hour, minute, second
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date}
+ */
+const fromZonedParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = getZoneOffset(new Date(wallClock), timeZone);
+    const instant = wallClock - offset;
+
+    // The offset at the instant itself differs if the clocks changed in between
+    const actualOffset = getZoneOffset(new Date(instant), timeZone);
+    return new Date(actualOffset === offset ? instant : wallClock - actualOffset);
+};
+
+/**
+ * Get the start of the local day an instant falls on
+ * @param {Date} date - Any time during the day
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Local midnight at the start of that day
+ */
+const startOfZonedDay = (date, timeZone) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return fromZonedParts({ year, month, day }, timeZone);
+};
+
+/**
+ * Move an instant forward by whole calendar days, keeping its local time of day
+ * @param {Date} date - The instant, usually a local midnight
+ * @param {number} days - Number of days to add
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} The same local time, days later
+ */
+const addZonedDays = (date, days, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    return fromZonedParts({ ...parts, day: parts.day + days }, timeZone);
+};
+
+export { getZonedParts, fromZonedParts, startOfZonedDay, addZonedDays };
@@ -0,0 +1,127 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import AuditLog from '../../src/models/AuditLog.js';
+import { liftExpiredSuspensions } from '../../src/services/accountService.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Account suspension and deletion', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let userId;
+    let userToken;
+    let qrCodeToken;
+    let adminId;
+    let adminToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    const login = (email) => request(app)
+        .post('/login')
+        .send({ email, password: 'Password123!' });
+
+    beforeEach(async () => {
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'member', email: 'member@example.com', password: 'Password123!' })
+            .expect(201);
+        userId = res.body._id;
+        userToken = res.body.token;
+        qrCodeToken = res.body.qrCodeToken;
+
+        const admin = await User.create({
+            username: 'admin',
+            email: 'admin@example.com',
+            password: 'Password123!',
+            isAdmin: true
+        });
+        adminId = admin._id.toString();
+        adminToken = (await login('admin@example.com').expect(200)).body.data.token;
+    });
+
+    const asAdmin = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${adminToken}`);
+
+    it('should suspend a user, ending their sessions, and reinstate them', async () => {
+        const res = await asAdmin('post', `/users/${userId}/suspend`)
+            .send({ reason: 'Chargeback under review' })
+            .expect(200);
+        expect(res.body.isSuspended).to.equal(true);
+        expect(res.body.suspension.reason).to.equal('Chargeback under review');
+
+        await request(app)
+            .get('/passes/active')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+        await login('member@example.com').expect(403);
+
+        const verdict = await request(app).get(`/users/qr/${qrCodeToken}`).expect(200);
+        expect(verdict.body.reason).to.equal('account_inactive');
+
+        await asAdmin('post', `/users/${userId}/reinstate`).send({ reason: 'Resolved' }).expect(200);
+        await login('member@example.com').expect(200);
+
+        const audit = await AuditLog.find({ target: userId }).sort({ createdAt: 1 }).lean();
+        expect(audit.map(entry => entry.action)).to.deep.equal(['user.suspended', 'user.reinstated']);
+        expect(audit[0].actor.toString()).to.equal(adminId);
+    });
+
+    it('should validate suspensions', async () => {
+        await asAdmin('post', `/users/${userId}/suspend`).send({}).expect(400);
+        await asAdmin('post', `/users/${userId}/suspend`)
+            .send({ reason: 'Too late', expiresAt: new Date(Date.now() - 1000).toISOString() })
+            .expect(400);
+        await asAdmin('post', `/users/${adminId}/suspend`).send({ reason: 'Myself' }).expect(400);
+        await asAdmin('post', `/users/${userId}/reinstate`).expect(409);
+
+        await request(app)
+            .post(`/users/${adminId}/suspend`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ reason: 'Not allowed' })
+            .expect(403);
+    });
+
+    it('should lift expired suspensions on schedule', async () => {
+        await asAdmin('post', `/users/${userId}/suspend`)
+            .send({ reason: 'Cooling off', expiresAt: new Date(Date.now() + 60 * 1000).toISOString() })
+            .expect(200);
+
+        expect(await liftExpiredSuspensions()).to.equal(0);
+        expect(await liftExpiredSuspensions(new Date(Date.now() + 2 * 60 * 1000))).to.equal(1);
+
+        const user = await User.findById(userId);
+        expect(user.isSuspended).to.equal(false);
+        await login('member@example.com').expect(200);
+
+        const lifted = await AuditLog.findOne({ target: userId, action: 'user.reinstated' }).lean();
+        expect(lifted.actor).to.be.undefined;
+        expect(lifted.reason).to.equal('Suspension expired');
+    });
+
+    it('should soft-delete a user and revoke their QR code', async () => {
+        const res = await asAdmin('delete', `/users/${userId}`).send({ reason: 'Requested by user' }).expect(200);
+        expect(res.body.isDeleted).to.equal(true);
+
+        const users = await asAdmin('get', '/users').expect(200);
+        expect(users.body.map(user => user._id)).to.not.include(userId);
+
+        await request(app).get(`/users/qr/${qrCodeToken}`).expect(410);
+        await login('member@example.com').expect(403);
+        await request(app)
+            .get('/passes/active')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+
+        // The record is kept
+        const user = await User.findById(userId);
+        expect(user.deletedAt).to.be.an.instanceOf(Date);
+        expect(await AuditLog.countDocuments({ target: userId, action: 'user.deleted' })).to.equal(1);
+
+        await asAdmin('post', `/users/${userId}/suspend`).send({ reason: 'Too late' }).expect(409);
+    });
+});
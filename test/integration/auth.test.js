@@ -1,7 +1,7 @@
 import request from 'supertest';
 import { expect } from 'chai';
 import mongoose from 'mongoose';
-import createApp from '../../src/app/app.js';
+import { getTestApp } from '../test-setup.js';
 import User from '../../src/models/User.js';
 
 // Increase the default Mocha timeout to 2 minutes
@@ -24,7 +24,7 @@ describe('Authentication API', function() {
     before(async function() {
         this.timeout(30000); // 30 second timeout for setup
         try {
-            app = await createApp();
+            app = await getTestApp();
             console.log('Express app initialized');
         } catch (error) {
             console.error('Failed to initialize Express app:', error);
@@ -183,7 +183,7 @@ describe('Authentication API', function() {
             console.log('QR Token for test:', qrToken);
         });
 
-        it('should return user data for a valid QR code token', async () => {
+        it('should return a verdict for a valid QR code token', async () => {
             if (!qrToken) {
                 this.skip(); // Skip if no QR token was extracted
             }
@@ -193,10 +193,10 @@ describe('Authentication API', function() {
                 .expect('Content-Type', /json/)
                 .expect(200);
 
-            expect(res.body).to.have.property('_id', registeredUser._id);
-            expect(res.body).to.have.property('username', 'qrusertest');
-            expect(res.body).to.have.property('email', 'qrtest@example.com');
-            expect(res.body).to.have.property('qrCodeDataUrl').that.is.a('string');
+            // Public lookups only get a verdict, never the profile
+            expect(res.body).to.include({ allowed: false, reason: 'no_active_pass', displayName: 'qrusertest' });
+            expect(res.body).to.not.have.property('email');
+            expect(res.body).to.not.have.property('qrCodeDataUrl');
         });
 
         it('should return 404 for an invalid QR code token', async () => {
@@ -249,7 +249,7 @@ describe('Authentication API', function() {
             ]);
         });
 
-        it('should access protected route with valid token', async function() {
+        it('should not list users for a customer', async function() {
             this.timeout(10000);
             
             // First, verify we have a valid token
@@ -257,19 +257,14 @@ describe('Authentication API', function() {
                 throw new Error('No auth token available for test');
             }
             
-            console.log('Using token for test:', authToken.substring(0, 20) + '...');
-            
             const res = await request(app)
                 .get('/api/users')
                 .set('Authorization', `Bearer ${authToken}`);
 
             console.log('Response status:', res.status);
-            console.log('Response body:', JSON.stringify(res.body, null, 2));
             
-            expect(res.status).to.equal(200);
-            expect(res.body).to.be.an('array');
-            // We expect at least the test users we just created
-            expect(res.body.length).to.be.at.least(1);
+            // Listing users is admin only
+            expect(res.status).to.equal(403);
         });
 
         it('should get user by ID with valid token', async function() {
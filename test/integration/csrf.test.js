@@ -0,0 +1,102 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('CSRF protection', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let accessToken;
+    let tokenCookie;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        await request(app)
+            .post('/register')
+            .send({ username: 'csrf', email: 'csrf@example.com', password: 'Password123!' })
+            .expect(201);
+
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'csrf@example.com', password: 'Password123!' })
+            .expect(200);
+        accessToken = login.body.data.token;
+        tokenCookie = login.headers['set-cookie'].find(value => value.startsWith('token=')).split(';')[0];
+    });
+
+    const getCsrfToken = async () => {
+        const res = await request(app).get('/auth/csrf-token').expect(200);
+        expect(res.headers['cache-control']).to.equal('no-store');
+        expect(res.headers['set-cookie'].join('; ')).to.match(/csrfToken=/);
+        return res.body.data.csrfToken;
+    };
+
+    // A state-changing route behind protect
+    const setupTwoFactor = () => request(app).post('/auth/2fa/setup');
+
+    it('should reject cookie-authenticated unsafe requests without the token', async () => {
+        const res = await setupTwoFactor().set('Cookie', tokenCookie).expect(403);
+        expect(res.body.code).to.equal('CSRF_TOKEN_INVALID');
+
+        // The header must match the cookie
+        const csrfToken = await getCsrfToken();
+        await setupTwoFactor()
+            .set('Cookie', `${tokenCookie}; csrfToken=${csrfToken}`)
+            .set('X-CSRF-Token', 'something-else')
+            .expect(403);
+
+        await setupTwoFactor()
+            .set('Cookie', `${tokenCookie}; csrfToken=${csrfToken}`)
+            .set('X-CSRF-Token', csrfToken)
+            .expect(200);
+    });
+
+    it('should reject tokens it did not sign', async () => {
+        const forged = 'made-up-nonce.made-up-signature';
+        await setupTwoFactor()
+            .set('Cookie', `${tokenCookie}; csrfToken=${forged}`)
+            .set('X-CSRF-Token', forged)
+            .expect(403);
+    });
+
+    it('should not require the token for safe methods or bearer tokens', async () => {
+        await request(app).get('/auth/sessions').set('Cookie', tokenCookie).expect(200);
+
+        // The header wins over the cookie, so this is bearer-authenticated
+        await setupTwoFactor()
+            .set('Authorization', `Bearer ${accessToken}`)
+            .set('Cookie', tokenCookie)
+            .expect(200);
+    });
+
+    describe('with the development CORS policy', () => {
+        beforeEach(() => {
+            process.env.NODE_ENV = 'development';
+        });
+
+        afterEach(() => {
+            process.env.NODE_ENV = 'test';
+        });
+
+        it('should only issue tokens to our own origins', async () => {
+            await request(app)
+                .get('/auth/csrf-token')
+                .set('Origin', 'http://localhost:5173')
+                .expect(200);
+
+            // CORS lets any origin in, the issuing endpoint doesn't
+            const res = await request(app)
+                .get('/auth/csrf-token')
+                .set('Origin', 'http://localhost:5173.evil.example')
+                .expect(403);
+            expect(res.headers['access-control-allow-origin']).to.equal('http://localhost:5173.evil.example');
+            expect(res.headers['set-cookie']).to.be.undefined;
+        });
+    });
+});
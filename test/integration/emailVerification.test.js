@@ -0,0 +1,146 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import jwt from 'jsonwebtoken';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import { getSentMail, clearSentMail } from '../../src/services/mailService.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+// Verification emails are sent in the background
+const waitForMail = async (count = 1) => {
+    for (let i = 0; i < 50 && getSentMail().length < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return getSentMail();
+};
+
+const tokenFromMail = (mail) => new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+describe('Email verification', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let accessToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'verifyuser', email: 'verify@example.com', password: 'Password123!' })
+            .expect(201);
+        accessToken = res.body.token;
+        expect(res.body.emailVerified).to.equal(false);
+    });
+
+    afterEach(() => {
+        delete process.env.REQUIRE_VERIFIED_EMAIL_FOR_PAYMENT;
+        delete process.env.EMAIL_VERIFIED_REDIRECT_URL;
+    });
+
+    const verify = (token) => request(app).get('/auth/verify-email').query({ token });
+    const resend = (email) => request(app).post('/auth/resend-verification').send({ email });
+
+    it('should email a link at registration that verifies the address', async () => {
+        const [mail] = await waitForMail();
+        expect(mail.to).to.equal('verify@example.com');
+
+        const res = await verify(tokenFromMail(mail)).expect(200);
+        expect(res.body.data.emailVerified).to.equal(true);
+
+        const user = await User.findOne({ email: 'verify@example.com' });
+        expect(user.emailVerified).to.equal(true);
+        expect(user.emailVerifiedAt).to.be.an.instanceOf(Date);
+
+        // Following the link again is harmless
+        await verify(tokenFromMail(mail)).expect(200);
+
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'verify@example.com', password: 'Password123!' })
+            .expect(200);
+        expect(login.body.data.emailVerified).to.equal(true);
+    });
+
+    it('should reject tampered, foreign and outdated links', async () => {
+        const token = tokenFromMail((await waitForMail())[0]);
+
+        await verify(`${token}x`).expect(400);
+        // An access token is not a verification token
+        await verify(accessToken).expect(400);
+
+        // The link was for the old address
+        await User.updateOne({ email: 'verify@example.com' }, { email: 'changed@example.com' });
+        await verify(token).expect(400);
+    });
+
+    it('should reject expired links', async () => {
+        const user = await User.findOne({ email: 'verify@example.com' });
+        const expired = jwt.sign(
+            { sub: user._id.toString(), email: user.email, exp: Math.floor(Date.now() / 1000) - 60 },
+            process.env.JWT_SECRET || 'your_jwt_secret',
+            { audience: 'easypass-email-verification', issuer: 'easypass-api' }
+        );
+
+        await verify(expired).expect(400);
+    });
+
+    it('should redirect to the frontend when configured', async () => {
+        const token = tokenFromMail((await waitForMail())[0]);
+        process.env.EMAIL_VERIFIED_REDIRECT_URL = 'https://easypass.example.com/email-verified';
+
+        const ok = await verify(token).expect(303);
+        expect(ok.headers.location).to.equal('https://easypass.example.com/email-verified?status=verified');
+
+        const bad = await verify('nonsense').expect(303);
+        expect(bad.headers.location).to.equal('https://easypass.example.com/email-verified?status=invalid');
+    });
+
+    it('should resend links without revealing which addresses are registered', async () => {
+        await waitForMail();
+        clearSentMail();
+
+        const known = await resend('verify@example.com').expect(200);
+        const unknown = await resend('nobody@example.com').expect(200);
+        expect(unknown.body).to.deep.equal(known.body);
+
+        const mail = await waitForMail();
+        expect(mail).to.have.length(1);
+        await verify(tokenFromMail(mail[0])).expect(200);
+
+        // Nothing is sent once the address is verified
+        clearSentMail();
+        await resend('verify@example.com').expect(200);
+        expect(await waitForMail()).to.have.length(0);
+    });
+
+    it('should rate limit resends per address', async () => {
+        for (let i = 0; i < 3; i++) {
+            await resend('verify@example.com').expect(200);
+        }
+        await resend('verify@example.com').expect(429);
+    });
+
+    it('should block payment initialization for unverified users when required', async () => {
+        process.env.REQUIRE_VERIFIED_EMAIL_FOR_PAYMENT = 'true';
+
+        const res = await request(app)
+            .post('/payments/initialize')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send({})
+            .expect(403);
+        expect(res.body.code).to.equal('EMAIL_NOT_VERIFIED');
+
+        await verify(tokenFromMail((await waitForMail())[0])).expect(200);
+
+        await request(app)
+            .post('/payments/initialize')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send({})
+            .expect(201);
+    });
+});
@@ -0,0 +1,65 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import Payment from '../../src/models/Payment.js';
+import mockProvider from '../../src/services/paymentProviders/mockProvider.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Idempotency-Key handling', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let authToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        mockProvider.reset();
+
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'retryuser', email: 'retry@example.com', password: 'Password123!' });
+        authToken = res.body.token;
+    });
+
+    const simulate = (key, body) => request(app)
+        .post('/payments/simulate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', key)
+        .send(body);
+
+    it('should replay the stored response for a retried request', async () => {
+        const first = await simulate('key-1', { currency: 'NGN' }).expect(200);
+        const retry = await simulate('key-1', { currency: 'NGN' }).expect(200);
+
+        expect(retry.headers).to.have.property('idempotent-replayed', 'true');
+        expect(retry.body.data.reference).to.equal(first.body.data.reference);
+        expect(await Payment.countDocuments({})).to.equal(1);
+    });
+
+    it('should reject a reused key with a different body', async () => {
+        await simulate('key-2', { currency: 'NGN' }).expect(200);
+        const res = await simulate('key-2', { currency: 'NGN', mockOutcome: 'failed' }).expect(422);
+
+        expect(res.body).to.have.property('success', false);
+        expect(await Payment.countDocuments({})).to.equal(1);
+    });
+
+    it('should record a verified reference only once', async () => {
+        const { body } = await simulate('key-3', { currency: 'NGN' }).expect(200);
+        const verify = () => request(app)
+            .post('/payments/verify')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ reference: body.data.reference })
+            .expect(200);
+
+        await verify();
+        await verify();
+
+        expect(await Payment.countDocuments({ paymentId: body.data.reference })).to.equal(1);
+    });
+});
@@ -0,0 +1,147 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import AuditLog from '../../src/models/AuditLog.js';
+import { getSentMail } from '../../src/services/mailService.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+const LOGIN_SETTINGS = [
+    'LOGIN_BACKOFF_FREE_ATTEMPTS',
+    'LOGIN_LOCKOUT_THRESHOLD',
+    'LOGIN_IP_FAILURE_LIMIT'
+];
+
+// Mail is sent in the background
+const waitForMail = async (count) => {
+    for (let i = 0; i < 50 && getSentMail().length < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return getSentMail();
+};
+
+describe('Login protection', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let userId;
+    let userToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'guarded', email: 'guarded@example.com', password: 'Password123!' })
+            .expect(201);
+        userId = res.body._id;
+        userToken = res.body.token;
+        // The verification mail, so the tests below only see their own
+        await waitForMail(1);
+    });
+
+    afterEach(() => {
+        LOGIN_SETTINGS.forEach(name => delete process.env[name]);
+    });
+
+    const login = (password, email = 'guarded@example.com') => request(app)
+        .post('/login')
+        .set('User-Agent', 'Login Test')
+        .send({ email, password });
+
+    it('should make the account wait after repeated failures', async () => {
+        for (let i = 0; i < 3; i++) {
+            await login('wrong-password').expect(401);
+        }
+
+        // Even the right password has to wait
+        const res = await login('Password123!').expect(429);
+        expect(Number(res.headers['retry-after'])).to.be.at.least(1);
+
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        await login('Password123!').expect(200);
+
+        const user = await User.findById(userId);
+        expect(user.failedLoginAttempts).to.equal(0);
+    });
+
+    it('should lock the account, notify the owner and let an admin unlock it', async () => {
+        process.env.LOGIN_BACKOFF_FREE_ATTEMPTS = '5';
+        process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+
+        for (let i = 0; i < 3; i++) {
+            await login('wrong-password').expect(401);
+        }
+        const res = await login('Password123!').expect(429);
+        expect(Number(res.headers['retry-after'])).to.be.greaterThan(60);
+
+        const mail = await waitForMail(2);
+        expect(mail[1].to).to.equal('guarded@example.com');
+        expect(mail[1].subject).to.match(/locked/);
+
+        const admin = await User.create({
+            username: 'admin',
+            email: 'admin@example.com',
+            password: 'Password123!',
+            isAdmin: true
+        });
+        const adminToken = (await login('Password123!', 'admin@example.com').expect(200)).body.data.token;
+
+        await request(app)
+            .post(`/users/${userId}/unlock`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+
+        const unlocked = await request(app)
+            .post(`/users/${userId}/unlock`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ reason: 'Owner called support' })
+            .expect(200);
+        expect(unlocked.body.loginLockedUntil).to.equal(null);
+
+        await login('Password123!').expect(200);
+        await request(app)
+            .post(`/users/${userId}/unlock`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(409);
+
+        const audit = await AuditLog.findOne({ target: userId, action: 'user.unlocked' }).lean();
+        expect(audit.actor.toString()).to.equal(admin._id.toString());
+        expect(audit.details.failedLoginAttempts).to.equal(3);
+    });
+
+    it('should make an address wait after failures across accounts', async () => {
+        process.env.LOGIN_IP_FAILURE_LIMIT = '3';
+
+        for (let i = 0; i < 3; i++) {
+            await login('Password123!', `nobody${i}@example.com`).expect(401);
+        }
+
+        await login('Password123!').expect(429);
+    });
+
+    it('should show users their own login history', async () => {
+        await login('wrong-password').expect(401);
+        await login('Password123!').expect(200);
+        await login('Password123!', 'someone-else@example.com').expect(401);
+
+        const res = await request(app)
+            .get('/users/me/login-history')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+        expect(res.body.map(attempt => attempt.outcome)).to.deep.equal(['success', 'invalid_password']);
+        expect(res.body[0].userAgent).to.equal('Login Test');
+        expect(res.body[0].ip).to.be.a('string');
+        expect(res.body[0]).to.not.have.property('email');
+
+        await request(app)
+            .get('/users/me/login-history?limit=1000')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(400);
+    });
+});
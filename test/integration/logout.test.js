@@ -0,0 +1,91 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Logout and session revocation', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let userId;
+    let accessToken;
+    let refreshToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    const login = () => request(app)
+        .post('/login')
+        .send({ email: 'logout@example.com', password: 'Password123!' })
+        .expect(200);
+
+    beforeEach(async () => {
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'logoutuser', email: 'logout@example.com', password: 'Password123!' })
+            .expect(201);
+        userId = res.body._id;
+
+        const session = await login();
+        accessToken = session.body.data.token;
+        refreshToken = session.body.data.refreshToken;
+    });
+
+    const getActivePass = (token) => request(app)
+        .get('/passes/active')
+        .set('Authorization', `Bearer ${token}`);
+
+    it('should clear the cookies and end the refresh token on logout', async () => {
+        const res = await request(app)
+            .post('/logout')
+            .send({ refreshToken })
+            .expect(200);
+
+        const cookies = res.headers['set-cookie'];
+        expect(cookies.find(value => value.startsWith('token=;'))).to.include('Expires=Thu, 01 Jan 1970');
+        expect(cookies.find(value => value.startsWith('refreshToken=;'))).to.exist;
+
+        await request(app).post('/auth/refresh').send({ refreshToken }).expect(401);
+    });
+
+    it('should invalidate every session on logout-all', async () => {
+        const otherDevice = await login();
+
+        await request(app)
+            .post('/logout-all')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .expect(200);
+
+        const stale = await getActivePass(otherDevice.body.data.token).expect(401);
+        expect(stale.body.message).to.equal('Session has been revoked, please log in again');
+        await request(app).post('/auth/refresh').send({ refreshToken }).expect(401);
+        await request(app).post('/auth/refresh').send({ refreshToken: otherDevice.body.data.refreshToken }).expect(401);
+
+        // Logging in again works with the new version
+        const fresh = await login();
+        await getActivePass(fresh.body.data.token).expect(200);
+    });
+
+    it('should end sessions when the password changes', async () => {
+        const user = await User.findById(userId);
+        user.password = 'NewPassword123!';
+        await user.save();
+
+        expect(user.tokenVersion).to.equal(1);
+        await getActivePass(accessToken).expect(401);
+        await request(app).post('/auth/refresh').send({ refreshToken }).expect(401);
+    });
+
+    it('should end sessions when the account is suspended', async () => {
+        const user = await User.findById(userId);
+        user.isSuspended = true;
+        await user.save();
+
+        expect(user.tokenVersion).to.equal(1);
+        await request(app).post('/auth/refresh').send({ refreshToken }).expect(401);
+    });
+});
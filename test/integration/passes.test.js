@@ -0,0 +1,187 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import Payment from '../../src/models/Payment.js';
+import mockProvider from '../../src/services/paymentProviders/mockProvider.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Passes API', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let customerToken;
+    let customerId;
+    let adminToken;
+    let weeklyProductId;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        mockProvider.reset();
+
+        const customer = await request(app)
+            .post('/register')
+            .send({ username: 'passcustomer', email: 'pass@example.com', password: 'Password123!' });
+        customerToken = customer.body.token;
+        customerId = customer.body._id;
+
+        await User.create({
+            username: 'passadmin',
+            email: 'passadmin@example.com',
+            password: 'Password123!',
+            isAdmin: true
+        });
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'passadmin@example.com', password: 'Password123!' });
+        adminToken = login.body.data.token;
+
+        const product = await request(app)
+            .post('/passes/products')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({
+                name: 'Weekly pass',
+                code: 'weekly-pass',
+                type: 'weekly',
+                durationDays: 7,
+                prices: [{ currency: 'NGN', amount: 5000 }]
+            })
+            .expect(201);
+        weeklyProductId = product.body.data._id;
+    });
+
+    const buy = async (body) => {
+        const initialized = await request(app)
+            .post('/payments/initialize')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send(body)
+            .expect(201);
+        await request(app)
+            .post('/payments/verify')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send({ reference: initialized.body.data.reference })
+            .expect(200);
+        return initialized.body.data;
+    };
+
+    const activePass = () => request(app)
+        .get('/passes/active')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .expect(200);
+
+    it('should list active products publicly', async () => {
+        const res = await request(app).get('/passes/products').expect(200);
+
+        expect(res.body.data).to.have.lengthOf(1);
+        expect(res.body.data[0]).to.include({ code: 'weekly-pass', durationDays: 7 });
+    });
+
+    it('should not let a customer create products', async () => {
+        await request(app)
+            .post('/passes/products')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send({ name: 'Free pass', code: 'free', type: 'day', durationDays: 1, prices: [{ currency: 'NGN', amount: 1 }] })
+            .expect(403);
+    });
+
+    it('should deny entry before anything is bought', async () => {
+        const res = await activePass();
+
+        expect(res.body.data).to.deep.equal({ allowed: false, pass: null });
+    });
+
+    it('should charge the product price and grant a seven day pass', async () => {
+        const checkout = await buy({ productId: weeklyProductId });
+        expect(checkout).to.include({ amount: 5000, currency: 'NGN' });
+
+        const res = await activePass();
+        const { pass } = res.body.data;
+
+        expect(res.body.data.allowed).to.equal(true);
+        expect(pass).to.include({ productName: 'Weekly pass', passType: 'weekly', status: 'active' });
+        expect(new Date(pass.validUntil) - new Date(pass.validFrom)).to.equal(7 * DAY_MS);
+
+        const paid = await request(app)
+            .get(`/payments/has-paid-today/${customerId}`)
+            .set('Authorization', `Bearer ${customerToken}`)
+            .expect(200);
+        expect(paid.body.hasPaidToday).to.equal(true);
+    });
+
+    it('should start a second purchase when the current pass ends', async () => {
+        await buy({ productId: weeklyProductId });
+        await buy({ productId: weeklyProductId });
+
+        const res = await request(app)
+            .get('/passes')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .expect(200);
+
+        const [later, earlier] = res.body.data;
+        expect(later.validFrom).to.equal(earlier.validUntil);
+    });
+
+    it('should refuse currencies the product is not sold in', async () => {
+        await request(app)
+            .post('/payments/initialize')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send({ productId: weeklyProductId, currency: 'USD' })
+            .expect(400);
+    });
+
+    it('should stop selling a deactivated product', async () => {
+        await request(app)
+            .patch(`/passes/products/${weeklyProductId}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ active: false })
+            .expect(200);
+
+        await request(app)
+            .post('/payments/initialize')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send({ productId: weeklyProductId })
+            .expect(404);
+    });
+
+    it('should grant a pass for a payment made before passes existed', async () => {
+        const user = await User.findById(customerId);
+        // Whatever the day pass cost back then
+        await Payment.create({
+            user: user._id,
+            qrCodeToken: user.qrCodeToken,
+            paymentId: 'legacy_ref',
+            amount: 500,
+            currency: 'NGN',
+            status: 'completed',
+            paymentMethod: 'card',
+            paidAt: new Date()
+        });
+
+        const res = await activePass();
+
+        expect(res.body.data.allowed).to.equal(true);
+        expect(res.body.data.pass).to.include({ productName: 'Day pass', passType: 'day' });
+    });
+
+    it('should count the pass day in the business timezone', async () => {
+        const res = await buy({});
+        const paid = await request(app)
+            .get(`/payments/has-paid-today/${customerId}`)
+            .set('Authorization', `Bearer ${customerToken}`)
+            .expect(200);
+
+        expect(res.amount).to.equal(1000);
+        expect(paid.body.hasPaidToday).to.equal(true);
+        const localTime = (date) => new Date(date).toLocaleTimeString('en-GB', { timeZone: 'Africa/Lagos', hourCycle: 'h23' });
+        expect(localTime(paid.body.validFrom)).to.equal('00:00:00');
+        expect(localTime(paid.body.validUntil)).to.equal('00:00:00');
+        expect(new Date(paid.body.validUntil) - new Date(paid.body.validFrom)).to.equal(DAY_MS);
+        expect(paid.body.activePass).to.have.property('timezone', 'Africa/Lagos');
+    });
+});
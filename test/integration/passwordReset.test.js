@@ -0,0 +1,114 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import { getSentMail, clearSentMail } from '../../src/services/mailService.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+// Reset emails are sent in the background
+const waitForMail = async (count = 1) => {
+    for (let i = 0; i < 50 && getSentMail().length < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return getSentMail();
+};
+
+const tokenFromMail = (mail) => new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+describe('Password reset', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let accessToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'resetuser', email: 'reset@example.com', password: 'Password123!' })
+            .expect(201);
+        accessToken = res.body.token;
+
+        // Only the reset emails matter here, not the verification email
+        await waitForMail();
+        clearSentMail();
+    });
+
+    const forgot = (email) => request(app).post('/auth/forgot-password').send({ email });
+    const reset = (token, password = 'BrandNew123!') => request(app)
+        .post('/auth/reset-password')
+        .send({ token, password });
+
+    it('should answer the same whether or not the email is registered', async () => {
+        const known = await forgot('reset@example.com').expect(200);
+        const unknown = await forgot('nobody@example.com').expect(200);
+
+        expect(unknown.body).to.deep.equal(known.body);
+
+        const mail = await waitForMail();
+        expect(mail).to.have.length(1);
+        expect(mail[0].to).to.equal('reset@example.com');
+    });
+
+    it('should only store a hash of the reset token', async () => {
+        await forgot('reset@example.com').expect(200);
+        const [mail] = await waitForMail();
+
+        const user = await User.findOne({ email: 'reset@example.com' }).select('+resetPasswordToken +resetPasswordExpire');
+        expect(user.resetPasswordToken).to.be.a('string').and.not.equal(tokenFromMail(mail));
+        expect(user.resetPasswordExpire.getTime()).to.be.greaterThan(Date.now());
+    });
+
+    it('should reset the password once and end existing sessions', async () => {
+        await forgot('reset@example.com').expect(200);
+        const token = tokenFromMail((await waitForMail())[0]);
+
+        await reset(token).expect(200);
+
+        // Single use
+        await reset(token, 'Another123!').expect(400);
+
+        await request(app)
+            .get('/passes/active')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .expect(401);
+
+        await request(app)
+            .post('/login')
+            .send({ email: 'reset@example.com', password: 'Password123!' })
+            .expect(401);
+        await request(app)
+            .post('/login')
+            .send({ email: 'reset@example.com', password: 'BrandNew123!' })
+            .expect(200);
+    });
+
+    it('should reject expired and unknown tokens', async () => {
+        await forgot('reset@example.com').expect(200);
+        const token = tokenFromMail((await waitForMail())[0]);
+        await User.updateOne({ email: 'reset@example.com' }, { resetPasswordExpire: new Date(Date.now() - 1000) });
+
+        const expired = await reset(token).expect(400);
+        const unknown = await reset('0'.repeat(64)).expect(400);
+        expect(unknown.body).to.deep.equal(expired.body);
+    });
+
+    it('should enforce the password rules', async () => {
+        await forgot('reset@example.com').expect(200);
+        const token = tokenFromMail((await waitForMail())[0]);
+
+        await reset(token, 'short').expect(400);
+    });
+
+    it('should rate limit reset emails per address', async () => {
+        for (let i = 0; i < 3; i++) {
+            await forgot('reset@example.com').expect(200);
+        }
+        await forgot('reset@example.com').expect(429);
+    });
+});
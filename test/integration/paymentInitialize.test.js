@@ -0,0 +1,100 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import Payment from '../../src/models/Payment.js';
+import mockProvider from '../../src/services/paymentProviders/mockProvider.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('POST /payments/initialize', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let authToken;
+    let otherToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        mockProvider.reset();
+
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'payer', email: 'payer@example.com', password: 'Password123!' })
+            .expect(201);
+        authToken = res.body.token;
+
+        const other = await request(app)
+            .post('/register')
+            .send({ username: 'bystander', email: 'bystander@example.com', password: 'Password123!' })
+            .expect(201);
+        otherToken = other.body.token;
+    });
+
+    afterEach(() => {
+        delete process.env.MOCK_PAYMENT_OUTCOME;
+    });
+
+    const initialize = (body = {}, token = authToken) => request(app)
+        .post('/payments/initialize')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    const verify = (reference, token = authToken) => request(app)
+        .post('/payments/verify')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reference });
+
+    it('should choose the reference and the price itself', async () => {
+        const res = await initialize({ amount: 1, reference: 'my_own_reference' }).expect(201);
+
+        expect(res.body.data.reference).to.match(/^easypass_/);
+        expect(res.body.data.amount).to.equal(1000);
+        expect(res.body.data.currency).to.equal('NGN');
+
+        const payment = await Payment.findOne({ paymentId: res.body.data.reference });
+        expect(payment.status).to.equal('pending');
+        expect(payment.amount).to.equal(1000);
+        expect(await Payment.countDocuments({ paymentId: 'my_own_reference' })).to.equal(0);
+    });
+
+    it('should fail the payment when the provider charged a different amount', async () => {
+        const { body } = await initialize().expect(201);
+
+        const { verify: realVerify } = mockProvider;
+        mockProvider.verify = async (reference) => ({ ...await realVerify(reference), amount: 1 });
+        try {
+            const res = await verify(body.data.reference).expect(400);
+            expect(res.body.success).to.equal(false);
+        } finally {
+            mockProvider.verify = realVerify;
+        }
+
+        const payment = await Payment.findOne({ paymentId: body.data.reference });
+        expect(payment.status).to.equal('failed');
+        expect(payment.metadata.get('failureReason')).to.equal('amount_mismatch');
+    });
+
+    it('should fail the pending payment when the provider cannot start the checkout', async () => {
+        process.env.MOCK_PAYMENT_OUTCOME = 'not-an-outcome';
+
+        await initialize().expect(400);
+
+        const payments = await Payment.find({});
+        expect(payments).to.have.lengthOf(1);
+        expect(payments[0].status).to.equal('failed');
+        expect(payments[0].metadata.get('failureReason')).to.equal('initialize_failed');
+    });
+
+    it('should not verify a reference initialized by another user', async () => {
+        const { body } = await initialize().expect(201);
+
+        await verify(body.data.reference, otherToken).expect(403);
+
+        const payment = await Payment.findOne({ paymentId: body.data.reference });
+        expect(payment.status).to.equal('pending');
+    });
+});
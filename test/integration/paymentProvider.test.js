@@ -0,0 +1,95 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import Payment from '../../src/models/Payment.js';
+import mockProvider from '../../src/services/paymentProviders/mockProvider.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Payments through the mock provider', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let authToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        mockProvider.reset();
+
+        const res = await request(app)
+            .post('/register')
+            .send({
+                username: 'provideruser',
+                email: 'provider@example.com',
+                password: 'Password123!'
+            });
+        authToken = res.body.token;
+    });
+
+    const simulate = (mockOutcome) => request(app)
+        .post('/payments/simulate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currency: 'NGN', mockOutcome });
+
+    const verify = (reference) => request(app)
+        .post('/payments/verify')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reference });
+
+    it('should initialize a transaction with a server-generated reference', async () => {
+        const res = await request(app)
+            .post('/payments/initialize')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(201);
+
+        expect(res.body.data.reference).to.match(/^easypass_/);
+        expect(res.body.data).to.have.property('authorizationUrl');
+        expect(res.body.data).to.have.property('accessCode');
+
+        const payment = await Payment.findOne({ paymentId: res.body.data.reference });
+        expect(payment.status).to.equal('pending');
+    });
+
+    it('should complete a payment the provider reports as successful', async () => {
+        const { body } = await simulate('success').expect(200);
+        const res = await verify(body.data.reference).expect(200);
+
+        expect(res.body.payment).to.have.property('status', 'completed');
+        expect(res.body.payment).to.have.property('amount', 1000);
+    });
+
+    it('should charge the price even when a simulated payment names an amount', async () => {
+        const res = await request(app)
+            .post('/payments/simulate')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ amount: 1 })
+            .expect(200);
+
+        expect(res.body.data.amount).to.equal(1000);
+        const payment = await Payment.findOne({ paymentId: res.body.data.reference });
+        expect(payment.amount).to.equal(1000);
+    });
+
+    it('should fail a payment the provider reports as declined', async () => {
+        const { body } = await simulate('failed').expect(200);
+        const res = await verify(body.data.reference).expect(200);
+
+        expect(res.body.payment).to.have.property('status', 'failed');
+    });
+
+    it('should return 503 and keep the payment pending when the provider times out', async () => {
+        const { body } = await simulate('timeout').expect(200);
+        await verify(body.data.reference).expect(503);
+
+        const payment = await Payment.findOne({ paymentId: body.data.reference });
+        expect(payment.status).to.equal('pending');
+    });
+
+    it('should return 404 for a reference that was never initialized', async () => {
+        await verify('test_not_a_real_reference').expect(404);
+    });
+});
@@ -0,0 +1,81 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+// supertest only buffers text bodies by default
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('QR rendering', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let authToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'renderuser', email: 'render@example.com', password: 'Password123!' });
+        authToken = res.body.token;
+    });
+
+    const render = (path) => request(app)
+        .get(path)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+    it('should render a PNG with caching headers', async () => {
+        const res = await render('/users/me/qr.png?size=128&margin=1&ecc=H').expect(200);
+
+        expect(res.headers['content-type']).to.equal('image/png');
+        expect(res.headers['cache-control']).to.equal('private, no-cache');
+        expect(res.headers.etag).to.match(/^W\/"/);
+        expect(res.body.subarray(1, 4).toString()).to.equal('PNG');
+    });
+
+    it('should render an SVG', async () => {
+        const res = await render('/users/me/qr.svg').expect(200);
+
+        expect(res.headers['content-type']).to.match(/^image\/svg\+xml/);
+        expect(res.body.toString()).to.match(/^<svg/);
+    });
+
+    it('should render a printable PDF pass card', async () => {
+        const res = await render('/users/me/qr.pdf').expect(200);
+
+        expect(res.headers['content-type']).to.equal('application/pdf');
+        const pdf = res.body.toString('latin1');
+        expect(pdf).to.match(/^%PDF-1\.4/);
+        expect(pdf).to.include('(renderuser)');
+        expect(pdf).to.include('(No active pass)');
+    });
+
+    it('should answer 304 when the QR code has not changed', async () => {
+        const first = await render('/users/me/qr.png').expect(200);
+
+        await render('/users/me/qr.png')
+            .set('If-None-Match', first.headers.etag)
+            .expect(304);
+
+        // Different options are a different image
+        await render('/users/me/qr.png?size=512')
+            .set('If-None-Match', first.headers.etag)
+            .expect(200);
+    });
+
+    it('should reject out of range options', async () => {
+        await render('/users/me/qr.png?size=10000').expect(400);
+        await render('/users/me/qr.png?ecc=X').expect(400);
+    });
+});
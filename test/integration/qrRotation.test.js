@@ -0,0 +1,113 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import RevokedQrToken from '../../src/models/RevokedQrToken.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('QR token rotation', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let userToken;
+    let userId;
+    let oldQrToken;
+    let operatorToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'rotateuser', email: 'rotate@example.com', password: 'Password123!' });
+        userToken = res.body.token;
+        userId = res.body._id;
+        oldQrToken = res.body.qrCodeToken;
+
+        await User.create({
+            username: 'rotateops',
+            email: 'rotateops@example.com',
+            password: 'Password123!',
+            isOperator: true,
+            isAdmin: true
+        });
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'rotateops@example.com', password: 'Password123!' });
+        operatorToken = login.body.data.token;
+    });
+
+    const rotateMine = (body = {}) => request(app)
+        .post('/users/me/qr/rotate')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(body);
+
+    it('should issue a new token and revoke the old one', async () => {
+        const res = await rotateMine({ reason: 'Screenshot shared' }).expect(201);
+
+        expect(res.body.qrCodeToken).to.be.a('string').and.not.equal(oldQrToken);
+        expect(res.body.qrCodeDataUrl).to.match(/^data:image\/png;base64,/);
+
+        const revoked = await RevokedQrToken.findOne({ user: userId }).lean();
+        expect(revoked).to.include({ reason: 'Screenshot shared' });
+        expect(revoked.tokenHash).to.not.equal(oldQrToken);
+    });
+
+    it('should only tell operators a token was revoked', async () => {
+        await rotateMine().expect(201);
+
+        // The public lookup can't tell a revoked token from one never issued
+        const revoked = await request(app).get(`/users/qr/${oldQrToken}`).expect(404);
+        const unknown = await request(app).get('/users/qr/never-issued').expect(404);
+        expect(revoked.body).to.deep.equal(unknown.body);
+
+        const profile = await request(app)
+            .get(`/users/qr/${oldQrToken}/profile`)
+            .set('Authorization', `Bearer ${operatorToken}`)
+            .expect(410);
+        expect(profile.body).to.include({ revoked: true });
+
+        await request(app)
+            .get('/users/qr/never-issued/profile')
+            .set('Authorization', `Bearer ${operatorToken}`)
+            .expect(404);
+    });
+
+    it('should deny revoked codes at the gate', async () => {
+        const signed = await request(app)
+            .get('/users/me/qr')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+        await rotateMine().expect(201);
+
+        for (const qrToken of [oldQrToken, signed.body.payload]) {
+            const res = await request(app)
+                .post('/scans')
+                .set('Authorization', `Bearer ${operatorToken}`)
+                .send({ qrToken, gateId: 'north' })
+                .expect(201);
+            expect(res.body.data).to.include({ decision: 'deny', reason: 'revoked_token' });
+        }
+    });
+
+    it('should let admins rotate any user and nobody else', async () => {
+        await request(app)
+            .post(`/users/${userId}/qr/rotate`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({})
+            .expect(403);
+
+        await request(app)
+            .post(`/users/${userId}/qr/rotate`)
+            .set('Authorization', `Bearer ${operatorToken}`)
+            .send({ reason: 'Reported lost' })
+            .expect(201);
+
+        const revoked = await RevokedQrToken.findOne({ user: userId }).lean();
+        expect(revoked.revokedBy.toString()).to.not.equal(userId);
+    });
+});
@@ -0,0 +1,143 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import mockProvider from '../../src/services/paymentProviders/mockProvider.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Public QR verification', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let userToken;
+    let qrToken;
+    let operatorToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        mockProvider.reset();
+
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'verifyuser', email: 'verify@example.com', password: 'Password123!' });
+        userToken = res.body.token;
+        qrToken = res.body.qrCodeToken;
+
+        await User.create({
+            username: 'verifyops',
+            email: 'verifyops@example.com',
+            password: 'Password123!',
+            isOperator: true
+        });
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'verifyops@example.com', password: 'Password123!' });
+        operatorToken = login.body.data.token;
+    });
+
+    afterEach(() => {
+        delete process.env.QR_LOOKUP_RATE_LIMIT_PER_IP;
+        delete process.env.QR_LOOKUP_RATE_LIMIT_PER_TOKEN;
+        delete process.env.DEFAULT_GATE_QR_MODE;
+    });
+
+    it('should only return a verdict, display name and pass window', async () => {
+        const before = await request(app).get(`/users/qr/${qrToken}`).expect(200);
+        expect(before.body).to.deep.equal({
+            allowed: false,
+            reason: 'no_active_pass',
+            displayName: 'verifyuser',
+            pass: null
+        });
+
+        const initialized = await request(app)
+            .post('/payments/initialize')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({})
+            .expect(201);
+        await request(app)
+            .post('/payments/verify')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ reference: initialized.body.data.reference })
+            .expect(200);
+
+        const after = await request(app).get(`/users/qr/${qrToken}`).expect(200);
+        expect(after.body).to.have.all.keys('allowed', 'reason', 'displayName', 'pass');
+        expect(after.body).to.include({ allowed: true, reason: 'active_pass' });
+        expect(after.body.pass).to.have.all.keys('validFrom', 'validUntil');
+    });
+
+    it('should verify the signed payload printed on the QR image', async () => {
+        const qr = await request(app)
+            .get('/users/me/qr')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+        const res = await request(app).get(`/users/qr/${qr.body.payload}`).expect(200);
+        expect(res.body).to.include({ displayName: 'verifyuser', reason: 'no_active_pass' });
+
+        // A payload whose signature doesn't check out is just unknown
+        const [version, claims] = qr.body.payload.split('.');
+        await request(app).get(`/users/qr/${version}.${claims}.forged`).expect(404);
+    });
+
+    it('should only verify live codes when gates run in dynamic mode', async () => {
+        process.env.DEFAULT_GATE_QR_MODE = 'dynamic';
+
+        const stale = await request(app).get(`/users/qr/${qrToken}`).expect(200);
+        expect(stale.body).to.deep.equal({
+            allowed: false,
+            reason: 'dynamic_code_required',
+            displayName: null,
+            pass: null
+        });
+
+        const live = await request(app)
+            .get('/users/me/qr?mode=dynamic')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+        const res = await request(app).get(`/users/qr/${live.body.payload}`).expect(200);
+        expect(res.body).to.include({ displayName: 'verifyuser', reason: 'no_active_pass' });
+    });
+
+    it('should keep the full profile for operators', async () => {
+        await request(app)
+            .get(`/users/qr/${qrToken}/profile`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+
+        const res = await request(app)
+            .get(`/users/qr/${qrToken}/profile`)
+            .set('Authorization', `Bearer ${operatorToken}`)
+            .expect(200);
+        expect(res.body).to.include({ username: 'verifyuser', email: 'verify@example.com' });
+        expect(res.body).to.not.have.property('password');
+    });
+
+    it('should rate limit lookups of the same token', async () => {
+        process.env.QR_LOOKUP_RATE_LIMIT_PER_TOKEN = '3';
+
+        for (let i = 0; i < 3; i++) {
+            await request(app).get(`/users/qr/${qrToken}`).expect(200);
+        }
+        const limited = await request(app).get(`/users/qr/${qrToken}`).expect(429);
+        expect(limited.headers['retry-after']).to.match(/^\d+$/);
+
+        // Other tokens are still answered
+        await request(app).get('/users/qr/another-token').expect(404);
+    });
+
+    it('should rate limit guessing from one client', async () => {
+        process.env.QR_LOOKUP_RATE_LIMIT_PER_IP = '5';
+
+        for (let i = 0; i < 5; i++) {
+            await request(app).get(`/users/qr/guess-${i}`).expect(404);
+        }
+        await request(app).get(`/users/qr/${qrToken}`).expect(429);
+    });
+});
@@ -0,0 +1,107 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import jwt from 'jsonwebtoken';
+import { getTestApp } from '../test-setup.js';
+import RefreshToken from '../../src/models/RefreshToken.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Refresh tokens', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let refreshToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        await request(app)
+            .post('/register')
+            .send({ username: 'refreshuser', email: 'refresh@example.com', password: 'Password123!' })
+            .expect(201);
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'refresh@example.com', password: 'Password123!' })
+            .expect(200);
+        refreshToken = login.body.data.refreshToken;
+    });
+
+    const refresh = (token) => request(app).post('/auth/refresh').send({ refreshToken: token });
+
+    it('should issue a short-lived access token with a refresh token at login', async () => {
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'refresh@example.com', password: 'Password123!' })
+            .expect(200);
+
+        const { token, expiresIn } = login.body.data;
+        const claims = jwt.decode(token);
+        expect(claims.exp - claims.iat).to.equal(expiresIn);
+        expect(expiresIn).to.be.at.most(60 * 60);
+        expect(login.body.data.refreshToken).to.be.a('string');
+
+        // Only a hash is stored
+        const stored = await RefreshToken.find().lean();
+        stored.forEach(record => expect(record.tokenHash).to.not.equal(login.body.data.refreshToken));
+    });
+
+    it('should rotate the refresh token on every use', async () => {
+        const first = await refresh(refreshToken).expect(200);
+        expect(first.body.data.refreshToken).to.not.equal(refreshToken);
+
+        await request(app)
+            .get('/passes/active')
+            .set('Authorization', `Bearer ${first.body.data.token}`)
+            .expect(200);
+
+        const second = await refresh(first.body.data.refreshToken).expect(200);
+        expect(second.body.data.refreshToken).to.not.equal(first.body.data.refreshToken);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+        const rotated = await refresh(refreshToken).expect(200);
+
+        const reused = await refresh(refreshToken).expect(401);
+        expect(reused.body).to.include({ requiresAuth: true });
+
+        // The token issued by the legitimate rotation is gone too
+        await refresh(rotated.body.data.refreshToken).expect(401);
+
+        const family = await RefreshToken.find().lean();
+        const revoked = family.filter(record => record.revokedReason === 'Refresh token reuse detected');
+        expect(revoked).to.have.length(2);
+    });
+
+    it('should accept the refresh token from its cookie', async () => {
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'refresh@example.com', password: 'Password123!' })
+            .expect(200);
+        const cookie = login.headers['set-cookie'].find(value => value.startsWith('refreshToken='));
+        expect(cookie).to.include('HttpOnly');
+
+        // Reading the cookie makes it a cookie-authenticated request
+        await request(app)
+            .post('/auth/refresh')
+            .set('Cookie', cookie.split(';')[0])
+            .expect(403);
+
+        const csrf = await request(app).get('/auth/csrf-token').expect(200);
+        const csrfToken = csrf.body.data.csrfToken;
+
+        const res = await request(app)
+            .post('/auth/refresh')
+            .set('Cookie', `${cookie.split(';')[0]}; csrfToken=${csrfToken}`)
+            .set('X-CSRF-Token', csrfToken)
+            .expect(200);
+        expect(res.body.data.token).to.be.a('string');
+    });
+
+    it('should reject unknown refresh tokens', async () => {
+        await refresh('not-a-real-token').expect(401);
+        await request(app).post('/auth/refresh').send({}).expect(401);
+    });
+});
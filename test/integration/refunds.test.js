@@ -0,0 +1,221 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import mockProvider from '../../src/services/paymentProviders/mockProvider.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Refunds API', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let customerToken;
+    let customerId;
+    let adminToken;
+    let paymentId;
+    let reference;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        mockProvider.reset();
+
+        const customer = await request(app)
+            .post('/register')
+            .send({ username: 'refundcustomer', email: 'customer@example.com', password: 'Password123!' });
+        customerToken = customer.body.token;
+        customerId = customer.body._id;
+
+        await User.create({
+            username: 'refundadmin',
+            email: 'admin@example.com',
+            password: 'Password123!',
+            isAdmin: true
+        });
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'admin@example.com', password: 'Password123!' });
+        adminToken = login.body.data.token;
+
+        // A completed 1000 NGN payment for the customer
+        const simulated = await request(app)
+            .post('/payments/simulate')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send({ currency: 'NGN' });
+        const verified = await request(app)
+            .post('/payments/verify')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send({ reference: simulated.body.data.reference });
+        paymentId = verified.body.payment.id;
+        reference = simulated.body.data.reference;
+    });
+
+    const refund = (body, token = adminToken) => request(app)
+        .post(`/payments/${paymentId}/refunds`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    it('should not let a customer refund a payment', async () => {
+        await refund({ amount: 100 }, customerToken).expect(403);
+    });
+
+    it('should record a partial refund and keep the day paid', async () => {
+        const res = await refund({ amount: 400, reason: 'Left early' }).expect(201);
+
+        expect(res.body.data).to.have.property('status', 'partially_refunded');
+        expect(res.body.data).to.have.property('amountRefunded', 400);
+        expect(res.body.data.refunds).to.have.lengthOf(1);
+        expect(res.body.data.refunds[0]).to.include({ amount: 400, reason: 'Left early', status: 'processed' });
+
+        const status = await request(app)
+            .get(`/payments/has-paid-today/${customerId}`)
+            .set('Authorization', `Bearer ${customerToken}`)
+            .expect(200);
+        expect(status.body.hasPaidToday).to.equal(true);
+    });
+
+    it('should fully refund the remainder and stop treating the day as paid', async () => {
+        await refund({ amount: 400 }).expect(201);
+        const res = await refund({}).expect(201);
+
+        expect(res.body.data).to.have.property('status', 'refunded');
+        expect(res.body.data).to.have.property('amountRefunded', 1000);
+        expect(res.body.data.refunds).to.have.lengthOf(2);
+
+        const status = await request(app)
+            .get(`/payments/has-paid-today/${customerId}`)
+            .set('Authorization', `Bearer ${customerToken}`)
+            .expect(200);
+        expect(status.body.hasPaidToday).to.equal(false);
+    });
+
+    it('should issue only one of two concurrent full refunds', async () => {
+        const results = await Promise.all([refund({}), refund({})]);
+
+        const statuses = results.map(res => res.status).sort();
+        expect(statuses[0]).to.equal(201);
+        expect(statuses[1]).to.be.oneOf([400, 409]);
+
+        const res = await request(app)
+            .get(`/payments/${paymentId}/refunds`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect(res.body.data).to.include({ status: 'refunded', amountRefunded: 1000 });
+        expect(res.body.data.refunds.filter(r => r.status !== 'failed')).to.have.lengthOf(1);
+    });
+
+    it('should reject refunds larger than the refundable amount', async () => {
+        await refund({ amount: 1000.01 }).expect(400);
+    });
+
+    it('should list the refund history', async () => {
+        await refund({ amount: 250, reason: 'Goodwill' }).expect(201);
+
+        const res = await request(app)
+            .get(`/payments/${paymentId}/refunds`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(res.body.data.refunds).to.have.lengthOf(1);
+        expect(res.body.data).to.have.property('refundableAmount', 750);
+    });
+
+    it('should record every status transition with its source', async () => {
+        await refund({ amount: 1000, reason: 'Event cancelled' }).expect(201);
+
+        const res = await request(app)
+            .get(`/payments/${paymentId}/status-history`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        const history = res.body.data.statusHistory.map(({ from, to, source }) => ({ from, to, source }));
+        expect(history).to.deep.equal([
+            { from: null, to: 'pending', source: 'system' },
+            { from: 'pending', to: 'completed', source: 'verify' },
+            { from: 'completed', to: 'refunded', source: 'admin' }
+        ]);
+        expect(res.body.data.statusHistory[2]).to.have.property('reason', 'Event cancelled');
+        // Provider payloads stay in the database
+        res.body.data.statusHistory.forEach(entry => expect(entry).to.not.have.property('payload'));
+    });
+
+    it('should keep a refunded payment refunded when it is verified again', async () => {
+        await refund({}).expect(201);
+
+        const res = await request(app)
+            .post('/payments/verify')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send({ reference })
+            .expect(200);
+
+        expect(res.body.payment.status).to.equal('refunded');
+        const status = await request(app)
+            .get(`/payments/has-paid-today/${customerId}`)
+            .set('Authorization', `Bearer ${customerToken}`)
+            .expect(200);
+        expect(status.body.hasPaidToday).to.equal(false);
+    });
+
+    it('should not refund a refunded payment again', async () => {
+        await refund({}).expect(201);
+        await refund({ amount: 1 }).expect(409);
+    });
+
+    describe('when the provider settles refunds later', () => {
+        beforeEach(() => {
+            process.env.MOCK_REFUND_STATUS = 'pending';
+        });
+
+        afterEach(() => {
+            delete process.env.MOCK_REFUND_STATUS;
+        });
+
+        const failRefund = (payment, refund) => {
+            const body = {
+                event: 'refund.failed',
+                data: {
+                    transaction_reference: payment.reference,
+                    refund_reference: refund.providerReference,
+                    amount: refund.amount * 100
+                }
+            };
+            return request(app)
+                .post('/payments/webhook')
+                .set('Content-Type', 'application/json')
+                .set('x-mock-signature', mockProvider.signWebhook(JSON.stringify(body)))
+                .send(JSON.stringify(body))
+                .expect(200);
+        };
+
+        it('should put the money back when a pending full refund fails', async () => {
+            const { body } = await refund({}).expect(201);
+            expect(body.data.status).to.equal('refunded');
+
+            const res = await failRefund(body.data, body.data.refunds[0]);
+
+            expect(res.body.data.payment.status).to.equal('completed');
+            const status = await request(app)
+                .get(`/payments/has-paid-today/${customerId}`)
+                .set('Authorization', `Bearer ${customerToken}`)
+                .expect(200);
+            expect(status.body.hasPaidToday).to.equal(true);
+        });
+
+        it('should step back through partial refunds as they fail', async () => {
+            await refund({ amount: 400 }).expect(201);
+            const { body } = await refund({}).expect(201);
+            expect(body.data.status).to.equal('refunded');
+            const [first, rest] = body.data.refunds;
+
+            let res = await failRefund(body.data, rest);
+            expect(res.body.data.payment.status).to.equal('partially_refunded');
+
+            res = await failRefund(body.data, first);
+            expect(res.body.data.payment.status).to.equal('completed');
+        });
+    });
+});
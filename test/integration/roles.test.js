@@ -0,0 +1,127 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Roles and permissions', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let customerId;
+    let customerToken;
+    let otherId;
+    let operatorToken;
+    let adminId;
+    let adminToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    const login = async (email) => {
+        const res = await request(app)
+            .post('/login')
+            .send({ email, password: 'Password123!' })
+            .expect(200);
+        return res.body.data.token;
+    };
+
+    beforeEach(async () => {
+        const customer = await request(app)
+            .post('/register')
+            .send({ username: 'customer', email: 'customer@example.com', password: 'Password123!' })
+            .expect(201);
+        customerId = customer.body._id;
+        customerToken = customer.body.token;
+        expect(customer.body.roles).to.deep.equal(['customer']);
+
+        const other = await request(app)
+            .post('/register')
+            .send({ username: 'other', email: 'other@example.com', password: 'Password123!' })
+            .expect(201);
+        otherId = other.body._id;
+
+        await User.create({
+            username: 'operator',
+            email: 'operator@example.com',
+            password: 'Password123!',
+            roles: ['customer', 'operator']
+        });
+        operatorToken = await login('operator@example.com');
+
+        const admin = await User.create({
+            username: 'admin',
+            email: 'admin@example.com',
+            password: 'Password123!',
+            roles: ['customer', 'admin']
+        });
+        adminId = admin._id.toString();
+        adminToken = await login('admin@example.com');
+    });
+
+    const get = (path, token) => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+    it('should only let admins list users', async () => {
+        await get('/users', customerToken).expect(403);
+        await get('/users', operatorToken).expect(403);
+
+        const res = await get('/users', adminToken).expect(200);
+        expect(res.body).to.have.length(4);
+    });
+
+    it('should only return your own record unless you may read users', async () => {
+        const own = await get(`/users/${customerId}`, customerToken).expect(200);
+        expect(own.body.roles).to.deep.equal(['customer']);
+
+        await get(`/users/${otherId}`, customerToken).expect(403);
+        await get(`/users/${otherId}`, operatorToken).expect(403);
+        await get(`/users/${otherId}`, adminToken).expect(200);
+    });
+
+    it('should keep customers away from gate and catalogue endpoints', async () => {
+        await get('/scans', customerToken).expect(403);
+        await get('/scans/summary', customerToken).expect(403);
+        await get('/scans/summary', operatorToken).expect(200);
+
+        await request(app)
+            .post('/passes/products')
+            .set('Authorization', `Bearer ${operatorToken}`)
+            .send({ code: 'vip', name: 'VIP', type: 'day', durationDays: 1, prices: [{ currency: 'NGN', amount: 1 }] })
+            .expect(403);
+    });
+
+    it('should let admins change roles', async () => {
+        const setRoles = (userId, roles, token = adminToken) => request(app)
+            .patch(`/users/${userId}/roles`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ roles });
+
+        await setRoles(otherId, ['operator'], customerToken).expect(403);
+        await setRoles(otherId, ['superuser']).expect(400);
+
+        // customer is always kept
+        const res = await setRoles(otherId, ['operator']).expect(200);
+        expect(res.body.roles).to.deep.equal(['customer', 'operator']);
+
+        // Takes effect on the next request, without logging in again
+        const otherToken = await login('other@example.com');
+        await get('/scans/summary', otherToken).expect(200);
+        await setRoles(otherId, ['customer']).expect(200);
+        await get('/scans/summary', otherToken).expect(403);
+
+        // Admins can't lock themselves out
+        await setRoles(adminId, ['customer']).expect(400);
+    });
+
+    it('should keep isAdmin in the login response for older clients', async () => {
+        const res = await request(app)
+            .post('/login')
+            .send({ email: 'admin@example.com', password: 'Password123!' })
+            .expect(200);
+        expect(res.body.data.isAdmin).to.equal(true);
+        expect(res.body.data.roles).to.deep.equal(['customer', 'admin']);
+    });
+});
@@ -0,0 +1,192 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import ScanEvent from '../../src/models/ScanEvent.js';
+import mockProvider from '../../src/services/paymentProviders/mockProvider.js';
+import { signQrPayload } from '../../src/services/qrSigningService.js';
+import { generateTotp } from '../../src/utils/totp.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Gate scans API', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let customerToken;
+    let qrToken;
+    let operatorToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        mockProvider.reset();
+
+        const customer = await request(app)
+            .post('/register')
+            .send({ username: 'scancustomer', email: 'scan@example.com', password: 'Password123!' });
+        customerToken = customer.body.token;
+        qrToken = (await User.findById(customer.body._id)).qrCodeToken;
+
+        await User.create({
+            username: 'gateoperator',
+            email: 'gate@example.com',
+            password: 'Password123!',
+            isOperator: true
+        });
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'gate@example.com', password: 'Password123!' });
+        operatorToken = login.body.data.token;
+    });
+
+    const scan = (body, token = operatorToken) => request(app)
+        .post('/scans')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    const pay = async () => {
+        const simulated = await request(app)
+            .post('/payments/simulate')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send({ currency: 'NGN' });
+        await request(app)
+            .post('/payments/verify')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .send({ reference: simulated.body.data.reference })
+            .expect(200);
+    };
+
+    it('should only let operators scan', async () => {
+        await scan({ qrToken, gateId: 'north' }, customerToken).expect(403);
+    });
+
+    it('should deny and log a user without a pass', async () => {
+        const res = await scan({ qrToken, gateId: 'north' }).expect(201);
+
+        expect(res.body.data).to.include({ decision: 'deny', reason: 'no_active_pass', gate: 'north' });
+        expect(await ScanEvent.countDocuments({ decision: 'deny' })).to.equal(1);
+    });
+
+    it('should deny an unknown QR code without storing it', async () => {
+        const res = await scan({ qrToken: 'not-a-real-token', gateId: 'north' }).expect(201);
+
+        expect(res.body.data).to.include({ decision: 'deny', reason: 'unknown_token' });
+        const event = await ScanEvent.findOne({}).lean();
+        expect(event.tokenFingerprint).to.not.equal('not-a-real-token');
+    });
+
+    it('should admit a paid user and count the entry', async () => {
+        await pay();
+
+        const res = await scan({ qrToken, gateId: 'north' }).expect(201);
+        expect(res.body.data).to.include({ decision: 'admit', reason: 'active_pass' });
+        expect(res.body.data.pass).to.have.property('validUntil');
+
+        await scan({ qrToken, gateId: 'north' }).expect(201);
+        await scan({ qrToken: 'unknown', gateId: 'south' }).expect(201);
+
+        const summary = await request(app)
+            .get('/scans/summary')
+            .set('Authorization', `Bearer ${operatorToken}`)
+            .expect(200);
+
+        const north = summary.body.data.days.find(row => row.gate === 'north');
+        expect(north).to.include({ admitted: 2, denied: 0, uniqueVisitors: 1 });
+        const south = summary.body.data.days.find(row => row.gate === 'south');
+        expect(south).to.include({ admitted: 0, denied: 1, uniqueVisitors: 0 });
+    });
+
+    it('should list the audit trail newest first', async () => {
+        await scan({ qrToken, gateId: 'north' }).expect(201);
+        await scan({ qrToken, gateId: 'south' }).expect(201);
+
+        const res = await request(app)
+            .get('/scans?gate=south')
+            .set('Authorization', `Bearer ${operatorToken}`)
+            .expect(200);
+
+        expect(res.body.data.events).to.have.lengthOf(1);
+        expect(res.body.data.events[0].operator).to.have.property('username', 'gateoperator');
+    });
+
+    it('should admit a signed QR payload and reject a tampered one', async () => {
+        await pay();
+        const qr = await request(app)
+            .get('/users/me/qr')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .expect(200);
+        expect(qr.body.payload).to.match(/^EP1\./);
+        expect(qr.body.validUntil).to.be.a('string');
+
+        const admitted = await scan({ qrToken: qr.body.payload, gateId: 'north' }).expect(201);
+        expect(admitted.body.data).to.include({ decision: 'admit' });
+
+        const [prefix, claims, signature] = qr.body.payload.split('.');
+        const forged = Buffer.from(JSON.stringify({
+            ...JSON.parse(Buffer.from(claims, 'base64url').toString()),
+            vu: Math.floor(Date.now() / 1000) + 365 * 86400
+        })).toString('base64url');
+        const denied = await scan({ qrToken: `${prefix}.${forged}.${signature}`, gateId: 'north' }).expect(201);
+        expect(denied.body.data).to.include({ decision: 'deny', reason: 'invalid_signature' });
+    });
+
+    it('should publish the QR verification keys', async () => {
+        const res = await request(app).get('/.well-known/qr-keys').expect(200);
+
+        expect(res.body.keys).to.have.length.of.at.least(1);
+        expect(res.body.keys[0]).to.include({ kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA' });
+        expect(res.body.keys[0]).to.not.have.property('d');
+    });
+
+    describe('dynamic gates', () => {
+        beforeEach(() => {
+            process.env.GATE_QR_MODES = JSON.stringify({ turnstile: 'dynamic' });
+        });
+
+        afterEach(() => {
+            delete process.env.GATE_QR_MODES;
+        });
+
+        const dynamicQr = () => request(app)
+            .get('/users/me/qr?mode=dynamic')
+            .set('Authorization', `Bearer ${customerToken}`)
+            .expect(200);
+
+        it('should only accept the rotating code', async () => {
+            await pay();
+
+            const denied = await scan({ qrToken, gateId: 'turnstile' }).expect(201);
+            expect(denied.body.data).to.include({ decision: 'deny', reason: 'dynamic_code_required' });
+
+            const qr = await dynamicQr();
+            expect(qr.body).to.include({ mode: 'dynamic' });
+            expect(qr.body.refreshIn).to.be.within(1, 30);
+
+            const admitted = await scan({ qrToken: qr.body.payload, gateId: 'turnstile' }).expect(201);
+            expect(admitted.body.data).to.include({ decision: 'admit' });
+
+            // Static gates keep accepting the plain token
+            await scan({ qrToken, gateId: 'north' }).expect(201)
+                .then(res => expect(res.body.data).to.include({ decision: 'admit' }));
+        });
+
+        it('should reject a code from an old time step', async () => {
+            await pay();
+            await dynamicQr();
+
+            const user = await User.findOne({ qrCodeToken: qrToken }).select('+qrSecret');
+            const { payload } = signQrPayload({
+                userId: user._id,
+                qrCodeToken: user.qrCodeToken,
+                totp: generateTotp(Buffer.from(user.qrSecret, 'hex'), { at: new Date(Date.now() - 5 * 60 * 1000) })
+            });
+
+            const res = await scan({ qrToken: payload, gateId: 'turnstile' }).expect(201);
+            expect(res.body.data).to.include({ decision: 'deny', reason: 'expired_code' });
+        });
+    });
+});
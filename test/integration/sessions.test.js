@@ -0,0 +1,113 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import Session from '../../src/models/Session.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Cookie sessions', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let userToken;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'browser', email: 'browser@example.com', password: 'Password123!' })
+            .expect(201);
+        userToken = res.body.token;
+    });
+
+    // A browser: keeps its cookies and sends X-Use-Cookie-Auth on every request
+    const signInBrowser = async (userAgent = 'Test Browser') => {
+        const browser = request.agent(app);
+        const res = await browser
+            .post('/login')
+            .set('X-Use-Cookie-Auth', 'true')
+            .set('User-Agent', userAgent)
+            .send({ email: 'browser@example.com', password: 'Password123!' })
+            .expect(200);
+        const csrf = await browser.get('/auth/csrf-token').expect(200);
+        return { browser, res, csrfToken: csrf.body.data.csrfToken };
+    };
+
+    const listSessions = (browser) => browser
+        .get('/auth/sessions')
+        .set('X-Use-Cookie-Auth', 'true');
+
+    it('should log in with a session cookie instead of tokens', async () => {
+        const { browser, res } = await signInBrowser();
+
+        expect(res.body.data).to.not.have.property('token');
+        expect(res.body.data).to.not.have.property('refreshToken');
+        expect(res.body.data).to.not.have.property('tokenVersion');
+        const cookies = res.headers['set-cookie'].join('; ');
+        expect(cookies).to.match(/sid=/);
+        expect(cookies).to.match(/HttpOnly/i);
+        expect(cookies).to.match(/SameSite=Strict/i);
+        expect(cookies).to.not.match(/(^|; )token=/);
+
+        const sessions = await listSessions(browser).expect(200);
+        expect(sessions.body.data).to.have.lengthOf(1);
+        expect(sessions.body.data[0].current).to.equal(true);
+        expect(sessions.body.data[0].userAgent).to.equal('Test Browser');
+
+        // The cookie is required
+        await request(app).get('/auth/sessions').set('X-Use-Cookie-Auth', 'true').expect(401);
+    });
+
+    it('should revoke another device', async () => {
+        const { browser: laptop, csrfToken } = await signInBrowser('Laptop');
+        const { browser: phone } = await signInBrowser('Phone');
+
+        const sessions = await listSessions(laptop).expect(200);
+        expect(sessions.body.data).to.have.lengthOf(2);
+        const phoneSession = sessions.body.data.find(session => session.userAgent === 'Phone');
+        expect(phoneSession.current).to.equal(false);
+
+        await laptop
+            .delete(`/auth/sessions/${phoneSession.id}`)
+            .set('X-Use-Cookie-Auth', 'true')
+            .set('X-CSRF-Token', csrfToken)
+            .expect(200);
+        await listSessions(phone).expect(401);
+        await listSessions(laptop).expect(200);
+
+        await laptop
+            .delete(`/auth/sessions/${phoneSession.id}`)
+            .set('X-Use-Cookie-Auth', 'true')
+            .set('X-CSRF-Token', csrfToken)
+            .expect(404);
+    });
+
+    it('should destroy the session on logout', async () => {
+        const { browser, csrfToken } = await signInBrowser();
+
+        await browser
+            .post('/logout')
+            .set('X-Use-Cookie-Auth', 'true')
+            .set('X-CSRF-Token', csrfToken)
+            .expect(200);
+
+        await listSessions(browser).expect(401);
+        expect(await Session.countDocuments()).to.equal(0);
+    });
+
+    it('should end every session on logout-all', async () => {
+        const { browser } = await signInBrowser();
+
+        await request(app)
+            .post('/logout-all')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(200);
+
+        await listSessions(browser).expect(401);
+        expect(await Session.countDocuments()).to.equal(0);
+    });
+});
@@ -0,0 +1,199 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import { generateTotp } from '../../src/utils/totp.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// What an authenticator app does with the secret it was shown
+const fromBase32 = (text) => {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// A code from the next time step, so it isn't the one enrolment just used
+const codeFor = (secret, stepsAhead = 0) => generateTotp(fromBase32(secret), {
+    at: new Date(Date.now() + stepsAhead * 30 * 1000)
+}).code;
+
+describe('Two-factor authentication', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    afterEach(() => {
+        process.env.TWO_FACTOR_REQUIRED_FOR_STAFF = 'false';
+        delete process.env.LOGIN_BACKOFF_FREE_ATTEMPTS;
+        delete process.env.LOGIN_LOCKOUT_THRESHOLD;
+    });
+
+    const login = (email) => request(app)
+        .post('/login')
+        .send({ email, password: 'Password123!' })
+        .expect(200);
+
+    const verify = (body) => request(app).post('/auth/2fa/verify').send(body);
+
+    describe('opt-in users', () => {
+        let accessToken;
+        let secret;
+        let recoveryCodes;
+
+        beforeEach(async () => {
+            const res = await request(app)
+                .post('/register')
+                .send({ username: 'twofactor', email: 'twofactor@example.com', password: 'Password123!' })
+                .expect(201);
+            accessToken = res.body.token;
+
+            const setup = await request(app)
+                .post('/auth/2fa/setup')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+            secret = setup.body.data.secret;
+            expect(setup.body.data.otpauthUrl).to.match(/^otpauth:\/\/totp\/EasyPass%3Atwofactor%40example\.com\?secret=/);
+            expect(setup.body.data.qrCodeDataUrl).to.match(/^data:image\/png;base64,/);
+
+            const enabled = await request(app)
+                .post('/auth/2fa/enable')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .send({ code: codeFor(secret) })
+                .expect(200);
+            recoveryCodes = enabled.body.data.recoveryCodes;
+        });
+
+        it('should only store hashes of the recovery codes', async () => {
+            expect(recoveryCodes).to.have.length(10);
+
+            const user = await User.findOne({ email: 'twofactor@example.com' })
+                .select('+twoFactorSecret +twoFactorRecoveryCodes');
+            expect(user.twoFactorEnabled).to.equal(true);
+            expect(user.twoFactorRecoveryCodes).to.have.length(10);
+            expect(user.twoFactorRecoveryCodes).to.not.include(recoveryCodes[0]);
+        });
+
+        it('should return a challenge instead of a session, and finish with a code', async () => {
+            const res = await login('twofactor@example.com');
+            expect(res.body.data.twoFactorRequired).to.equal(true);
+            expect(res.body.data).to.not.have.property('token');
+            expect(res.headers['set-cookie']).to.be.undefined;
+
+            // The challenge is not an access token
+            await request(app)
+                .get('/passes/active')
+                .set('Authorization', `Bearer ${res.body.data.challengeToken}`)
+                .expect(401);
+
+            await verify({ challengeToken: res.body.data.challengeToken, code: '000000' }).expect(401);
+
+            const code = codeFor(secret, 1);
+            const session = await verify({ challengeToken: res.body.data.challengeToken, code }).expect(200);
+            expect(session.body.data.token).to.be.a('string');
+            expect(session.body.data.refreshToken).to.be.a('string');
+
+            // A code works once
+            const again = await login('twofactor@example.com');
+            await verify({ challengeToken: again.body.data.challengeToken, code }).expect(401);
+        });
+
+        it('should accept each recovery code once', async () => {
+            const first = await login('twofactor@example.com');
+            await verify({ challengeToken: first.body.data.challengeToken, recoveryCode: recoveryCodes[0] }).expect(200);
+
+            const second = await login('twofactor@example.com');
+            await verify({ challengeToken: second.body.data.challengeToken, recoveryCode: recoveryCodes[0] }).expect(401);
+        });
+
+        it('should limit guesses per challenge', async () => {
+            // Keep the account backoff out of the way
+            process.env.LOGIN_BACKOFF_FREE_ATTEMPTS = '10';
+            const res = await login('twofactor@example.com');
+            for (let i = 0; i < 5; i++) {
+                await verify({ challengeToken: res.body.data.challengeToken, code: '000000' }).expect(401);
+            }
+            await verify({ challengeToken: res.body.data.challengeToken, code: codeFor(secret, 1) }).expect(429);
+        });
+
+        it('should count wrong codes towards the account lockout', async () => {
+            process.env.LOGIN_BACKOFF_FREE_ATTEMPTS = '5';
+            process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+
+            // A fresh challenge for every guess doesn't help
+            for (let i = 0; i < 3; i++) {
+                const res = await login('twofactor@example.com');
+                await verify({ challengeToken: res.body.data.challengeToken, code: '000000' }).expect(401);
+            }
+
+            await request(app)
+                .post('/login')
+                .send({ email: 'twofactor@example.com', password: 'Password123!' })
+                .expect(429);
+        });
+
+        it('should let the user turn 2FA off with a code', async () => {
+            await request(app)
+                .post('/auth/2fa/disable')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .send({ code: codeFor(secret, 1) })
+                .expect(200);
+
+            const res = await login('twofactor@example.com');
+            expect(res.body.data.token).to.be.a('string');
+        });
+    });
+
+    describe('staff', () => {
+        beforeEach(async () => {
+            process.env.TWO_FACTOR_REQUIRED_FOR_STAFF = 'true';
+            await User.create({
+                username: 'gatekeeper',
+                email: 'gatekeeper@example.com',
+                password: 'Password123!',
+                isOperator: true
+            });
+        });
+
+        it('should make staff enrol before they get a session', async () => {
+            const res = await login('gatekeeper@example.com');
+            expect(res.body.data).to.include({ twoFactorRequired: true, enrolmentRequired: true });
+            const { challengeToken } = res.body.data;
+
+            const enrolment = await request(app)
+                .post('/auth/2fa/enrol')
+                .send({ challengeToken })
+                .expect(200);
+
+            const session = await verify({ challengeToken, code: codeFor(enrolment.body.data.secret) }).expect(200);
+            expect(session.body.data.token).to.be.a('string');
+            expect(session.body.data.recoveryCodes).to.have.length(10);
+
+            // Staff can't turn it off again
+            await request(app)
+                .post('/auth/2fa/disable')
+                .set('Authorization', `Bearer ${session.body.data.token}`)
+                .send({ recoveryCode: session.body.data.recoveryCodes[0] })
+                .expect(403);
+
+            const next = await login('gatekeeper@example.com');
+            expect(next.body.data).to.include({ twoFactorRequired: true, enrolmentRequired: false });
+        });
+    });
+});
@@ -257,12 +257,13 @@ describe('User Routes', () => {
       });
     });
 
-    it('should get user by QR code token', async () => {
+    it('should get a verdict for a QR code token', async () => {
       const res = await request(app)
         .get(`/api/users/qr/${testUser.qrCodeToken}`);
       
       expect(res.statusCode).toEqual(200);
-      expect(res.body).toHaveProperty('qrCodeToken', testUser.qrCodeToken);
+      expect(res.body).toHaveProperty('displayName', testUser.username);
+      expect(res.body).not.toHaveProperty('qrCodeToken');
       expect(res.body).not.toHaveProperty('password');
     });
 
@@ -0,0 +1,246 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import request from 'supertest';
+import { expect } from 'chai';
+import forge from 'node-forge';
+import jwt from 'jsonwebtoken';
+import { getTestApp } from '../test-setup.js';
+import mockProvider from '../../src/services/paymentProviders/mockProvider.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+const PASS_TYPE_ID = 'pass.com.easypass.test';
+
+// Self-signed stand-ins for the Apple WWDR and Pass Type ID certificates
+const createCertificate = (commonName, issuer) => {
+    const keys = forge.pki.rsa.generateKeyPair(2048);
+    const certificate = forge.pki.createCertificate();
+    certificate.publicKey = keys.publicKey;
+    certificate.serialNumber = crypto.randomBytes(8).toString('hex');
+    certificate.validity.notBefore = new Date(Date.now() - 60000);
+    certificate.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    certificate.setSubject([{ name: 'commonName', value: commonName }]);
+    certificate.setIssuer(issuer ? issuer.certificate.subject.attributes : certificate.subject.attributes);
+    certificate.sign(issuer ? issuer.keys.privateKey : keys.privateKey, forge.md.sha256.create());
+    return { certificate, keys };
+};
+
+// Read the entries of a (deflated) .pkpass archive
+const unzip = (archive) => {
+    const files = {};
+    let offset = 0;
+    while (archive.readUInt32LE(offset) === 0x04034b50) {
+        const compressedSize = archive.readUInt32LE(offset + 18);
+        const nameLength = archive.readUInt16LE(offset + 26);
+        const extraLength = archive.readUInt16LE(offset + 28);
+        const name = archive.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        files[name] = zlib.inflateRawSync(archive.subarray(start, start + compressedSize));
+        offset = start + compressedSize;
+    }
+    return files;
+};
+
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Wallet passes', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let authToken;
+    let googleKeys;
+    const walletEnv = {};
+
+    before(async function() {
+        this.timeout(60000);
+
+        const wwdr = createCertificate('Test WWDR');
+        const passCertificate = createCertificate(`Pass Type ID: ${PASS_TYPE_ID}`, wwdr);
+        googleKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+        Object.assign(walletEnv, {
+            APPLE_PASS_TYPE_ID: PASS_TYPE_ID,
+            APPLE_TEAM_ID: 'TEAM123456',
+            APPLE_PASS_CERT: forge.pki.certificateToPem(passCertificate.certificate),
+            APPLE_PASS_KEY: forge.pki.privateKeyToPem(passCertificate.keys.privateKey),
+            APPLE_WWDR_CERT: forge.pki.certificateToPem(wwdr.certificate),
+            APPLE_WALLET_WEB_SERVICE_URL: 'https://api.example.com/wallet/apple',
+            // Nothing listens here, so update pushes fail fast and are only logged
+            APPLE_APNS_HOST: '127.0.0.1:9',
+            GOOGLE_WALLET_ISSUER_ID: '3388000000000000000',
+            GOOGLE_WALLET_SERVICE_ACCOUNT_EMAIL: 'wallet@easypass-test.iam.gserviceaccount.com',
+            GOOGLE_WALLET_PRIVATE_KEY: googleKeys.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+            GOOGLE_WALLET_ORIGINS: 'https://easypass.example.com',
+            GOOGLE_WALLET_API_URL: 'http://127.0.0.1:9'
+        });
+        Object.assign(process.env, walletEnv);
+
+        app = await getTestApp();
+    });
+
+    after(() => {
+        Object.keys(walletEnv).forEach(name => delete process.env[name]);
+    });
+
+    beforeEach(async () => {
+        mockProvider.reset();
+
+        const res = await request(app)
+            .post('/register')
+            .send({ username: 'walletuser', email: 'wallet@example.com', password: 'Password123!' });
+        authToken = res.body.token;
+    });
+
+    const downloadApplePass = async () => {
+        const res = await request(app)
+            .get('/passes/wallet/apple')
+            .set('Authorization', `Bearer ${authToken}`)
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+        const files = unzip(res.body);
+        return { res, files, passJson: JSON.parse(files['pass.json'].toString()) };
+    };
+
+    const buyDayPass = async () => {
+        const initialized = await request(app)
+            .post('/payments/initialize')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({})
+            .expect(201);
+        await request(app)
+            .post('/payments/verify')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ reference: initialized.body.data.reference })
+            .expect(200);
+    };
+
+    it('should build a signed .pkpass bundle', async () => {
+        await buyDayPass();
+        const { res, files, passJson } = await downloadApplePass();
+
+        expect(res.headers['content-type']).to.match(/^application\/vnd\.apple\.pkpass/);
+        expect(files).to.have.all.keys('pass.json', 'icon.png', 'icon@2x.png', 'icon@3x.png', 'manifest.json', 'signature');
+
+        // Every file is listed in the manifest with its SHA-1
+        const manifest = JSON.parse(files['manifest.json'].toString());
+        Object.entries(manifest).forEach(([name, hash]) => {
+            expect(crypto.createHash('sha1').update(files[name]).digest('hex')).to.equal(hash);
+        });
+
+        // The signature is a PKCS#7 structure carrying both certificates
+        const signature = forge.pkcs7.messageFromAsn1(
+            forge.asn1.fromDer(forge.util.createBuffer(files.signature.toString('binary')))
+        );
+        expect(signature.certificates).to.have.length(2);
+
+        expect(passJson).to.include({
+            passTypeIdentifier: PASS_TYPE_ID,
+            teamIdentifier: 'TEAM123456',
+            webServiceURL: 'https://api.example.com/wallet/apple'
+        });
+        expect(passJson.authenticationToken).to.have.length.of.at.least(16);
+        expect(passJson.barcodes[0].format).to.equal('PKBarcodeFormatQR');
+        expect(passJson.barcodes[0].message).to.match(/^EP1\./);
+        expect(passJson.generic.primaryFields[0].value).to.equal('Day pass');
+    });
+
+    it('should keep the same card across downloads', async () => {
+        const first = await downloadApplePass();
+        const second = await downloadApplePass();
+
+        expect(second.passJson.serialNumber).to.equal(first.passJson.serialNumber);
+        expect(second.passJson.authenticationToken).to.equal(first.passJson.authenticationToken);
+    });
+
+    it('should serve updates through the PassKit web service', async () => {
+        const { passJson } = await downloadApplePass();
+        const { serialNumber, authenticationToken } = passJson;
+        const registrationPath = `/wallet/apple/v1/devices/device-1/registrations/${PASS_TYPE_ID}/${serialNumber}`;
+        const passPath = `/wallet/apple/v1/passes/${PASS_TYPE_ID}/${serialNumber}`;
+        const updatesPath = `/wallet/apple/v1/devices/device-1/registrations/${PASS_TYPE_ID}`;
+
+        await request(app)
+            .post(registrationPath)
+            .set('Authorization', 'ApplePass wrong-token-000000000000000000000000')
+            .send({ pushToken: 'push-1' })
+            .expect(401);
+        await request(app)
+            .post(registrationPath)
+            .set('Authorization', `ApplePass ${authenticationToken}`)
+            .send({ pushToken: 'push-1' })
+            .expect(201);
+        await request(app)
+            .post(registrationPath)
+            .set('Authorization', `ApplePass ${authenticationToken}`)
+            .send({ pushToken: 'push-1' })
+            .expect(200);
+
+        const updates = await request(app).get(updatesPath).expect(200);
+        expect(updates.body.serialNumbers).to.deep.equal([serialNumber]);
+
+        // Nothing new since the last tag
+        await request(app)
+            .get(updatesPath)
+            .query({ passesUpdatedSince: updates.body.lastUpdated })
+            .expect(204);
+
+        const latest = await request(app)
+            .get(passPath)
+            .set('Authorization', `ApplePass ${authenticationToken}`)
+            .expect(200);
+        await request(app)
+            .get(passPath)
+            .set('Authorization', `ApplePass ${authenticationToken}`)
+            .set('If-Modified-Since', latest.headers['last-modified'])
+            .expect(304);
+
+        // A new pass changes the card
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        await buyDayPass();
+
+        const changed = await request(app)
+            .get(updatesPath)
+            .query({ passesUpdatedSince: updates.body.lastUpdated })
+            .expect(200);
+        expect(changed.body.serialNumbers).to.deep.equal([serialNumber]);
+
+        const updated = await request(app)
+            .get(passPath)
+            .set('Authorization', `ApplePass ${authenticationToken}`)
+            .set('If-Modified-Since', latest.headers['last-modified'])
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+        const updatedPass = JSON.parse(unzip(updated.body)['pass.json'].toString());
+        expect(updatedPass.generic.auxiliaryFields).to.have.length(2);
+
+        await request(app)
+            .delete(registrationPath)
+            .set('Authorization', `ApplePass ${authenticationToken}`)
+            .expect(200);
+        await request(app).get(updatesPath).expect(204);
+    });
+
+    it('should create a signed Google Wallet save link', async () => {
+        const res = await request(app)
+            .get('/passes/wallet/google')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        const { saveUrl, objectId } = res.body.data;
+        expect(saveUrl).to.match(/^https:\/\/pay\.google\.com\/gp\/v\/save\//);
+
+        const claims = jwt.verify(saveUrl.split('/').pop(), googleKeys.publicKey, { algorithms: ['RS256'] });
+        expect(claims).to.include({ aud: 'google', typ: 'savetowallet' });
+        expect(claims.origins).to.deep.equal(['https://easypass.example.com']);
+
+        const [genericObject] = claims.payload.genericObjects;
+        expect(genericObject.id).to.equal(objectId);
+        expect(genericObject.classId).to.equal('3388000000000000000.easypass');
+        expect(genericObject.barcode.value).to.match(/^EP1\./);
+    });
+});
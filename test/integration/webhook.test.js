@@ -0,0 +1,166 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { getTestApp } from '../test-setup.js';
+import User from '../../src/models/User.js';
+import Payment from '../../src/models/Payment.js';
+import mockProvider from '../../src/services/paymentProviders/mockProvider.js';
+
+const TEST_TIMEOUT = 120000; // 2 minutes
+
+describe('Payment Webhook API', function() {
+    this.timeout(TEST_TIMEOUT);
+
+    let app;
+    let user;
+
+    // Sign a payload the way the (mock) provider does
+    const sign = (body) => mockProvider.signWebhook(JSON.stringify(body));
+
+    const sendWebhook = (body, signature = sign(body)) => request(app)
+        .post('/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set('x-mock-signature', signature)
+        .send(JSON.stringify(body));
+
+    before(async function() {
+        this.timeout(30000);
+        app = await getTestApp();
+    });
+
+    beforeEach(async () => {
+        user = await User.create({
+            username: 'webhookuser',
+            email: 'webhook@example.com',
+            password: 'password123'
+        });
+        await Payment.create({
+            user: user._id,
+            qrCodeToken: user.qrCodeToken,
+            paymentId: 'ref_webhook_1',
+            amount: 1000,
+            currency: 'NGN',
+            status: 'pending',
+            paymentMethod: 'card'
+        });
+    });
+
+    it('should reject a webhook without a signature', async () => {
+        const res = await request(app)
+            .post('/payments/webhook')
+            .send({ event: 'charge.success', data: { reference: 'ref_webhook_1' } })
+            .expect(401);
+
+        expect(res.body).to.have.property('message', 'Missing webhook signature');
+    });
+
+    it('should reject a webhook with an invalid signature', async () => {
+        const body = { event: 'charge.success', data: { reference: 'ref_webhook_1' } };
+        const res = await sendWebhook(body, 'not-a-valid-signature').expect(401);
+
+        expect(res.body).to.have.property('message', 'Invalid webhook signature');
+        const payment = await Payment.findOne({ paymentId: 'ref_webhook_1' });
+        expect(payment.status).to.equal('pending');
+    });
+
+    it('should complete a pending payment on charge.success', async () => {
+        const body = { event: 'charge.success', data: { reference: 'ref_webhook_1', channel: 'card' } };
+        await sendWebhook(body).expect(200);
+
+        const payment = await Payment.findOne({ paymentId: 'ref_webhook_1' });
+        expect(payment.status).to.equal('completed');
+    });
+
+    it('should fail a pending payment on charge.failed', async () => {
+        const body = { event: 'charge.failed', data: { reference: 'ref_webhook_1', gateway_response: 'Declined' } };
+        await sendWebhook(body).expect(200);
+
+        const payment = await Payment.findOne({ paymentId: 'ref_webhook_1' });
+        expect(payment.status).to.equal('failed');
+        expect(payment.failedAt).to.be.an.instanceOf(Date);
+    });
+
+    it('should complete an abandoned payment when the customer goes on to pay', async () => {
+        await Payment.updateOne({ paymentId: 'ref_webhook_1' }, { status: 'abandoned' });
+        const body = { event: 'charge.success', data: { reference: 'ref_webhook_1', amount: 100000 } };
+        await sendWebhook(body).expect(200);
+
+        const payment = await Payment.findOne({ paymentId: 'ref_webhook_1' });
+        expect(payment.status).to.equal('completed');
+    });
+
+    it('should fail a payment charged in another currency', async () => {
+        const body = { event: 'charge.success', data: { reference: 'ref_webhook_1', amount: 100000, currency: 'USD' } };
+        await sendWebhook(body).expect(200);
+
+        const payment = await Payment.findOne({ paymentId: 'ref_webhook_1' });
+        expect(payment.status).to.equal('failed');
+        expect(payment.metadata.get('failureReason')).to.equal('amount_mismatch');
+    });
+
+    it('should acknowledge a mismatched charge on an abandoned payment', async () => {
+        await Payment.updateOne({ paymentId: 'ref_webhook_1' }, { status: 'abandoned' });
+        const body = { event: 'charge.success', data: { reference: 'ref_webhook_1', amount: 100 } };
+        const res = await sendWebhook(body).expect(200);
+
+        expect(res.body.message).to.equal('Payment amount mismatch');
+        const payment = await Payment.findOne({ paymentId: 'ref_webhook_1' });
+        expect(payment.status).to.equal('abandoned');
+    });
+
+    it('should leave a failed payment failed on a late charge.success', async () => {
+        await Payment.updateOne({ paymentId: 'ref_webhook_1' }, { status: 'failed' });
+        const body = { event: 'charge.success', data: { reference: 'ref_webhook_1', amount: 100000 } };
+        await sendWebhook(body).expect(200);
+
+        const payment = await Payment.findOne({ paymentId: 'ref_webhook_1' });
+        expect(payment.status).to.equal('failed');
+    });
+
+    it('should leave a refunded payment refunded on a retried charge.success', async () => {
+        await Payment.updateOne({ paymentId: 'ref_webhook_1' }, { status: 'refunded', amountRefunded: 1000 });
+        const body = { event: 'charge.success', data: { reference: 'ref_webhook_1', amount: 100000 } };
+        await sendWebhook(body).expect(200);
+
+        const payment = await Payment.findOne({ paymentId: 'ref_webhook_1' });
+        expect(payment.status).to.equal('refunded');
+    });
+
+    it('should keep provider payloads out of the customer\'s payment history', async () => {
+        const body = {
+            event: 'charge.success',
+            data: { reference: 'ref_webhook_1', authorization: { authorization_code: 'AUTH_secret' } }
+        };
+        await sendWebhook(body).expect(200);
+
+        const login = await request(app)
+            .post('/login')
+            .send({ email: 'webhook@example.com', password: 'password123' })
+            .expect(200);
+        const res = await request(app)
+            .get('/payments/history')
+            .set('Authorization', `Bearer ${login.body.data.token}`)
+            .expect(200);
+
+        expect(JSON.stringify(res.body)).to.not.include('AUTH_secret');
+        const { statusHistory } = res.body.data[0];
+        expect(statusHistory).to.not.be.empty;
+        statusHistory.forEach(entry => expect(entry).to.not.have.property('payload'));
+    });
+
+    it('should refund a completed payment on refund.processed', async () => {
+        await Payment.updateOne({ paymentId: 'ref_webhook_1' }, { status: 'completed' });
+        const body = { event: 'refund.processed', data: { transaction_reference: 'ref_webhook_1', amount: 100000 } };
+        await sendWebhook(body).expect(200);
+
+        const payment = await Payment.findOne({ paymentId: 'ref_webhook_1' });
+        expect(payment.status).to.equal('refunded');
+        expect(payment.refundedAt).to.be.an.instanceOf(Date);
+    });
+
+    it('should acknowledge unknown events without failing', async () => {
+        const body = { event: 'invoice.create', data: { id: 1 } };
+        const res = await sendWebhook(body).expect(200);
+
+        expect(res.body.data).to.have.property('handled', false);
+    });
+});
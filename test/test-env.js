@@ -0,0 +1,31 @@
+import { config } from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+/**
+ * Test environment, imported by test-setup.js before any app module so that
+ * settings read while modules load (like which routes are mounted) see it
+ */
+
+// Load environment variables from .env file
+try {
+    const __filename = fileURLToPath(import.meta.url);
+    const __dirname = dirname(__filename);
+    config({ path: resolve(__dirname, '../../.env') });
+} catch (error) {
+    console.warn('No .env file found, using default environment variables');
+}
+
+// Set test environment variables
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+// Never call a real payment provider from tests
+process.env.PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock';
+// Keep outgoing mail in memory, see getSentMail()
+process.env.MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'memory';
+// Staff log in with just a password unless a test turns 2FA on (see twoFactor.test.js)
+process.env.TWO_FACTOR_REQUIRED_FOR_STAFF = 'false';
+
+// Global test timeout (2 minutes)
+const TEST_TIMEOUT = 120000;
+process.env.TEST_TIMEOUT = TEST_TIMEOUT.toString();
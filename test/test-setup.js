@@ -1,28 +1,23 @@
-import { config } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, resolve } from 'path';
+// First, so the environment is set before any app module is loaded
+import './test-env.js';
 import mongoose from 'mongoose';
 import { connectDB, clearDatabase, closeDatabase } from './test-db.js';
+import { resetRateLimits } from '../src/middleware/rateLimit.js';
+import { clearSentMail } from '../src/services/mailService.js';
+import createApp from '../src/app/app.js';
 
-// Load environment variables from .env file
-try {
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    config({ path: resolve(__dirname, '../../.env') });
-} catch (error) {
-    console.warn('No .env file found, using default environment variables');
-}
-
-// Set test environment variables
-process.env.NODE_ENV = 'test';
-process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
-
-// Global test timeout (2 minutes)
-const TEST_TIMEOUT = 120000;
-process.env.TEST_TIMEOUT = TEST_TIMEOUT.toString();
+// One app for the whole suite, built once the test database is up;
+// test files share it through getTestApp()
+let testApp;
+const getTestApp = () => {
+    if (!testApp) {
+        testApp = createApp();
+    }
+    return testApp;
+};
 
 // Set up test database connection with error handling
-before(async function() {
+const setUpDatabase = async function() {
     this.timeout(60000); // 60 second timeout for setup
     
     try {
@@ -54,11 +49,15 @@ before(async function() {
         }
         process.exit(1); // Fail the test run if we can't connect to the database
     }
-});
+};
 
 // Clear all test data after each test
-afterEach(async function() {
+const clearTestData = async function() {
     this.timeout(10000); // 10 second timeout for cleanup
+
+    // Rate limit counters live in memory and would otherwise carry over between tests
+    resetRateLimits();
+    clearSentMail();
     
     try {
         // Only clear if we have a valid connection
@@ -72,10 +71,10 @@ afterEach(async function() {
         console.error('❌ Failed to clear test data:', error);
         // Don't throw here to allow other tests to run
     }
-});
+};
 
 // Close the database connection after all tests with error handling
-after(async function() {
+const tearDownDatabase = async function() {
     this.timeout(60000); // 60 second timeout for teardown (allows time for MongoDB to shut down)
     try {
         console.log('Tearing down test database...');
@@ -86,4 +85,13 @@ after(async function() {
         // Force exit if we can't close the database properly
         process.exit(1);
     }
-});
+};
+
+// Root hooks, registered by mocha through --require
+const mochaHooks = {
+    beforeAll: setUpDatabase,
+    afterEach: clearTestData,
+    afterAll: tearDownDatabase
+};
+
+export { getTestApp, mochaHooks };